@@ -0,0 +1,189 @@
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { getProvider } from './providers/index.js';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Клиентские API ключи и тарифы
+//
+// Ключи хранятся в DATA_DIR/api-keys.json только в виде SHA-256 хеша:
+// { keys: [{ id, name, tier, hash, prefix, createdAt, revokedAt }] }
+// Сам ключ показывается один раз при создании.
+//
+// Тариф определяет доступные модели и пресеты из /api/models, дневной лимит сообщений и максимальную температуру.
+// models: '*' - все модели, 'provider:*' - все модели провайдера, 'provider:model' - конкретная модель
+// presets: ключи пресетов провайдеров (top, medium, light), модели которых разрешены
+
+const DEFAULT_TIERS = {
+  free: {
+    models: [],
+    presets: ['light'],
+    dailyMessageLimit: 20,
+    maxTemperature: 1.0,
+  },
+  standard: {
+    models: [],
+    presets: ['light', 'medium'],
+    dailyMessageLimit: 200,
+    maxTemperature: 1.5,
+  },
+  pro: {
+    models: ['*'],
+    presets: ['light', 'medium', 'top'],
+    dailyMessageLimit: 2000,
+    maxTemperature: 2.0,
+  },
+};
+
+let store = null;
+let storeMtime = null;
+let tiers = null;
+
+function getKeysPath() {
+  return path.join(getDataDir(), 'api-keys.json');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Функция для получения тарифов: встроенные, дополненные или переопределенные из TIERS_FILE
+export async function getTiers() {
+  if (tiers) {
+    return tiers;
+  }
+
+  tiers = { ...DEFAULT_TIERS };
+  if (process.env.TIERS_FILE) {
+    try {
+      const overrides = JSON.parse(await fs.readFile(process.env.TIERS_FILE, 'utf8'));
+      for (const [name, tier] of Object.entries(overrides)) {
+        tiers[name] = { ...DEFAULT_TIERS.free, ...tier };
+      }
+      logger.info(`🎟️ Loaded tiers from ${process.env.TIERS_FILE}: ${Object.keys(tiers).join(', ')}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not load TIERS_FILE ${process.env.TIERS_FILE}`, { error: error.message });
+    }
+  }
+  return tiers;
+}
+
+// Функция для получения тарифа по имени (null, если тариф не описан)
+// Object.hasOwn: имена вроде toString и constructor не должны находить свойства прототипа
+export async function getTier(name) {
+  const allTiers = await getTiers();
+  return Object.hasOwn(allTiers, name) ? { name, ...allTiers[name] } : null;
+}
+
+// Функция для загрузки хранилища ключей
+// Файл перечитывается при изменении, чтобы ключи, выпущенные через CLI, работали без перезапуска сервера
+async function loadStore() {
+  let mtime = null;
+  try {
+    mtime = (await fs.stat(getKeysPath())).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (!store || mtime !== storeMtime) {
+    store = (await readJsonFile(getKeysPath())) || { keys: [] };
+    storeMtime = mtime;
+  }
+  return store;
+}
+
+async function saveStore() {
+  await writeJsonAtomic(getKeysPath(), store);
+  storeMtime = (await fs.stat(getKeysPath())).mtimeMs;
+}
+
+// Функция для получения записи ключа без хеша
+function toPublicKey(record) {
+  const { hash, ...publicRecord } = record;
+  return { ...publicRecord, active: !record.revokedAt };
+}
+
+// Функция для выпуска нового ключа, возвращает { key, apiKey }
+export async function createApiKey({ name, tier = 'free' }) {
+  if (!(await getTier(tier))) {
+    const error = new Error(`Unknown tier "${tier}"`);
+    error.status = 400;
+    throw error;
+  }
+
+  await loadStore();
+  const key = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name: name || null,
+    tier: tier,
+    hash: hashKey(key),
+    prefix: key.substring(0, 10),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  store.keys.push(record);
+  await saveStore();
+
+  logger.info(`🔑 Created API key ${record.id} (${record.name || 'unnamed'}, tier ${tier})`);
+  return { key, apiKey: toPublicKey(record) };
+}
+
+// Функция для получения списка ключей (без хешей)
+export async function listApiKeys() {
+  await loadStore();
+  return store.keys.map(toPublicKey);
+}
+
+// Функция для отзыва ключа, возвращает false, если ключ не найден
+export async function revokeApiKey(id) {
+  await loadStore();
+  const record = store.keys.find(candidate => candidate.id === id);
+  if (!record) {
+    return false;
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await saveStore();
+    logger.info(`🔒 Revoked API key ${id}`);
+  }
+  return true;
+}
+
+// Функция для поиска действующего ключа по значению из заголовка Authorization
+export async function findApiKey(key) {
+  await loadStore();
+  const hash = hashKey(key);
+  const record = store.keys.find(candidate => candidate.hash === hash && !candidate.revokedAt);
+  return record ? toPublicKey(record) : null;
+}
+
+// Функция для проверки, доступна ли модель провайдера в тарифе
+export function isModelAllowed(tier, providerId, model) {
+  if (tier.models.includes('*') || tier.models.includes(`${providerId}:*`) || tier.models.includes(`${providerId}:${model}`)) {
+    return true;
+  }
+  const presets = getProvider(providerId)?.presets || {};
+  return tier.presets.some(preset => presets[preset] === model);
+}
+
+// Функция для получения пресетов провайдера, доступных в тарифе
+export function getAllowedPresets(tier, presets) {
+  return Object.fromEntries(
+    Object.entries(presets).filter(([preset]) => tier.presets.includes(preset))
+  );
+}
+
+// Функция для выбора модели по умолчанию с учетом тарифа:
+// модель провайдера по умолчанию, а если она недоступна - модель первого разрешенного пресета
+export function getDefaultModelForTier(tier, provider) {
+  const defaultModel = provider.getDefaultModel();
+  if (!tier || isModelAllowed(tier, provider.id, defaultModel)) {
+    return defaultModel;
+  }
+  const preset = tier.presets.find(candidate => provider.presets[candidate]);
+  return preset ? provider.presets[preset] : defaultModel;
+}
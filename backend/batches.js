@@ -0,0 +1,622 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getProvider, getDefaultProviderId } from './providers/index.js';
+import { sendWithFailover } from './failover.js';
+import { fitMessagesToContext } from './context-window.js';
+import { extractTokenUsage } from './tokens.js';
+import { normalizeCompletionReasoning } from './reasoning.js';
+import { isModelAllowed, getDefaultModelForTier } from './api-keys.js';
+import {
+  validateChatBody,
+  parseGenerationParameters,
+  validateModelRequest,
+  createValidationError,
+} from './request-validation.js';
+import { isModerationEnabled, createModerationReport, moderateMessages, moderateText } from './moderation.js';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger, runWithLogContext } from './logger.js';
+
+// Пакетные задания: сотни запросов к чату, которые выполняются в фоне
+//
+// Пакет хранится в DATA_DIR/batches тремя файлами:
+//   <id>.json           - состояние: { id, owner, status, tier, limit, counts: { total, succeeded, failed },
+//                         tokenUsage: { prompt_tokens, completion_tokens, cost_usd }, createdAt, startedAt, completedAt }
+//   <id>.requests.jsonl - запросы: { index, customId, request }, по одному в строке
+//   <id>.results.jsonl  - результаты в порядке завершения, строка дописывается после каждого запроса
+// После перезапуска сервера незавершенные пакеты продолжаются: запросы без строки в results выполняются заново.
+//
+// Правила модерации (MODERATION_FILE) применяются к каждому запросу так же, как в /api/chat.
+//
+// Статусы: queued -> running -> completed; cancelled - пакет отменен, оставшиеся запросы не выполняются.
+// Запросы всех пакетов выполняются в порядке создания пакетов, одновременно не больше BATCH_CONCURRENCY
+// запросов к одному провайдеру (BATCH_PROVIDER_CONCURRENCY задает лимит для отдельных провайдеров).
+
+// Поля /api/chat, которые не имеют смысла в пакете (потоковая передача, диалоги, инструменты)
+const UNSUPPORTED_FIELDS = [
+  'stream', 'conversationId', 'message', 'preset', 'variables', 'knowledgeBase', 'responseFormat',
+  'tools', 'toolChoice', 'tool_choice', 'serverTools', 'maxToolSteps', 'cache',
+];
+// Сколько ошибок проверки файла возвращать клиенту
+const MAX_REPORTED_ERRORS = 20;
+
+const locks = new Map();
+// Пакеты, которые выполняются сейчас: id -> { batch, items, pending, running, controller }
+const active = new Map();
+// Число выполняемых запросов по провайдерам
+const runningByProvider = new Map();
+let hooks = {};
+
+export function getBatchConfig() {
+  return {
+    maxRequests: parseInt(process.env.BATCH_MAX_REQUESTS || '1000', 10),
+    maxBody: process.env.BATCH_MAX_BODY || '10mb',
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY || '2', 10),
+    // "deepseek:4,huggingface:1"
+    providerConcurrency: Object.fromEntries(
+      (process.env.BATCH_PROVIDER_CONCURRENCY || '')
+        .split(',')
+        .map(entry => entry.trim().split(':'))
+        .filter(([providerId, value]) => providerId && parseInt(value, 10) > 0)
+        .map(([providerId, value]) => [providerId, parseInt(value, 10)])
+    ),
+  };
+}
+
+function getProviderConcurrency(providerId) {
+  const { concurrency, providerConcurrency } = getBatchConfig();
+  return Math.max(1, providerConcurrency[providerId] ?? concurrency);
+}
+
+function createBatchError(message, status = 400) {
+  const error = new Error(status === 400 ? `Invalid request. ${message}` : message);
+  error.status = status;
+  return error;
+}
+
+function getBatchesDir() {
+  return path.join(getDataDir(), 'batches');
+}
+
+// Идентификаторы - UUID, что заодно исключает выход за пределы каталога через путь
+function isValidId(id) {
+  return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+function getBatchPath(id, suffix = '.json') {
+  return path.join(getBatchesDir(), `${id}${suffix}`);
+}
+
+// Функция для последовательного выполнения операций над одним пакетом
+async function withLock(id, operation) {
+  const previous = locks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(operation);
+  locks.set(id, current);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(id) === current) {
+      locks.delete(id);
+    }
+  }
+}
+
+// Функция для чтения JSONL файла; недописанная строка (сервер остановился во время записи) пропускается
+async function readJsonLines(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const lines = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      lines.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`⚠️ Skipping malformed line in ${path.basename(filePath)}`);
+    }
+  }
+  return lines;
+}
+
+// Функция для получения результатов пакета по запросам: index -> результат (повтор после перезапуска заменяет прежний)
+async function readResultsByIndex(id) {
+  const results = new Map();
+  for (const result of await readJsonLines(getBatchPath(id, '.results.jsonl'))) {
+    results.set(result.index, result);
+  }
+  return results;
+}
+
+// Функция для получения информации о пакете для клиента (без владельца и настроек лимита)
+export function toBatchSummary(batch) {
+  const { owner, limit, ...summary } = batch;
+  return {
+    ...summary,
+    counts: {
+      ...batch.counts,
+      pending: batch.counts.total - batch.counts.succeeded - batch.counts.failed,
+    },
+    resultsUrl: `/api/batches/${batch.id}/results`,
+  };
+}
+
+// Функция для разбора и проверки JSONL файла с запросами: каждая строка - тело /api/chat
+// с необязательным customId. tier - тариф ключа клиента (доступные модели и максимальная температура)
+// Возвращает [{ index, customId, request }], где request содержит выбранные провайдер и модель;
+// ошибки по всем строкам (не больше MAX_REPORTED_ERRORS) бросаются одной ошибкой со status 400
+export function parseBatchRequests(text, tier = null) {
+  const { maxRequests } = getBatchConfig();
+  const lines = String(text ?? '').split('\n')
+    .map((line, index) => ({ line: index + 1, text: line.trim() }))
+    .filter(line => line.text.length > 0);
+  if (lines.length === 0) {
+    throw createBatchError('Batch must contain at least one request (one JSON object per line)');
+  }
+  if (lines.length > maxRequests) {
+    throw createBatchError(`Batch can contain at most ${maxRequests} requests, got ${lines.length}`);
+  }
+
+  const errors = [];
+  const items = [];
+  for (const { line, text: lineText } of lines) {
+    if (errors.length >= MAX_REPORTED_ERRORS) {
+      break;
+    }
+    const add = (field, message) => errors.push({ field: `line ${line}${field ? `: ${field}` : ''}`, message });
+
+    let body;
+    try {
+      body = JSON.parse(lineText);
+    } catch (error) {
+      add(null, 'is not valid JSON');
+      continue;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      add(null, 'must be a JSON object');
+      continue;
+    }
+
+    const { customId, ...request } = body;
+    if (customId !== undefined && (typeof customId !== 'string' || customId.length === 0 || customId.length > 128)) {
+      add('customId', 'must be a non-empty string up to 128 characters');
+    }
+    const unsupported = UNSUPPORTED_FIELDS.filter(field => request[field] !== undefined);
+    unsupported.forEach(field => add(field, 'is not supported in batches'));
+    if (unsupported.length > 0) {
+      continue;
+    }
+    try {
+      validateChatBody(request);
+    } catch (error) {
+      error.fields.forEach(item => add(item.field, item.message));
+      continue;
+    }
+
+    const provider = getProvider(request.provider || getDefaultProviderId());
+    if (!provider) {
+      add('provider', `"${request.provider}" is not available`);
+      continue;
+    }
+    const model = request.model || getDefaultModelForTier(tier, provider);
+    const { params: generationParams } = parseGenerationParameters(request);
+    try {
+      validateModelRequest(provider, model, generationParams);
+    } catch (error) {
+      error.fields.forEach(item => add(item.field, item.message));
+      continue;
+    }
+    if (tier && !isModelAllowed(tier, provider.id, model)) {
+      add('model', `${model} is not allowed for tier ${tier.name}`);
+      continue;
+    }
+    if (tier && typeof request.temperature === 'number' && request.temperature > tier.maxTemperature) {
+      add('temperature', `must not exceed ${tier.maxTemperature} for tier ${tier.name}`);
+      continue;
+    }
+
+    items.push({
+      index: items.length,
+      customId: customId ?? null,
+      request: {
+        messages: request.messages,
+        ...(request.systemPrompt !== undefined && { systemPrompt: request.systemPrompt }),
+        provider: provider.id,
+        model: model,
+        ...(request.temperature !== undefined && request.temperature !== null && { temperature: request.temperature }),
+        ...(Object.keys(generationParams).length > 0 && { generationParams }),
+        ...(request.contextStrategy !== undefined && { contextStrategy: request.contextStrategy }),
+        ...(request.reasoning !== undefined && { reasoning: request.reasoning }),
+        ...(request.fallback === false && { fallback: false }),
+      },
+    });
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+  return items;
+}
+
+// Функция для выполнения одного запроса пакета; ошибки не пробрасываются, а возвращаются в результате
+// (кроме отмены пакета - тогда результат не записывается и запрос не считается выполненным)
+async function runBatchItem(batch, item, signal) {
+  const { request } = item;
+  const startedAt = Date.now();
+  let moderation = null;
+  let tokenUsage = null;
+  try {
+    const { allowCandidate } = await hooks.beforeItem(batch);
+
+    let messagesWithSystem = request.systemPrompt && request.systemPrompt.trim().length > 0
+      ? [{ role: 'system', content: request.systemPrompt }, ...request.messages]
+      : request.messages;
+
+    // Персональные данные во всех сообщениях (включая системный промпт) маскируются до отправки
+    // провайдеру, при reject запрос не выполняется
+    if (isModerationEnabled()) {
+      moderation = createModerationReport();
+      const moderated = moderateMessages(messagesWithSystem, moderation);
+      if (moderated.blocked) {
+        throw createBatchError('Content rejected by moderation', 422);
+      }
+      messagesWithSystem = moderated.messages;
+    }
+
+    const fitted = await fitMessagesToContext({
+      messages: messagesWithSystem,
+      providerId: request.provider,
+      model: request.model,
+      strategy: request.contextStrategy,
+      signal,
+    });
+    if (fitted.report.exceedsLimit && fitted.report.strategy !== 'none') {
+      throw createBatchError(`Prompt exceeds model context window (${fitted.report.finalTokens} of ${fitted.report.limit} tokens)`, 413);
+    }
+
+    const upstream = await sendWithFailover({
+      providerId: request.provider,
+      model: request.model,
+      messagesWithSystem: fitted.messages,
+      temperature: request.temperature,
+      signal,
+      fallback: request.fallback !== false,
+      allowCandidate,
+      generationParams: request.generationParams,
+    });
+
+    const data = upstream.result;
+    let reasoning = normalizeCompletionReasoning(data);
+    let content = data.choices?.[0]?.message?.content || '';
+    tokenUsage = extractTokenUsage(data, fitted.messages, content, upstream.model, upstream.provider.id, reasoning);
+
+    // Отклоненный модерацией ответ не возвращается, но его токены учитываются в расходах
+    if (moderation) {
+      const moderatedContent = moderateText(content, 'reply', moderation);
+      const moderatedReasoning = moderateText(reasoning, 'reply', moderation);
+      if (moderatedContent.blocked || moderatedReasoning.blocked) {
+        await hooks.onBlocked(batch, upstream, tokenUsage, fitted.report);
+        throw createBatchError('Response blocked by moderation', 422);
+      }
+      content = moderatedContent.text;
+      reasoning = moderatedReasoning.text;
+    }
+    await hooks.onSuccess(batch, upstream, tokenUsage, fitted.report);
+
+    return {
+      index: item.index,
+      customId: item.customId,
+      status: 'ok',
+      provider: upstream.provider.id,
+      model: upstream.model,
+      content: content,
+      ...(reasoning && (request.reasoning ?? 'include') === 'include' && { reasoning }),
+      finish_reason: data.choices?.[0]?.finish_reason ?? null,
+      tokenUsage: tokenUsage,
+      routing: upstream.routing,
+      ...(moderation && { moderation }),
+      latencyMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
+    logger.warn(`⚠️ Batch ${batch.id} request ${item.index} failed: ${error.message}`);
+    // Как и в /api/chat, не раскрываем, какой ключ не задан на сервере
+    const message = error.message.includes('is not set')
+      ? 'Server configuration error: API key not set'
+      : error.message;
+    return {
+      index: item.index,
+      customId: item.customId,
+      status: 'error',
+      provider: request.provider,
+      model: request.model,
+      content: null,
+      tokenUsage: tokenUsage,
+      ...(moderation && { moderation }),
+      latencyMs: Date.now() - startedAt,
+      error: {
+        message: message,
+        status: error.status ?? null,
+        circuitOpen: Boolean(error.circuitOpen),
+        timeout: error.name === 'TimeoutError',
+      },
+    };
+  }
+}
+
+async function saveBatch(batch) {
+  await writeJsonAtomic(getBatchPath(batch.id), batch);
+}
+
+// Функция для записи результата запроса и обновления счетчиков пакета
+async function recordResult(state, result) {
+  await withLock(state.batch.id, async () => {
+    await fs.appendFile(getBatchPath(state.batch.id, '.results.jsonl'), `${JSON.stringify(result)}\n`, 'utf8');
+    const { batch } = state;
+    if (result.status === 'ok') {
+      batch.counts.succeeded++;
+    } else {
+      batch.counts.failed++;
+    }
+    // tokenUsage есть и у ответов, отклоненных модерацией
+    if (result.tokenUsage) {
+      batch.tokenUsage.prompt_tokens += result.tokenUsage.prompt_tokens || 0;
+      batch.tokenUsage.completion_tokens += result.tokenUsage.completion_tokens || 0;
+      batch.tokenUsage.cost_usd = Math.round((batch.tokenUsage.cost_usd + (result.tokenUsage.cost_usd || 0)) * 1_000_000) / 1_000_000;
+    }
+    await saveBatch(batch);
+  });
+}
+
+// Функция для завершения пакета, когда все запросы выполнены
+async function finishIfDone(state) {
+  if (state.pending.length > 0 || state.running > 0 || !active.has(state.batch.id)) {
+    return;
+  }
+  active.delete(state.batch.id);
+  await withLock(state.batch.id, async () => {
+    if (state.batch.status !== 'cancelled') {
+      state.batch.status = 'completed';
+      state.batch.completedAt = new Date().toISOString();
+    }
+    await saveBatch(state.batch);
+  });
+  const { counts } = state.batch;
+  logger.info(`📦 Batch ${state.batch.id} ${state.batch.status}: ${counts.succeeded} succeeded, ${counts.failed} failed of ${counts.total}`);
+}
+
+function startItem(state, item) {
+  const providerId = item.request.provider;
+  runningByProvider.set(providerId, (runningByProvider.get(providerId) || 0) + 1);
+  state.running++;
+
+  const run = async () => {
+    if (state.batch.status === 'queued') {
+      state.batch.status = 'running';
+      state.batch.startedAt = new Date().toISOString();
+      await withLock(state.batch.id, () => saveBatch(state.batch));
+    }
+    const result = await runBatchItem(state.batch, item, state.controller.signal);
+    await recordResult(state, result);
+  };
+
+  // Запрос пакета получает в журнале свой ID вида <id пакета>:<номер запроса>
+  runWithLogContext(`${state.batch.id}:${item.index}`, run)
+    .catch(error => {
+      if (!state.controller.signal.aborted) {
+        logger.error(`❌ Batch ${state.batch.id} request ${item.index} could not be processed`, { error: error.message });
+      }
+    })
+    .finally(async () => {
+      runningByProvider.set(providerId, runningByProvider.get(providerId) - 1);
+      state.running--;
+      try {
+        await finishIfDone(state);
+      } catch (error) {
+        logger.error(`❌ Could not save batch ${state.batch.id}`, { error: error.message });
+      }
+      schedule();
+    });
+}
+
+// Функция для запуска ожидающих запросов: пакеты - в порядке создания, запросы - в порядке строк файла,
+// пока у провайдера запроса есть свободные места
+function schedule() {
+  for (const state of active.values()) {
+    let position = 0;
+    while (position < state.pending.length) {
+      const item = state.items[state.pending[position]];
+      const providerId = item.request.provider;
+      if ((runningByProvider.get(providerId) || 0) >= getProviderConcurrency(providerId)) {
+        position++;
+        continue;
+      }
+      state.pending.splice(position, 1);
+      startItem(state, item);
+    }
+  }
+}
+
+function activate(batch, items, doneIndexes = new Set()) {
+  const state = {
+    batch,
+    items,
+    pending: items.map(item => item.index).filter(index => !doneIndexes.has(index)),
+    running: 0,
+    controller: new AbortController(),
+  };
+  active.set(batch.id, state);
+  return state;
+}
+
+// Функция для создания пакета и постановки его запросов в очередь
+// owner - владелец (как у диалогов), tier - имя тарифа ключа, limit - { clientId, label, limit, exempt } для дневного лимита
+export async function createBatch({ owner, tier = null, limit, items }) {
+  const batch = {
+    id: crypto.randomUUID(),
+    owner: owner,
+    status: 'queued',
+    tier: tier,
+    limit: limit,
+    counts: { total: items.length, succeeded: 0, failed: 0 },
+    tokenUsage: { prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+  };
+  await fs.mkdir(getBatchesDir(), { recursive: true });
+  await fs.writeFile(getBatchPath(batch.id, '.requests.jsonl'), items.map(item => JSON.stringify(item)).join('\n') + '\n', 'utf8');
+  await saveBatch(batch);
+
+  const state = activate(batch, items);
+  logger.info(`📦 Created batch ${batch.id} with ${items.length} requests`);
+  schedule();
+  return state.batch;
+}
+
+// Функция для получения пакета (null, если не найден)
+export async function getBatch(id) {
+  if (!isValidId(id)) {
+    return null;
+  }
+  return active.get(id)?.batch || await readJsonFile(getBatchPath(id));
+}
+
+// Функция для получения пакетов владельца (новые первыми)
+export async function listBatches(owner) {
+  let files;
+  try {
+    files = await fs.readdir(getBatchesDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const batches = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    try {
+      const batch = await getBatch(path.basename(file, '.json'));
+      if (batch && batch.owner === owner) {
+        batches.push(toBatchSummary(batch));
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not read batch file ${file}`, { error: error.message });
+    }
+  }
+  return batches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Функция для получения результатов пакета в JSONL, в порядке запросов (выполненные к этому моменту)
+export async function readBatchResults(id) {
+  const results = await readResultsByIndex(id);
+  return [...results.values()]
+    .sort((a, b) => a.index - b.index)
+    .map(result => `${JSON.stringify(result)}\n`)
+    .join('');
+}
+
+// Функция для отмены пакета: ожидающие запросы не выполняются, выполняемые прерываются
+// Возвращает пакет (завершенный пакет не меняется)
+export async function cancelBatch(id) {
+  const state = active.get(id);
+  if (!state) {
+    return await getBatch(id);
+  }
+  state.pending = [];
+  await withLock(id, async () => {
+    state.batch.status = 'cancelled';
+    state.batch.completedAt = new Date().toISOString();
+    await saveBatch(state.batch);
+  });
+  state.controller.abort();
+  logger.info(`🛑 Cancelled batch ${id}`);
+  await finishIfDone(state);
+  return state.batch;
+}
+
+// Функция для удаления завершенного или отмененного пакета вместе с результатами
+// Возвращает false, если пакет не найден; выполняемый пакет нужно сначала отменить (ошибка 409)
+export async function deleteBatch(id) {
+  if (!isValidId(id)) {
+    return false;
+  }
+  if (active.has(id)) {
+    throw createBatchError('Batch is still running, cancel it first', 409);
+  }
+  return await withLock(id, async () => {
+    try {
+      await fs.unlink(getBatchPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await fs.rm(getBatchPath(id, '.requests.jsonl'), { force: true });
+    await fs.rm(getBatchPath(id, '.results.jsonl'), { force: true });
+    return true;
+  });
+}
+
+// Функция для продолжения пакетов, прерванных перезапуском сервера
+async function resumeBatches() {
+  let files;
+  try {
+    files = await fs.readdir(getBatchesDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  const unfinished = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const batch = await readJsonFile(path.join(getBatchesDir(), file));
+    if (batch && (batch.status === 'queued' || batch.status === 'running')) {
+      unfinished.push(batch);
+    }
+  }
+
+  for (const batch of unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    const items = await readJsonLines(getBatchPath(batch.id, '.requests.jsonl'));
+    const results = await readResultsByIndex(batch.id);
+    // Счетчики пересчитываются по файлу результатов: состояние могло не успеть сохраниться
+    const succeeded = [...results.values()].filter(result => result.status === 'ok');
+    const billed = [...results.values()].filter(result => result.tokenUsage);
+    batch.counts = { total: items.length, succeeded: succeeded.length, failed: results.size - succeeded.length };
+    batch.tokenUsage = {
+      prompt_tokens: billed.reduce((sum, result) => sum + (result.tokenUsage.prompt_tokens || 0), 0),
+      completion_tokens: billed.reduce((sum, result) => sum + (result.tokenUsage.completion_tokens || 0), 0),
+      cost_usd: Math.round(billed.reduce((sum, result) => sum + (result.tokenUsage.cost_usd || 0), 0) * 1_000_000) / 1_000_000,
+    };
+    const state = activate(batch, items, new Set(results.keys()));
+    logger.info(`📦 Resuming batch ${batch.id}: ${state.pending.length} of ${items.length} requests left`);
+    await finishIfDone(state);
+  }
+  schedule();
+}
+
+// Функция для запуска фоновой обработки пакетов
+// beforeItem(batch) вызывается перед каждым запросом: проверяет бюджет и лимит владельца пакета
+// (ошибка со status записывается в результат запроса) и возвращает { allowCandidate } для резервных моделей;
+// onSuccess(batch, upstream, tokenUsage, contextReport) - учет расходов и дневного лимита после ответа;
+// onBlocked(batch, upstream, tokenUsage, contextReport) - учет расходов ответа, отклоненного модерацией
+export async function startBatchWorker({ beforeItem, onSuccess, onBlocked }) {
+  hooks = { beforeItem, onSuccess, onBlocked };
+  await resumeBatches();
+}
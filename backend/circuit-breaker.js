@@ -0,0 +1,190 @@
+import { logger } from './logger.js';
+
+// Учет успешных и неудачных запросов к провайдерам и circuit breaker по каждой паре provider+model
+//
+// Состояния цепи:
+//   closed    - запросы проходят как обычно
+//   open      - после CIRCUIT_FAILURE_THRESHOLD ошибок подряд запросы сразу отклоняются
+//   half_open - по истечении CIRCUIT_COOLDOWN_MS пропускается один пробный запрос;
+//               успех закрывает цепь, ошибка снова открывает ее
+
+// Статистика по моделям: { 'provider:model': { state, consecutiveFailures, openedAt, trialInFlight, samples, ... } }
+const circuits = new Map();
+
+function getConfig() {
+  return {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10),
+    // Окно для расчета доли ошибок и перцентилей задержки
+    windowMs: parseInt(process.env.HEALTH_WINDOW_MS || String(5 * 60 * 1000), 10),
+    windowSize: parseInt(process.env.HEALTH_WINDOW_SIZE || '200', 10),
+  };
+}
+
+function getKey(providerId, model) {
+  return `${providerId}:${model}`;
+}
+
+function getCircuit(providerId, model) {
+  const key = getKey(providerId, model);
+  let circuit = circuits.get(key);
+  if (!circuit) {
+    circuit = {
+      provider: providerId,
+      model: model,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      samples: [], // [{ timestamp, ok, latencyMs }]
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+    };
+    circuits.set(key, circuit);
+  }
+  return circuit;
+}
+
+// Функция для удаления устаревших замеров из окна
+function pruneSamples(circuit, config) {
+  const cutoff = Date.now() - config.windowMs;
+  while (circuit.samples.length > 0 &&
+    (circuit.samples[0].timestamp < cutoff || circuit.samples.length > config.windowSize)) {
+    circuit.samples.shift();
+  }
+}
+
+function addSample(circuit, ok, latencyMs) {
+  const config = getConfig();
+  circuit.samples.push({ timestamp: Date.now(), ok, latencyMs });
+  pruneSamples(circuit, config);
+}
+
+// Функция для проверки, можно ли отправить запрос к модели
+// В состоянии half_open резервирует единственный пробный запрос
+export function canRequest(providerId, model) {
+  const circuit = circuits.get(getKey(providerId, model));
+  if (!circuit || circuit.state === 'closed') {
+    return true;
+  }
+
+  if (circuit.state === 'open') {
+    const { cooldownMs } = getConfig();
+    if (Date.now() - circuit.openedAt < cooldownMs) {
+      return false;
+    }
+    circuit.state = 'half_open';
+    circuit.trialInFlight = false;
+    logger.info(`🟡 Circuit half-open for ${circuit.provider} (${circuit.model}), sending trial request`);
+  }
+
+  // half_open: пропускаем только один пробный запрос
+  if (circuit.trialInFlight) {
+    return false;
+  }
+  circuit.trialInFlight = true;
+  return true;
+}
+
+// Функция для учета успешного ответа модели
+export function recordSuccess(providerId, model, latencyMs) {
+  const circuit = getCircuit(providerId, model);
+  addSample(circuit, true, latencyMs);
+  circuit.consecutiveFailures = 0;
+  circuit.lastSuccessAt = new Date().toISOString();
+
+  if (circuit.state !== 'closed') {
+    logger.info(`🟢 Circuit closed for ${providerId} (${model})`);
+  }
+  circuit.state = 'closed';
+  circuit.openedAt = null;
+  circuit.trialInFlight = false;
+}
+
+// Функция для учета ошибки модели
+export function recordFailure(providerId, model, latencyMs, error) {
+  const circuit = getCircuit(providerId, model);
+  const { failureThreshold } = getConfig();
+  addSample(circuit, false, latencyMs);
+  circuit.consecutiveFailures++;
+  circuit.lastError = error?.message || String(error);
+  circuit.lastErrorAt = new Date().toISOString();
+
+  const shouldOpen = circuit.state === 'half_open' || circuit.consecutiveFailures >= failureThreshold;
+  if (shouldOpen) {
+    if (circuit.state !== 'open') {
+      logger.warn(`🔴 Circuit opened for ${providerId} (${model}) after ${circuit.consecutiveFailures} consecutive failures`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+  circuit.trialInFlight = false;
+}
+
+// Функция для отмены зарезервированного пробного запроса (например, клиент отключился)
+export function releaseTrial(providerId, model) {
+  const circuit = circuits.get(getKey(providerId, model));
+  if (circuit) {
+    circuit.trialInFlight = false;
+  }
+}
+
+// Функция для проверки, открыта ли цепь модели (без резервирования пробного запроса)
+export function isCircuitOpen(providerId, model) {
+  const circuit = circuits.get(getKey(providerId, model));
+  if (!circuit || circuit.state !== 'open') {
+    return false;
+  }
+  return Date.now() - circuit.openedAt < getConfig().cooldownMs;
+}
+
+// Функция для расчета перцентиля (метод ближайшего ранга)
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank - 1, 0), sortedValues.length - 1)];
+}
+
+// Функция для получения статистики по всем моделям, к которым были запросы
+// Возвращает { provider: { model: { state, requests, errors, errorRate, latencyMs: { p50, p95, p99 }, ... } } }
+export function getCircuitStats() {
+  const config = getConfig();
+  const stats = {};
+
+  for (const circuit of circuits.values()) {
+    pruneSamples(circuit, config);
+    const latencies = circuit.samples
+      .filter(sample => sample.ok)
+      .map(sample => sample.latencyMs)
+      .sort((a, b) => a - b);
+    const errors = circuit.samples.filter(sample => !sample.ok).length;
+    const requests = circuit.samples.length;
+
+    // Открытая цепь с истекшим cooldown готова к пробному запросу
+    const state = circuit.state === 'open' && !isCircuitOpen(circuit.provider, circuit.model)
+      ? 'half_open'
+      : circuit.state;
+
+    stats[circuit.provider] = stats[circuit.provider] || {};
+    stats[circuit.provider][circuit.model] = {
+      state: state,
+      requests: requests,
+      errors: errors,
+      errorRate: requests > 0 ? Math.round((errors / requests) * 1000) / 1000 : 0,
+      consecutiveFailures: circuit.consecutiveFailures,
+      latencyMs: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+      },
+      lastSuccessAt: circuit.lastSuccessAt,
+      lastError: circuit.lastError,
+      lastErrorAt: circuit.lastErrorAt,
+    };
+  }
+
+  return stats;
+}
@@ -0,0 +1,244 @@
+import { getProvider, getDefaultProviderId } from './providers/index.js';
+import { sendWithFailover } from './failover.js';
+import { fitMessagesToContext } from './context-window.js';
+import { extractTokenUsage } from './tokens.js';
+import { normalizeCompletionReasoning } from './reasoning.js';
+import { moderateText } from './moderation.js';
+import { logger } from './logger.js';
+import { isModelListed } from './request-validation.js';
+
+// Сравнение ответов нескольких моделей на один и тот же диалог
+//
+// Цели сравнения:
+//   { provider, model }        - конкретная модель
+//   { provider?, preset }      - пресет провайдера (top, medium, light), по умолчанию у провайдера по умолчанию
+//   'provider:model'           - то же строкой (как в FALLBACK_CHAIN); вместо модели можно указать пресет
+//   'top' | 'medium' | 'light' - пресет провайдера по умолчанию
+
+const PRESET_KEYS = ['top', 'medium', 'light'];
+
+export function getCompareConfig() {
+  return {
+    maxTargets: parseInt(process.env.COMPARE_MAX_TARGETS || '6', 10),
+    concurrency: parseInt(process.env.COMPARE_CONCURRENCY || '3', 10),
+  };
+}
+
+function createRequestError(message) {
+  const error = new Error(`Invalid request. ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// Функция для приведения цели сравнения к виду { provider, model, preset }
+function resolveTarget(target, index) {
+  let providerId;
+  let model;
+  let preset;
+
+  if (typeof target === 'string') {
+    if (PRESET_KEYS.includes(target)) {
+      preset = target;
+    } else {
+      const separator = target.indexOf(':');
+      if (separator <= 0) {
+        throw createRequestError(`targets[${index}] must be "provider:model" or one of ${PRESET_KEYS.join(', ')}`);
+      }
+      providerId = target.substring(0, separator);
+      model = target.substring(separator + 1);
+    }
+  } else if (target && typeof target === 'object') {
+    providerId = target.provider;
+    model = target.model;
+    preset = target.preset;
+  } else {
+    throw createRequestError(`targets[${index}] must be a string or an object { provider, model | preset }`);
+  }
+
+  const provider = getProvider(providerId || getDefaultProviderId());
+  if (!provider) {
+    throw createRequestError(`targets[${index}]: unknown provider "${providerId}"`);
+  }
+
+  // 'provider:top' - пресет, если у провайдера нет модели с таким именем
+  if (!preset && PRESET_KEYS.includes(model) && provider.presets[model]) {
+    preset = model;
+    model = undefined;
+  }
+  if (preset) {
+    if (!provider.presets[preset]) {
+      throw createRequestError(`targets[${index}]: provider "${provider.id}" has no "${preset}" preset`);
+    }
+    model = provider.presets[preset];
+  }
+  if (model && !isModelListed(provider, model)) {
+    throw createRequestError(`targets[${index}]: "${model}" is not in the ${provider.name} model catalog`);
+  }
+
+  return {
+    provider: provider.id,
+    model: model || provider.getDefaultModel(),
+    ...(preset && { preset }),
+  };
+}
+
+// Функция для разбора списка целей сравнения (повторяющиеся модели убираются)
+export function resolveCompareTargets(targets) {
+  const { maxTargets } = getCompareConfig();
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw createRequestError('targets must be a non-empty array');
+  }
+  if (targets.length > maxTargets) {
+    throw createRequestError(`at most ${maxTargets} targets can be compared at once`);
+  }
+
+  const resolved = [];
+  targets.forEach((target, index) => {
+    const entry = resolveTarget(target, index);
+    if (!resolved.some(item => item.provider === entry.provider && item.model === entry.model)) {
+      resolved.push(entry);
+    }
+  });
+  return resolved;
+}
+
+// Функция для обработки элементов с ограничением числа одновременно выполняемых задач
+// Результаты возвращаются в порядке элементов
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runWorker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Функция для получения ответа одной модели; ошибки не пробрасываются, а возвращаются в результате
+async function compareTarget(target, { messagesWithSystem, temperature, contextStrategy, signal, isAllowed, onSuccess, onBlocked, moderation }) {
+  const startedAt = Date.now();
+  // У каждой модели свой отчет модерации: находки запроса общие, находки ответа - свои
+  const report = moderation ? structuredClone(moderation) : null;
+  let tokenUsage = null;
+  try {
+    if (isAllowed && !isAllowed(target)) {
+      const error = new Error(`Model ${target.model} is not allowed for this API key`);
+      error.status = 403;
+      throw error;
+    }
+
+    const fitted = await fitMessagesToContext({
+      messages: messagesWithSystem,
+      providerId: target.provider,
+      model: target.model,
+      strategy: contextStrategy,
+      signal,
+    });
+    if (fitted.report.exceedsLimit && fitted.report.strategy !== 'none') {
+      const error = new Error(`Prompt exceeds model context window (${fitted.report.finalTokens} of ${fitted.report.limit} tokens)`);
+      error.status = 413;
+      throw error;
+    }
+
+    // Без резервных моделей: сравнивается именно запрошенная модель
+    const upstream = await sendWithFailover({
+      providerId: target.provider,
+      model: target.model,
+      messagesWithSystem: fitted.messages,
+      temperature,
+      signal,
+      fallback: false,
+    });
+
+    const data = upstream.result;
+    let reasoning = normalizeCompletionReasoning(data);
+    let content = data.choices?.[0]?.message?.content || '';
+    tokenUsage = extractTokenUsage(data, fitted.messages, content, upstream.model, upstream.provider.id, reasoning);
+
+    // Отклоненный модерацией ответ не возвращается, но его токены учитываются в расходах
+    if (report) {
+      const moderatedContent = moderateText(content, 'reply', report);
+      const moderatedReasoning = moderateText(reasoning, 'reply', report);
+      if (moderatedContent.blocked || moderatedReasoning.blocked) {
+        if (onBlocked) {
+          await onBlocked(upstream, tokenUsage, fitted.report);
+        }
+        const error = new Error('Response blocked by moderation');
+        error.status = 422;
+        throw error;
+      }
+      content = moderatedContent.text;
+      reasoning = moderatedReasoning.text;
+    }
+    if (onSuccess) {
+      await onSuccess(upstream, tokenUsage, fitted.report);
+    }
+
+    logger.info(`⚖️ ${target.provider} (${target.model}) answered in ${Date.now() - startedAt}ms`);
+    return {
+      ...target,
+      status: 'ok',
+      content: content,
+      ...(reasoning && { reasoning }),
+      finish_reason: data.choices?.[0]?.finish_reason ?? null,
+      latencyMs: Date.now() - startedAt,
+      tokenUsage: tokenUsage,
+      routing: upstream.routing,
+      context: fitted.report,
+      ...(report && { moderation: report }),
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    logger.warn(`⚠️ ${target.provider} (${target.model}) failed in comparison: ${error.message}`);
+    // Как и в /api/chat, не раскрываем, какой ключ не задан на сервере
+    const message = error.message.includes('is not set')
+      ? 'Server configuration error: API key not set'
+      : error.message;
+    return {
+      ...target,
+      status: 'error',
+      content: null,
+      latencyMs: Date.now() - startedAt,
+      tokenUsage: tokenUsage,
+      ...(report && { moderation: report }),
+      error: {
+        message: message,
+        status: error.status ?? null,
+        circuitOpen: Boolean(error.circuitOpen),
+        timeout: error.name === 'TimeoutError',
+      },
+    };
+  }
+}
+
+// Функция для параллельного опроса нескольких моделей
+// isAllowed(target) - проверка доступа к модели (тариф ключа), недоступные модели возвращаются с ошибкой 403
+// onSuccess(upstream, tokenUsage, contextReport) вызывается для каждого успешного ответа (учет расходов и лимитов)
+// moderation - отчет модерации запроса; если передан, ответы проверяются правилами модерации,
+// а для отклоненных вызывается onBlocked(upstream, tokenUsage, contextReport) (учет расходов)
+// Возвращает { results, summary: { total, succeeded, failed, totalLatencyMs } }
+export async function compareModels({ targets, messagesWithSystem, temperature, contextStrategy, concurrency, signal, isAllowed, onSuccess, onBlocked, moderation }) {
+  const startedAt = Date.now();
+  const results = await mapWithConcurrency(targets, concurrency, target =>
+    compareTarget(target, { messagesWithSystem, temperature, contextStrategy, signal, isAllowed, onSuccess, onBlocked, moderation })
+  );
+  const succeeded = results.filter(result => result.status === 'ok').length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded: succeeded,
+      failed: results.length - succeeded,
+      totalLatencyMs: Date.now() - startedAt,
+    },
+  };
+}
@@ -0,0 +1,210 @@
+import { getProvider, getModelContextLimit } from './providers/index.js';
+import { sendWithFailover } from './failover.js';
+import { estimateTokens, countMessageTokens } from './tokens.js';
+import { logger } from './logger.js';
+
+// Управление контекстным окном: перед отправкой история подгоняется под лимит модели
+//
+// Стратегии:
+//   none           - история отправляется как есть
+//   truncate       - при превышении лимита удаляются самые старые сообщения
+//   sliding_window - всегда остаются только последние CONTEXT_WINDOW_MESSAGES сообщений (и при необходимости truncate)
+//   summarize      - при превышении лимита старые сообщения заменяются кратким содержанием от дешевой модели
+
+export const CONTEXT_STRATEGIES = ['none', 'truncate', 'sliding_window', 'summarize'];
+
+// Промпт для суммаризации контекста (тот же, что использует Flutter клиент)
+const SUMMARIZATION_PROMPT = 'Суммаризируй кратко весь предыдущий контекст нашего разговора, сохранив ключевые темы, важные детали и контекст для продолжения диалога. Суммаризация должна быть краткой, но информативной.';
+
+function getContextConfig() {
+  return {
+    strategy: process.env.CONTEXT_STRATEGY || 'truncate',
+    // Запас токенов под ответ модели
+    responseReserveTokens: parseInt(process.env.CONTEXT_RESPONSE_RESERVE_TOKENS || '2048', 10),
+    windowMessages: parseInt(process.env.CONTEXT_WINDOW_MESSAGES || '20', 10),
+    // Сколько последних сообщений не суммаризируются
+    summaryKeepMessages: parseInt(process.env.CONTEXT_SUMMARY_KEEP_MESSAGES || '4', 10),
+    summaryProvider: process.env.CONTEXT_SUMMARY_PROVIDER,
+    summaryModel: process.env.CONTEXT_SUMMARY_MODEL,
+  };
+}
+
+function sumTokens(tokenCounts) {
+  return tokenCounts.reduce((total, count) => total + count, 0);
+}
+
+// Функция для получения бюджета токенов на промпт: лимит модели минус запас под ответ
+// (запас не больше четверти окна, чтобы не съесть маленькие контексты целиком)
+export function getPromptBudget(model, providerId) {
+  const { responseReserveTokens } = getContextConfig();
+  const limit = getModelContextLimit(model, providerId);
+  const reserve = Math.min(responseReserveTokens, Math.floor(limit / 4));
+  return { limit, budget: limit - reserve };
+}
+
+// Функция для удаления самых старых сообщений диалога, пока он не уложится в бюджет
+// Последнее сообщение всегда остается; история не начинается с ответа ассистента или результата инструмента
+function truncateOldest(turns, turnTokens, budget) {
+  let start = 0;
+  while (start < turns.length - 1 && sumTokens(turnTokens.slice(start)) > budget) {
+    start++;
+  }
+  while (start < turns.length - 1 && (turns[start].role === 'assistant' || turns[start].role === 'tool')) {
+    start++;
+  }
+  return start;
+}
+
+// Функция для суммаризации старой части диалога
+async function summarizeMessages(messages, { providerId, model, signal }) {
+  const config = getContextConfig();
+  const summaryProviderId = config.summaryProvider || providerId;
+  const summaryProvider = getProvider(summaryProviderId);
+  if (!summaryProvider) {
+    throw new Error(`Summary provider "${summaryProviderId}" is not registered`);
+  }
+  // По умолчанию используется самая легкая модель провайдера
+  const summaryModel = config.summaryModel ||
+    (config.summaryProvider ? summaryProvider.getDefaultModel() : summaryProvider.presets.light || model);
+
+  // Если сама старая часть не помещается в окно модели суммаризации, берем ее последние сообщения
+  const { budget } = getPromptBudget(summaryModel, summaryProvider.id);
+  const tokenCounts = messages.map(message => countMessageTokens(message, summaryModel));
+  const start = truncateOldest(messages, tokenCounts, budget - estimateTokens(SUMMARIZATION_PROMPT, summaryModel));
+
+  const transcript = messages
+    .slice(start)
+    .map(message => `${message.role}: ${message.content}`)
+    .join('\n\n');
+
+  logger.info(`📝 Summarizing ${messages.length - start} messages with ${summaryProvider.name} (${summaryModel})`);
+  const upstream = await sendWithFailover({
+    providerId: summaryProvider.id,
+    model: summaryModel,
+    messagesWithSystem: [
+      { role: 'system', content: SUMMARIZATION_PROMPT },
+      { role: 'user', content: transcript },
+    ],
+    temperature: 0.3,
+    signal: signal,
+    fallback: false,
+  });
+
+  const summary = upstream.result.choices?.[0]?.message?.content?.trim();
+  if (!summary) {
+    throw new Error('Summary model returned an empty response');
+  }
+
+  return {
+    summary,
+    provider: summaryProvider.id,
+    model: upstream.model,
+    usage: upstream.result.usage || null,
+  };
+}
+
+// Функция для подгонки сообщений под контекстное окно модели
+// messages - сообщения вместе с системным промптом
+// Возвращает { messages, report }, где report описывает, что было удалено или суммаризировано
+export async function fitMessagesToContext({ messages, providerId, model, strategy, signal }) {
+  const config = getContextConfig();
+  const selectedStrategy = strategy || config.strategy;
+  const { limit, budget } = getPromptBudget(model, providerId);
+
+  // Системные сообщения в начале сохраняются всегда
+  const systemCount = messages.findIndex(message => message.role !== 'system');
+  const systemMessages = systemCount === -1 ? messages : messages.slice(0, systemCount);
+  let turns = systemCount === -1 ? [] : messages.slice(systemCount);
+
+  const systemTokens = sumTokens(systemMessages.map(message => countMessageTokens(message, model)));
+  let turnTokens = turns.map(message => countMessageTokens(message, model));
+  const originalTokens = systemTokens + sumTokens(turnTokens);
+
+  const report = {
+    strategy: selectedStrategy,
+    applied: false,
+    limit: limit,
+    budget: budget,
+    originalTokens: originalTokens,
+    finalTokens: originalTokens,
+    droppedMessages: 0,
+    exceedsLimit: originalTokens > limit,
+    summarizedMessages: 0,
+    summary: null,
+  };
+
+  if (selectedStrategy === 'none' || turns.length === 0) {
+    return { messages, report };
+  }
+
+  const turnBudget = budget - systemTokens;
+  let dropped = 0;
+
+  // Скользящее окно: оставляем только последние сообщения
+  if (selectedStrategy === 'sliding_window' && turns.length > config.windowMessages) {
+    dropped = turns.length - config.windowMessages;
+    turns = turns.slice(dropped);
+    turnTokens = turnTokens.slice(dropped);
+  }
+
+  let summaryMessage = null;
+  if (sumTokens(turnTokens) > turnBudget) {
+    if (selectedStrategy === 'summarize') {
+      // Суммаризируем все, кроме последних сообщений; оставшаяся часть начинается с сообщения пользователя
+      let splitIndex = Math.max(turns.length - Math.max(config.summaryKeepMessages, 1), 0);
+      while (splitIndex > 0 && (turns[splitIndex].role === 'assistant' || turns[splitIndex].role === 'tool')) {
+        splitIndex--;
+      }
+      const older = turns.slice(0, splitIndex);
+
+      if (older.length > 0) {
+        try {
+          const result = await summarizeMessages(older, { providerId, model, signal });
+          summaryMessage = {
+            role: 'system',
+            content: `Краткое содержание предыдущей части разговора:\n${result.summary}`,
+          };
+          report.summarizedMessages = older.length;
+          report.summary = result.summary;
+          report.summaryModel = { provider: result.provider, model: result.model };
+          report.summaryUsage = result.usage;
+          turns = turns.slice(older.length);
+          turnTokens = turnTokens.slice(older.length);
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          // При ошибке суммаризации продолжаем с обрезкой старых сообщений
+          logger.warn('⚠️ Context summarization failed, truncating instead', { error: error.message });
+          report.summaryError = error.message;
+        }
+      }
+    }
+
+    const summaryTokens = summaryMessage ? countMessageTokens(summaryMessage, model) : 0;
+    const start = truncateOldest(turns, turnTokens, turnBudget - summaryTokens);
+    dropped += start;
+    turns = turns.slice(start);
+    turnTokens = turnTokens.slice(start);
+  }
+
+  const finalMessages = [
+    ...systemMessages,
+    ...(summaryMessage ? [summaryMessage] : []),
+    ...turns,
+  ];
+
+  report.droppedMessages = dropped;
+  report.applied = dropped > 0 || summaryMessage !== null;
+  report.finalTokens = systemTokens +
+    (summaryMessage ? countMessageTokens(summaryMessage, model) : 0) +
+    sumTokens(turnTokens);
+  // Даже последние сообщения не помещаются в окно модели
+  report.exceedsLimit = report.finalTokens > limit;
+
+  if (report.applied) {
+    logger.info(`✂️ Context fitted (${selectedStrategy}): ${report.originalTokens} -> ${report.finalTokens} tokens, dropped ${report.droppedMessages}, summarized ${report.summarizedMessages}`);
+  }
+
+  return { messages: finalMessages, report };
+}
@@ -0,0 +1,164 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Файловое хранилище диалогов: один JSON файл на диалог в DATA_DIR/conversations
+// {
+//   id, owner, title, systemPrompt, provider, model, temperature, createdAt, updatedAt,
+//   messages: [{ id, role, content, createdAt, tokenUsage?, provider?, model? }]
+// }
+
+// Очереди записи по диалогам, чтобы параллельные запросы не затирали сообщения друг друга
+const locks = new Map();
+
+function getConversationsDir() {
+  return path.join(getDataDir(), 'conversations');
+}
+
+// Идентификаторы - UUID, что заодно исключает выход за пределы каталога через путь
+function isValidId(id) {
+  return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+function getConversationPath(id) {
+  return path.join(getConversationsDir(), `${id}.json`);
+}
+
+async function readConversationFile(id) {
+  return await readJsonFile(getConversationPath(id));
+}
+
+// Функция для последовательного выполнения операций над одним диалогом
+async function withLock(id, operation) {
+  const previous = locks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(operation);
+  locks.set(id, current);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(id) === current) {
+      locks.delete(id);
+    }
+  }
+}
+
+// Функция для получения краткой информации о диалоге (без сообщений)
+export function toConversationSummary(conversation) {
+  const { messages, owner, ...summary } = conversation;
+  return {
+    ...summary,
+    messageCount: messages.length,
+  };
+}
+
+// Функция для создания диалога
+export async function createConversation({ owner, title, systemPrompt, provider, model, temperature }) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    owner: owner,
+    title: title || null,
+    systemPrompt: systemPrompt || null,
+    provider: provider || null,
+    model: model || null,
+    temperature: temperature ?? null,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+  };
+  await writeJsonAtomic(getConversationPath(conversation.id), conversation);
+  return conversation;
+}
+
+// Функция для получения диалога вместе с сообщениями (null, если не найден)
+export async function getConversation(id) {
+  if (!isValidId(id)) {
+    return null;
+  }
+  return await readConversationFile(id);
+}
+
+// Функция для получения списка диалогов владельца (новые сверху)
+export async function listConversations(owner) {
+  let files;
+  try {
+    files = await fs.readdir(getConversationsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const conversations = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    try {
+      const conversation = await readConversationFile(path.basename(file, '.json'));
+      if (conversation && conversation.owner === owner) {
+        conversations.push(toConversationSummary(conversation));
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not read conversation file ${file}`, { error: error.message });
+    }
+  }
+
+  return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Функция для удаления диалога, возвращает false, если диалог не найден
+export async function deleteConversation(id) {
+  if (!isValidId(id)) {
+    return false;
+  }
+  return await withLock(id, async () => {
+    try {
+      await fs.unlink(getConversationPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  });
+}
+
+// Функция для добавления сообщений в диалог
+// messages: [{ role, content, tokenUsage?, provider?, model? }], возвращает обновленный диалог или null
+export async function appendMessages(id, messages) {
+  if (!isValidId(id)) {
+    return null;
+  }
+  return await withLock(id, async () => {
+    const conversation = await readConversationFile(id);
+    if (!conversation) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    for (const message of messages) {
+      conversation.messages.push({
+        id: crypto.randomUUID(),
+        createdAt: now,
+        ...message,
+      });
+    }
+
+    // Название по умолчанию - начало первого сообщения пользователя
+    if (!conversation.title) {
+      const firstUserMessage = conversation.messages.find(message => message.role === 'user');
+      if (firstUserMessage) {
+        conversation.title = firstUserMessage.content.substring(0, 60);
+      }
+    }
+
+    conversation.updatedAt = now;
+    await writeJsonAtomic(getConversationPath(id), conversation);
+    return conversation;
+  });
+}
@@ -0,0 +1,223 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { getProvider } from './providers/index.js';
+import { getModelInfo } from './model-catalog.js';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Учет стоимости запросов и бюджетные лимиты по клиентам (IP или API ключ)
+//
+// Журнал хранится в DATA_DIR/usage-ledger.json:
+// { owner: { 'YYYY-MM-DD': { 'provider:model': { requests, prompt_tokens, completion_tokens, cost } } } }
+
+let ledger = null;
+let loadingPromise = null;
+let writing = false;
+let dirty = false;
+
+// Цены из PRICING_FILE: { provider: { model: { input, output }, '*': { input, output } } }
+let pricingOverrides = null;
+
+function getLedgerPath() {
+  return path.join(getDataDir(), 'usage-ledger.json');
+}
+
+function getBudgetConfig() {
+  return {
+    // Лимиты расходов в USD, 0 - без ограничений
+    daily: parseFloat(process.env.DAILY_BUDGET_USD || '0'),
+    monthly: parseFloat(process.env.MONTHLY_BUDGET_USD || '0'),
+    // Сколько дней хранить историю расходов
+    retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS || '400', 10),
+  };
+}
+
+// Функция для загрузки журнала расходов и файла цен (один раз при первом обращении)
+async function loadLedger() {
+  if (ledger) {
+    return ledger;
+  }
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      ledger = (await readJsonFile(getLedgerPath())) || {};
+
+      if (process.env.PRICING_FILE) {
+        try {
+          pricingOverrides = JSON.parse(await fs.readFile(process.env.PRICING_FILE, 'utf8'));
+          logger.info(`💲 Loaded pricing overrides from ${process.env.PRICING_FILE}`);
+        } catch (error) {
+          logger.warn(`⚠️ Could not load PRICING_FILE ${process.env.PRICING_FILE}`, { error: error.message });
+        }
+      }
+
+      return ledger;
+    })();
+  }
+  return await loadingPromise;
+}
+
+// Функция для сохранения журнала: записи объединяются, пока предыдущая запись не завершилась
+async function saveLedger() {
+  dirty = true;
+  if (writing) {
+    return;
+  }
+  writing = true;
+  try {
+    while (dirty) {
+      dirty = false;
+      await writeJsonAtomic(getLedgerPath(), ledger);
+    }
+  } catch (error) {
+    logger.error('❌ Could not save usage ledger', { error: error.message });
+  } finally {
+    writing = false;
+  }
+}
+
+function getDateKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+// Функция для получения цены модели в USD за 1M токенов
+// Порядок: PRICING_FILE (модель, затем '*'), цена из каталога моделей, цена провайдера по умолчанию
+export function getModelPricing(providerId, model) {
+  const overrides = pricingOverrides?.[providerId];
+  if (overrides?.[model]) {
+    return overrides[model];
+  }
+  if (overrides?.['*']) {
+    return overrides['*'];
+  }
+
+  const info = getModelInfo(providerId, model);
+  if (info?.pricing) {
+    return info.pricing;
+  }
+  return getProvider(providerId)?.defaultPricing || { input: 0, output: 0 };
+}
+
+// Функция для расчета стоимости запроса по tokenUsage
+export function calculateCost(providerId, model, tokenUsage) {
+  const pricing = getModelPricing(providerId, model);
+  const cost = ((tokenUsage.prompt_tokens || 0) * pricing.input +
+    (tokenUsage.completion_tokens || 0) * pricing.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+// Функция для удаления записей старше срока хранения
+function pruneOwner(days, retentionDays) {
+  const cutoff = getDateKey(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+  for (const date of Object.keys(days)) {
+    if (date < cutoff) {
+      delete days[date];
+    }
+  }
+}
+
+// Функция для записи расходов клиента, возвращает стоимость запроса в USD
+export async function recordUsage(owner, providerId, model, tokenUsage) {
+  await loadLedger();
+  const cost = calculateCost(providerId, model, tokenUsage);
+  const date = getDateKey();
+  const key = `${providerId}:${model}`;
+
+  const days = ledger[owner] || (ledger[owner] = {});
+  const models = days[date] || (days[date] = {});
+  const entry = models[key] || (models[key] = { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 });
+
+  entry.requests++;
+  entry.prompt_tokens += tokenUsage.prompt_tokens || 0;
+  entry.completion_tokens += tokenUsage.completion_tokens || 0;
+  entry.cost = Math.round((entry.cost + cost) * 1_000_000) / 1_000_000;
+
+  pruneOwner(days, getBudgetConfig().retentionDays);
+  await saveLedger();
+
+  logger.info(`💲 Cost for ${owner}: $${cost.toFixed(6)} (${key})`);
+  return cost;
+}
+
+// Функция для суммирования расходов по дням, подходящим под фильтр
+function sumSpent(days, predicate) {
+  let total = 0;
+  for (const [date, models] of Object.entries(days)) {
+    if (!predicate(date)) {
+      continue;
+    }
+    for (const entry of Object.values(models)) {
+      total += entry.cost;
+    }
+  }
+  return Math.round(total * 1_000_000) / 1_000_000;
+}
+
+// Функция для проверки бюджета клиента
+// Возвращает { allowed, daily: { spent, limit }, monthly: { spent, limit } }
+export async function checkBudget(owner) {
+  await loadLedger();
+  const config = getBudgetConfig();
+  const days = ledger[owner] || {};
+  const today = getDateKey();
+  const month = today.substring(0, 7);
+
+  const dailySpent = sumSpent(days, date => date === today);
+  const monthlySpent = sumSpent(days, date => date.startsWith(month));
+
+  const dailyExceeded = config.daily > 0 && dailySpent >= config.daily;
+  const monthlyExceeded = config.monthly > 0 && monthlySpent >= config.monthly;
+
+  return {
+    allowed: !dailyExceeded && !monthlyExceeded,
+    exceeded: dailyExceeded ? 'daily' : (monthlyExceeded ? 'monthly' : null),
+    daily: { spent: dailySpent, limit: config.daily || null },
+    monthly: { spent: monthlySpent, limit: config.monthly || null },
+  };
+}
+
+// Функция для сложения записи журнала в агрегат
+function addEntry(target, entry) {
+  target.requests += entry.requests;
+  target.prompt_tokens += entry.prompt_tokens;
+  target.completion_tokens += entry.completion_tokens;
+  target.cost = Math.round((target.cost + entry.cost) * 1_000_000) / 1_000_000;
+}
+
+function emptyTotals() {
+  return { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+}
+
+// Функция для построения отчета о расходах клиента с разбивкой по дням, месяцам и моделям
+export async function getUsageReport(owner, { days: dayCount = 30 } = {}) {
+  await loadLedger();
+  const days = ledger[owner] || {};
+  const cutoff = getDateKey(new Date(Date.now() - (dayCount - 1) * 24 * 60 * 60 * 1000));
+
+  const daily = [];
+  const monthlyMap = new Map();
+
+  for (const date of Object.keys(days).sort()) {
+    const month = date.substring(0, 7);
+    const monthTotals = monthlyMap.get(month) || { month, ...emptyTotals(), models: {} };
+    const dayTotals = { date, ...emptyTotals(), models: {} };
+
+    for (const [key, entry] of Object.entries(days[date])) {
+      addEntry(dayTotals, entry);
+      addEntry(monthTotals, entry);
+      addEntry(dayTotals.models[key] || (dayTotals.models[key] = emptyTotals()), entry);
+      addEntry(monthTotals.models[key] || (monthTotals.models[key] = emptyTotals()), entry);
+    }
+
+    monthlyMap.set(month, monthTotals);
+    if (date >= cutoff) {
+      daily.push(dayTotals);
+    }
+  }
+
+  return {
+    currency: 'USD',
+    daily: daily,
+    monthly: [...monthlyMap.values()],
+    budget: await checkBudget(owner),
+  };
+}
@@ -0,0 +1,325 @@
+import { getProvider } from './providers/index.js';
+import { canRequest, recordSuccess, recordFailure, releaseTrial } from './circuit-breaker.js';
+import { logger } from './logger.js';
+import { recordUpstreamError } from './metrics.js';
+
+// Настройки повторных попыток и переключения между моделями (читаются при каждом запросе,
+// так как модуль загружается раньше dotenv.config())
+function getFailoverConfig() {
+  return {
+    // Цепочка резервных моделей в формате provider:model через запятую, например
+    // deepseek:deepseek-chat,huggingface:Qwen/Qwen2.5-72B-Instruct,huggingface:google/gemma-2-9b-it
+    chain: parseFallbackChain(process.env.FALLBACK_CHAIN),
+    // Количество попыток для одной модели при временных ошибках (429, 5xx, таймаут, сеть)
+    maxAttempts: Math.max(parseInt(process.env.RETRY_MAX_ATTEMPTS || '2', 10), 1),
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '8000', 10),
+    // Таймаут одной попытки (до получения ответа или начала потока)
+    attemptTimeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS || '60000', 10),
+  };
+}
+
+// Функция для разбора цепочки резервных моделей
+// Провайдер отделяется первым двоеточием: в именах моделей двоеточие допустимо (zai-org/GLM-4.7-Flash:novita)
+export function parseFallbackChain(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const separatorIndex = entry.indexOf(':');
+      if (separatorIndex === -1) {
+        logger.warn(`⚠️ Invalid FALLBACK_CHAIN entry "${entry}", expected provider:model`);
+        return null;
+      }
+      return {
+        provider: entry.slice(0, separatorIndex),
+        model: entry.slice(separatorIndex + 1),
+      };
+    })
+    .filter(Boolean);
+}
+
+// Функция для определения, как поступить с ошибкой:
+//   'retry'    - временная ошибка, можно повторить запрос к той же модели
+//   'failover' - модель или провайдер недоступны, сразу переходим к следующей модели
+//   'fatal'    - ошибка запроса, переключение не поможет
+function classifyError(error) {
+  if (error.name === 'TimeoutError') {
+    return 'retry';
+  }
+  if (error.modelUnsupported) {
+    return 'failover';
+  }
+  if (error.message.includes('is not set')) {
+    return 'failover';
+  }
+  if (error.status === 429 || error.status >= 500) {
+    return 'retry';
+  }
+  if (error.status === 401 || error.status === 402 || error.status === 403) {
+    return 'failover';
+  }
+  if (error.status === undefined && error.name !== 'AbortError') {
+    // Сетевая ошибка (fetch failed, ECONNRESET и т.п.)
+    return 'retry';
+  }
+  return 'fatal';
+}
+
+// Функция для определения категории ошибки провайдера для метрик
+function getErrorCategory(error) {
+  if (error.name === 'TimeoutError') {
+    return 'timeout';
+  }
+  if (error.modelUnsupported) {
+    return 'model_unsupported';
+  }
+  if (error.message.includes('is not set') || error.status === 401 || error.status === 402 || error.status === 403) {
+    return 'auth';
+  }
+  if (error.status === 429) {
+    return 'rate_limit';
+  }
+  if (error.status >= 500) {
+    return 'server_error';
+  }
+  if (error.status === undefined) {
+    return 'network';
+  }
+  return 'client_error';
+}
+
+// Функция для расчета задержки: экспоненциальный рост с джиттером (от половины до полной задержки)
+// Если провайдер прислал Retry-After, ждем не меньше указанного времени
+function getBackoffDelay(attempt, config, error) {
+  const exponential = Math.min(config.baseDelayMs * 2 ** (attempt - 1), config.maxDelayMs);
+  const delay = exponential / 2 + Math.random() * exponential / 2;
+  if (error.retryAfter) {
+    return Math.min(Math.max(delay, error.retryAfter * 1000), config.maxDelayMs);
+  }
+  return delay;
+}
+
+// Функция ожидания, прерываемая при отключении клиента
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Функция для выполнения одной попытки с собственным таймаутом
+// Таймаут действует до получения ответа: в потоковом режиме передача после начала не прерывается
+async function sendAttempt(provider, messagesWithSystem, temperature, model, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    const timeoutError = new Error(`${provider.name} API timeout after ${timeoutMs}ms`);
+    timeoutError.name = 'TimeoutError';
+    controller.abort(timeoutError);
+  }, timeoutMs);
+
+  // Отключение клиента прерывает текущую попытку
+  const onClientAbort = () => controller.abort(options.signal.reason);
+  options.signal?.addEventListener('abort', onClientAbort, { once: true });
+
+  try {
+    return await provider.sendChat(messagesWithSystem, temperature, model, {
+      ...options,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    // fetch отклоняет промис с причиной abort - восстанавливаем понятную ошибку таймаута
+    if (controller.signal.aborted && controller.signal.reason?.name === 'TimeoutError' && !options.signal?.aborted) {
+      throw controller.signal.reason;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (!options.stream) {
+      options.signal?.removeEventListener('abort', onClientAbort);
+    }
+  }
+}
+
+// Функция для отправки запроса с повторными попытками и переключением на резервные модели
+// Возвращает { result, provider, model, routing }, где result - JSON ответа или Response потока
+// routing: { provider, model, attempts, fallbackUsed, failures: [{ provider, model, status, message }] }
+// allowCandidate(providerId, model) - фильтр резервных моделей (например, по тарифу ключа клиента)
+// jsonMode - запросить JSON mode у моделей, которые его поддерживают; в результате jsonMode показывает, был ли он включен
+// tools, toolChoice - определения инструментов; модели без поддержки tools пропускаются
+// generationParams - параметры генерации в формате OpenAI (max_tokens, top_p, stop, presence_penalty, seed),
+// передаются провайдеру как есть; модели, которые их не принимают, пропускаются
+export async function sendWithFailover({ providerId, model, messagesWithSystem, temperature, stream = false, signal, fallback = true, allowCandidate, jsonMode = false, tools, toolChoice, generationParams }) {
+  const config = getFailoverConfig();
+
+  // Запрошенная модель всегда первая, затем цепочка без дубликатов и недоступных клиенту моделей
+  const candidates = [{ provider: providerId, model }];
+  if (fallback) {
+    for (const entry of config.chain) {
+      const duplicate = candidates.some(candidate => candidate.provider === entry.provider && candidate.model === entry.model);
+      if (duplicate) {
+        continue;
+      }
+      if (allowCandidate && !allowCandidate(entry.provider, entry.model || getProvider(entry.provider)?.getDefaultModel())) {
+        logger.info(`⏭️ Skipping fallback ${entry.provider}:${entry.model || 'default'} (not allowed for client)`);
+        continue;
+      }
+      candidates.push(entry);
+    }
+  }
+
+  const failures = [];
+  let attempts = 0;
+  let lastError = null;
+  // Модели, пропущенные без попытки, потому что не могут выполнить сам запрос (tools, параметры генерации)
+  const skipped = [];
+  let circuitOpen = false;
+
+  for (const [candidateIndex, candidate] of candidates.entries()) {
+    const provider = getProvider(candidate.provider);
+    if (!provider) {
+      logger.warn(`⚠️ Skipping unknown provider "${candidate.provider}" in fallback chain`);
+      continue;
+    }
+    const candidateModel = candidate.model || provider.getDefaultModel();
+    const responseFormat = jsonMode && provider.supportsJsonMode(candidateModel) ? { type: 'json_object' } : undefined;
+
+    if (tools && tools.length > 0 && !provider.supportsTools(candidateModel)) {
+      logger.warn(`⚠️ ${provider.name} (${candidateModel}) does not support tools, skipping`);
+      failures.push({
+        provider: provider.id,
+        model: candidateModel,
+        status: null,
+        message: 'Tools are not supported',
+      });
+      skipped.push(`${provider.id}:${candidateModel} (tools are not supported)`);
+      continue;
+    }
+
+    // Запасная модель, не принимающая запрошенные параметры генерации, исказила бы ответ
+    const unsupported = Object.keys(generationParams || {})
+      .filter(name => generationParams[name] !== undefined && generationParams[name] !== null)
+      .filter(name => !provider.supportsParameter(candidateModel, name));
+    if (unsupported.length > 0) {
+      logger.warn(`⚠️ ${provider.name} (${candidateModel}) does not support ${unsupported.join(', ')}, skipping`);
+      failures.push({
+        provider: provider.id,
+        model: candidateModel,
+        status: null,
+        message: `Parameters are not supported: ${unsupported.join(', ')}`,
+      });
+      skipped.push(`${provider.id}:${candidateModel} (${unsupported.join(', ')} not supported)`);
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+      // Открытая цепь - не тратим время на заведомо неработающую модель
+      if (!canRequest(provider.id, candidateModel)) {
+        logger.warn(`⚠️ Circuit open for ${provider.name} (${candidateModel}), skipping`);
+        recordUpstreamError(provider.id, candidateModel, 'circuit_open');
+        circuitOpen = true;
+        failures.push({
+          provider: provider.id,
+          model: candidateModel,
+          status: null,
+          message: 'Circuit open',
+        });
+        break;
+      }
+
+      attempts++;
+      const startedAt = Date.now();
+      try {
+        const result = await sendAttempt(
+          provider,
+          messagesWithSystem,
+          temperature,
+          candidateModel,
+          { stream, signal, responseFormat, tools, toolChoice, generationParams },
+          config.attemptTimeoutMs
+        );
+
+        recordSuccess(provider.id, candidateModel, Date.now() - startedAt);
+
+        if (attempts > 1) {
+          logger.info(`🔁 ${provider.name} (${candidateModel}) answered after ${attempts} attempts`);
+        }
+
+        return {
+          result,
+          provider,
+          model: candidateModel,
+          jsonMode: Boolean(responseFormat),
+          routing: {
+            provider: provider.id,
+            model: candidateModel,
+            attempts: attempts,
+            fallbackUsed: candidateIndex > 0,
+            failures: failures,
+          },
+        };
+      } catch (error) {
+        // Клиент отключился - дальнейшие попытки не нужны
+        if (signal?.aborted) {
+          releaseTrial(provider.id, candidateModel);
+          throw error;
+        }
+
+        lastError = error;
+        const action = classifyError(error);
+        recordUpstreamError(provider.id, candidateModel, getErrorCategory(error));
+
+        // Ошибки запроса не говорят о состоянии модели и не влияют на circuit breaker
+        if (action === 'fatal') {
+          releaseTrial(provider.id, candidateModel);
+        } else {
+          recordFailure(provider.id, candidateModel, Date.now() - startedAt, error);
+        }
+        failures.push({
+          provider: provider.id,
+          model: candidateModel,
+          status: error.status ?? null,
+          message: error.message,
+        });
+
+        if (action === 'fatal') {
+          error.routing = { provider: provider.id, model: candidateModel, attempts, fallbackUsed: candidateIndex > 0, failures };
+          throw error;
+        }
+
+        if (action === 'failover' || attempt === config.maxAttempts) {
+          logger.warn(`⚠️ ${provider.name} (${candidateModel}) failed: ${error.message}`);
+          break;
+        }
+
+        const delay = getBackoffDelay(attempt, config, error);
+        logger.warn(`⚠️ ${provider.name} (${candidateModel}) attempt ${attempt} failed, retrying in ${Math.round(delay)}ms: ${error.message}`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  if (!lastError && skipped.length > 0 && !circuitOpen) {
+    // Ни одной попытки: ни одна модель не может выполнить такой запрос - это ошибка запроса, а не провайдера
+    lastError = new Error(`Invalid request. No candidate model supports this request: ${skipped.join(', ')}`);
+    lastError.status = 400;
+  } else if (!lastError) {
+    // Ни одной попытки: модели пропущены из-за открытых цепей
+    lastError = new Error(`Provider "${providerId}" is not available: circuit open for all candidate models`);
+    lastError.circuitOpen = true;
+  }
+  lastError.routing = { provider: null, model: null, attempts, fallbackUsed: candidates.length > 1, failures };
+  throw lastError;
+}
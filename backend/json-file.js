@@ -0,0 +1,33 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Общие функции для хранения данных сервера в JSON файлах
+
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+// Функция для получения каталога данных (DATA_DIR или backend/data)
+export function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+// Функция для атомарной записи файла (через временный файл и rename)
+export async function writeJsonAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+// Функция для чтения JSON файла, возвращает null, если файла нет
+export async function readJsonFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
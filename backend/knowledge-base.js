@@ -0,0 +1,417 @@
+import { promises as fs, readdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Локальные базы знаний для ответов по собственной документации (RAG без внешних сервисов)
+//
+// Текстовые и Markdown документы делятся на фрагменты по заголовкам и абзацам и хранятся
+// в DATA_DIR/knowledge/<имя базы>.json:
+// {
+//   name, createdAt, updatedAt,
+//   documents: [{ id, source, chunks, characters, addedAt }],
+//   chunks: [{ id, documentId, source, heading, text }]
+// }
+// Поиск - BM25 по словам фрагмента и его заголовка. Индекс строится в памяти при первом поиске
+// и перестраивается, когда файл базы меняется (в том числе из CLI: npm run knowledge).
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_SOURCE_LENGTH = 200;
+// Длина цитаты фрагмента в citations ответа
+const SNIPPET_LENGTH = 300;
+// Параметры BM25: насыщение частоты слова и нормализация по длине фрагмента
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Индексы баз в памяти: name -> { mtime, index }
+const indexes = new Map();
+// Очереди записи по базам, чтобы параллельные загрузки не затирали документы друг друга
+const locks = new Map();
+
+export function getKnowledgeConfig() {
+  return {
+    chunkSize: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE || '1000', 10),
+    topK: parseInt(process.env.KNOWLEDGE_TOP_K || '4', 10),
+    maxContextChars: parseInt(process.env.KNOWLEDGE_MAX_CONTEXT_CHARS || '6000', 10),
+  };
+}
+
+function createKnowledgeError(message, status = 400) {
+  const error = new Error(status === 400 ? `Invalid request. ${message}` : message);
+  error.status = status;
+  return error;
+}
+
+function getKnowledgeDir() {
+  return path.join(getDataDir(), 'knowledge');
+}
+
+// Имя базы проверяется по шаблону, что заодно исключает выход за пределы каталога через путь
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+function getKnowledgeBasePath(name) {
+  return path.join(getKnowledgeDir(), `${name}.json`);
+}
+
+// Функция для последовательного выполнения операций над одной базой
+async function withLock(name, operation) {
+  const previous = locks.get(name) || Promise.resolve();
+  const current = previous.catch(() => {}).then(operation);
+  locks.set(name, current);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(name) === current) {
+      locks.delete(name);
+    }
+  }
+}
+
+// Функция для разбиения строки на слова для поиска
+export function tokenize(text) {
+  return (text.toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length >= 2);
+}
+
+// Функция для разрезания слишком длинного абзаца по предложениям (а предложения - по длине)
+function splitLongBlock(block, chunkSize) {
+  const parts = [];
+  let current = '';
+  for (const sentence of block.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [block]) {
+    if (current && current.length + sentence.length > chunkSize) {
+      parts.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > chunkSize) {
+      parts.push(current.substring(0, chunkSize).trim());
+      current = current.substring(chunkSize);
+    }
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+// Функция для разбиения документа на фрагменты до chunkSize символов
+// Заголовок Markdown начинает новый фрагмент и запоминается как раздел следующих фрагментов;
+// соседние абзацы одного раздела объединяются, пока фрагмент не превысит chunkSize
+export function splitIntoChunks(text, chunkSize = getKnowledgeConfig().chunkSize) {
+  const chunks = [];
+  let heading = null;
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push({ heading, text: current.join('\n\n') });
+    }
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const block of text.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+    let trimmed = block.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const newline = trimmed.indexOf('\n');
+    const headingMatch = (newline === -1 ? trimmed : trimmed.substring(0, newline)).match(/^#{1,6}\s+(.+)$/);
+    if (headingMatch) {
+      flush();
+      heading = headingMatch[1].trim();
+      // Текст сразу под заголовком (без пустой строки) относится к новому разделу
+      trimmed = newline === -1 ? '' : trimmed.substring(newline + 1).trim();
+      if (!trimmed) {
+        continue;
+      }
+    }
+    for (const part of trimmed.length > chunkSize ? splitLongBlock(trimmed, chunkSize) : [trimmed]) {
+      if (currentLength > 0 && currentLength + part.length > chunkSize) {
+        flush();
+      }
+      current.push(part);
+      currentLength += part.length + 2;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+// Функция для построения BM25 индекса по фрагментам базы
+function buildIndex(chunks) {
+  const documentFrequency = new Map();
+  const entries = chunks.map(chunk => {
+    const words = tokenize(`${chunk.heading || ''} ${chunk.text}`);
+    const frequencies = new Map();
+    for (const word of words) {
+      frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }
+    for (const word of frequencies.keys()) {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+    return { chunk, frequencies, length: words.length };
+  });
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+  return { entries, documentFrequency, averageLength };
+}
+
+async function readKnowledgeBase(name) {
+  if (!isValidName(name)) {
+    return null;
+  }
+  return await readJsonFile(getKnowledgeBasePath(name));
+}
+
+// Функция для получения индекса базы (null, если базы нет); индекс перестраивается при изменении файла
+async function loadIndex(name) {
+  if (!isValidName(name)) {
+    return null;
+  }
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = await fs.stat(getKnowledgeBasePath(name)));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      indexes.delete(name);
+      return null;
+    }
+    throw error;
+  }
+
+  const cached = indexes.get(name);
+  if (cached && cached.mtime === mtimeMs) {
+    return cached.index;
+  }
+  const base = await readKnowledgeBase(name);
+  if (!base) {
+    return null;
+  }
+  const index = buildIndex(base.chunks);
+  indexes.set(name, { mtime: mtimeMs, index });
+  logger.info(`📚 Indexed ${base.chunks.length} chunks of knowledge base ${name}`);
+  return index;
+}
+
+// Функция для получения краткой информации о базе (без фрагментов)
+function toKnowledgeBaseSummary(base) {
+  return {
+    name: base.name,
+    documents: base.documents,
+    chunkCount: base.chunks.length,
+    createdAt: base.createdAt,
+    updatedAt: base.updatedAt,
+  };
+}
+
+// Функция для получения списка баз знаний
+export async function listKnowledgeBases() {
+  let files;
+  try {
+    files = await fs.readdir(getKnowledgeDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const bases = [];
+  for (const file of files.filter(item => item.endsWith('.json')).sort()) {
+    const base = await readKnowledgeBase(path.basename(file, '.json'));
+    if (base) {
+      bases.push(toKnowledgeBaseSummary(base));
+    }
+  }
+  return bases;
+}
+
+// Функция для получения имен баз знаний без чтения файлов
+// Синхронная: используется в isAvailable инструмента knowledge_search
+export function listKnowledgeBaseNames() {
+  try {
+    return readdirSync(getKnowledgeDir())
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(isValidName)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Функция для получения базы знаний со списком документов (null, если не найдена)
+export async function getKnowledgeBase(name) {
+  const base = await readKnowledgeBase(name);
+  return base ? toKnowledgeBaseSummary(base) : null;
+}
+
+// Функция для добавления документов в базу (база создается при первой загрузке)
+// documents - [{ source, content }]; документ с тем же source заменяется новой версией
+export async function addDocuments(name, documents) {
+  if (!isValidName(name)) {
+    throw createKnowledgeError('knowledge base name must contain only lowercase letters, digits, "-" and "_" (up to 64 characters)');
+  }
+  if (!Array.isArray(documents) || documents.length === 0) {
+    throw createKnowledgeError('documents must be a non-empty array of { source, content }');
+  }
+  documents.forEach((document, index) => {
+    if (typeof document?.source !== 'string' || !document.source.trim() || document.source.length > MAX_SOURCE_LENGTH) {
+      throw createKnowledgeError(`documents[${index}].source must be a non-empty string up to ${MAX_SOURCE_LENGTH} characters`);
+    }
+    if (typeof document.content !== 'string' || !document.content.trim()) {
+      throw createKnowledgeError(`documents[${index}].content must be a non-empty string`);
+    }
+  });
+
+  return await withLock(name, async () => {
+    const now = new Date().toISOString();
+    const base = (await readKnowledgeBase(name)) || { name, createdAt: now, updatedAt: now, documents: [], chunks: [] };
+    const added = [];
+
+    for (const { source, content } of documents) {
+      const previous = base.documents.find(document => document.source === source);
+      if (previous) {
+        base.documents = base.documents.filter(document => document.id !== previous.id);
+        base.chunks = base.chunks.filter(chunk => chunk.documentId !== previous.id);
+      }
+
+      const document = { id: crypto.randomUUID(), source, chunks: 0, characters: content.length, addedAt: now };
+      splitIntoChunks(content).forEach((chunk, index) => {
+        base.chunks.push({ id: `${document.id}:${index}`, documentId: document.id, source, ...chunk });
+        document.chunks++;
+      });
+      base.documents.push(document);
+      added.push({ ...document, replaced: Boolean(previous) });
+    }
+
+    base.updatedAt = now;
+    await writeJsonAtomic(getKnowledgeBasePath(name), base);
+    logger.info(`📚 Added ${added.length} documents to knowledge base ${name}`, {
+      chunks: added.reduce((sum, document) => sum + document.chunks, 0),
+    });
+    return { ...toKnowledgeBaseSummary(base), added };
+  });
+}
+
+// Функция для удаления документа из базы, возвращает false, если база или документ не найдены
+export async function deleteDocument(name, documentId) {
+  if (!isValidName(name)) {
+    return false;
+  }
+  return await withLock(name, async () => {
+    const base = await readKnowledgeBase(name);
+    if (!base || !base.documents.some(document => document.id === documentId)) {
+      return false;
+    }
+    base.documents = base.documents.filter(document => document.id !== documentId);
+    base.chunks = base.chunks.filter(chunk => chunk.documentId !== documentId);
+    base.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(getKnowledgeBasePath(name), base);
+    logger.info(`🗑️ Deleted document ${documentId} from knowledge base ${name}`);
+    return true;
+  });
+}
+
+// Функция для удаления базы знаний, возвращает false, если база не найдена
+export async function deleteKnowledgeBase(name) {
+  if (!isValidName(name)) {
+    return false;
+  }
+  return await withLock(name, async () => {
+    try {
+      await fs.unlink(getKnowledgeBasePath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    indexes.delete(name);
+    logger.info(`🗑️ Deleted knowledge base ${name}`);
+    return true;
+  });
+}
+
+// Функция для поиска фрагментов базы, наиболее подходящих к запросу (BM25)
+// Возвращает null, если базы нет, иначе [{ chunkId, documentId, source, heading, text, score }] по убыванию score
+export async function searchKnowledgeBase(name, query, limit = getKnowledgeConfig().topK) {
+  const index = await loadIndex(name);
+  if (!index) {
+    return null;
+  }
+
+  const queryWords = [...new Set(tokenize(query || ''))];
+  const total = index.entries.length;
+  const results = [];
+  for (const entry of index.entries) {
+    let score = 0;
+    for (const word of queryWords) {
+      const frequency = entry.frequencies.get(word);
+      if (!frequency) {
+        continue;
+      }
+      const documentFrequency = index.documentFrequency.get(word);
+      const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / (index.averageLength || 1)));
+    }
+    if (score > 0) {
+      results.push({ entry, score });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      chunkId: entry.chunk.id,
+      documentId: entry.chunk.documentId,
+      source: entry.chunk.source,
+      heading: entry.chunk.heading,
+      text: entry.chunk.text,
+      score: Math.round(score * 1000) / 1000,
+    }));
+}
+
+// Функция для построения системного сообщения с найденными фрагментами
+// Фрагменты нумеруются, чтобы модель могла ссылаться на них как [1], [2]; общий объем ограничен maxContextChars
+// Возвращает { content, citations } (content === null, если ничего не найдено)
+export function buildKnowledgeContext(results) {
+  const { maxContextChars } = getKnowledgeConfig();
+  const blocks = [];
+  const citations = [];
+  let length = 0;
+
+  for (const result of results) {
+    if (blocks.length > 0 && length + result.text.length > maxContextChars) {
+      break;
+    }
+    const index = citations.length + 1;
+    const title = result.heading ? `${result.source} — ${result.heading}` : result.source;
+    blocks.push(`[${index}] ${title}\n${result.text.substring(0, maxContextChars)}`);
+    length += result.text.length;
+    citations.push({
+      index,
+      source: result.source,
+      heading: result.heading,
+      documentId: result.documentId,
+      chunkId: result.chunkId,
+      score: result.score,
+      snippet: result.text.length > SNIPPET_LENGTH ? `${result.text.substring(0, SNIPPET_LENGTH)}…` : result.text,
+    });
+  }
+
+  if (blocks.length === 0) {
+    return { content: null, citations };
+  }
+  const content = 'Используй фрагменты документации ниже, если они относятся к вопросу, и ссылайся на них номерами в квадратных скобках, например [1]. ' +
+    'Если ответа в них нет, так и скажи.\n\n' + blocks.join('\n\n');
+  return { content, citations };
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Структурированный журнал: одна строка на событие с уровнем, ID запроса и полями контекста
+//
+// Каждый HTTP-запрос получает ID (заголовок X-Request-Id клиента или новый UUID), который возвращается
+// в ответе и добавляется ко всем строкам журнала, записанным во время обработки запроса, в том числе
+// из модулей провайдеров. Поля, известные только по ходу обработки (провайдер, модель, токены),
+// добавляются через setLogFields и тоже попадают во все последующие строки запроса.
+//
+// Тексты сообщений пользователей и ответов моделей пишутся только на уровне debug и проходят через
+// redactContent: LOG_REDACT=omit - только длина, hash - длина и SHA-256, none - текст целиком.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACT_MODES = ['omit', 'hash', 'none'];
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+// Функция для получения настроек журнала из переменных окружения
+// В production по умолчанию JSON и хеширование текстов, при разработке - читаемый текст без редактирования
+function getLogConfig() {
+  const production = process.env.NODE_ENV === 'production';
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  const redact = (process.env.LOG_REDACT || (production ? 'hash' : 'none')).toLowerCase();
+  return {
+    level: LEVELS[level] ? level : 'info',
+    format: (process.env.LOG_FORMAT || (production ? 'json' : 'text')).toLowerCase() === 'json' ? 'json' : 'text',
+    redact: REDACT_MODES.includes(redact) ? redact : 'hash',
+  };
+}
+
+// Функция для приведения значения поля к виду, пригодному для JSON (ошибки - к сообщению и статусу)
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(getLogConfig().level === 'debug' && { stack: value.stack }),
+    };
+  }
+  return value;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `[${time}] ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function write(level, msg, fields) {
+  const config = getLogConfig();
+  if (LEVELS[level] < LEVELS[config.level]) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    msg: msg,
+    ...(context && { requestId: context.requestId, latencyMs: Date.now() - context.startedAt, ...context.fields }),
+  };
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) {
+      entry[key] = serializeValue(value);
+    }
+  }
+
+  const line = config.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isDebugEnabled: () => getLogConfig().level === 'debug',
+};
+
+// Функция для подготовки текста сообщения или ответа модели к записи в журнал (LOG_REDACT)
+export function redactContent(text) {
+  if (typeof text !== 'string') {
+    return text ?? null;
+  }
+  const { redact } = getLogConfig();
+  if (redact === 'none') {
+    return text;
+  }
+  if (redact === 'hash') {
+    return `[sha256:${crypto.createHash('sha256').update(text).digest('hex').substring(0, 16)}, ${text.length} chars]`;
+  }
+  return `[${text.length} chars]`;
+}
+
+// Функция для добавления полей (provider, model, tokens...) ко всем следующим строкам текущего запроса
+export function setLogFields(fields) {
+  const context = requestContext.getStore();
+  if (!context) {
+    return;
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) {
+      context.fields[key] = value;
+    }
+  }
+}
+
+// Функция для получения полей текущего запроса (объект дополняется по ходу обработки)
+export function getLogFields() {
+  return requestContext.getStore()?.fields ?? {};
+}
+
+// Функция для выполнения фоновой задачи (не HTTP-запроса) со своим ID в журнале
+// Строки, записанные во время выполнения, не попадают в контекст запроса, который запустил задачу
+export function runWithLogContext(requestId, operation) {
+  return requestContext.run({ requestId, startedAt: Date.now(), fields: {} }, operation);
+}
+
+// Middleware: назначает запросу ID, возвращает его в X-Request-Id и пишет итоговую строку запроса
+// со статусом, длительностью и полями, собранными во время обработки
+export function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const context = {
+    requestId: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID(),
+    startedAt: Date.now(),
+    fields: {},
+  };
+  req.id = context.requestId;
+  res.set('X-Request-Id', context.requestId);
+
+  const logRequest = () => {
+    res.off('finish', logRequest);
+    res.off('close', logRequest);
+    requestContext.run(context, () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ...(!res.writableFinished && { aborted: true }),
+      };
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      write(level, `${req.method} ${req.originalUrl} -> ${res.statusCode}`, fields);
+    });
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+
+  requestContext.run(context, next);
+}
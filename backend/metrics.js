@@ -0,0 +1,152 @@
+import { getLogFields } from './logger.js';
+
+// Метрики прокси в текстовом формате Prometheus (GET /metrics)
+//
+// Счетчики и гистограммы хранятся в памяти процесса и сбрасываются при перезапуске,
+// как и положено метрикам Prometheus (rate() учитывает сброс счетчиков).
+// Метки provider и model берутся из полей журнала запроса (см. setLogFields в logger.js),
+// поэтому у запросов, не дошедших до выбора модели, они пустые.
+
+// Границы гистограммы длительности запросов в секундах: от быстрых ответов API до длинной генерации
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const metrics = new Map(); // name -> { type, help, labelNames, series: Map(labelsKey -> value) }
+const gauges = new Map(); // name -> { help, collect }
+
+function defineMetric(name, type, help, labelNames) {
+  metrics.set(name, { type, help, labelNames, series: new Map() });
+}
+
+defineMetric('proxy_http_requests_total', 'counter', 'HTTP requests by route, method, status, provider and model',
+  ['route', 'method', 'status', 'provider', 'model']);
+defineMetric('proxy_http_request_duration_seconds', 'histogram', 'HTTP request duration in seconds',
+  ['route', 'method', 'status', 'provider', 'model']);
+defineMetric('proxy_upstream_errors_total', 'counter', 'Failed upstream provider attempts by error category',
+  ['provider', 'model', 'category']);
+defineMetric('proxy_tokens_total', 'counter', 'Tokens processed by upstream providers',
+  ['provider', 'model', 'type']);
+defineMetric('proxy_rate_limit_rejections_total', 'counter', 'Requests rejected by daily limits and budgets',
+  ['reason']);
+defineMetric('proxy_moderation_findings_total', 'counter', 'Moderation rule matches in prompts and replies',
+  ['target', 'rule', 'action']);
+
+function getSeries(name, labels) {
+  const metric = metrics.get(name);
+  const values = metric.labelNames.map(label => String(labels[label] ?? ''));
+  const key = JSON.stringify(values);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { values, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }
+      : { values, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incrementCounter(name, labels, amount = 1) {
+  getSeries(name, labels).value += amount;
+}
+
+function observeHistogram(name, labels, value) {
+  const series = getSeries(name, labels);
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) {
+      series.buckets[index]++;
+    }
+  });
+  series.sum += value;
+  series.count++;
+}
+
+// Функция для регистрации метрики-значения, которое вычисляется в момент запроса /metrics
+// collect() возвращает число
+export function registerGauge(name, help, collect) {
+  gauges.set(name, { help, collect });
+}
+
+// Функция для учета неудачной попытки запроса к провайдеру
+export function recordUpstreamError(providerId, model, category) {
+  incrementCounter('proxy_upstream_errors_total', { provider: providerId, model, category });
+}
+
+// Функция для учета токенов ответа провайдера (ответы из кеша не учитываются)
+export function recordTokenMetrics(providerId, model, tokenUsage) {
+  incrementCounter('proxy_tokens_total', { provider: providerId, model, type: 'prompt' }, tokenUsage.prompt_tokens || 0);
+  incrementCounter('proxy_tokens_total', { provider: providerId, model, type: 'completion' }, tokenUsage.completion_tokens || 0);
+  if (tokenUsage.reasoning_tokens) {
+    incrementCounter('proxy_tokens_total', { provider: providerId, model, type: 'reasoning' }, tokenUsage.reasoning_tokens);
+  }
+}
+
+// Функция для учета отказа из-за лимита (daily_limit, budget)
+export function recordRateLimitRejection(reason) {
+  incrementCounter('proxy_rate_limit_rejections_total', { reason });
+}
+
+// Функция для учета срабатывания правила модерации (target: prompt, reply; action: mask, reject)
+export function recordModerationFinding(target, rule, action) {
+  incrementCounter('proxy_moderation_findings_total', { target, rule, action });
+}
+
+// Middleware для учета числа и длительности запросов
+// Маршрут берется из шаблона Express (/api/conversations/:id), а не из URL, чтобы не плодить метки
+export function metricsMiddleware(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  const fields = getLogFields();
+
+  res.on('close', () => {
+    const labels = {
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      method: req.method,
+      status: res.statusCode,
+      provider: fields.provider,
+      model: fields.model,
+    };
+    incrementCounter('proxy_http_requests_total', labels);
+    observeHistogram('proxy_http_request_duration_seconds', labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((label, index) => `${label}="${escapeLabel(values[index])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Функция для вывода всех метрик в текстовом формате Prometheus 0.0.4
+export function renderMetrics() {
+  const lines = [];
+
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(metric.labelNames, series.values)} ${series.value}`);
+        continue;
+      }
+      DURATION_BUCKETS.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels(metric.labelNames, series.values, `le="${bound}"`)} ${series.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+  }
+
+  for (const [name, gauge] of gauges) {
+    lines.push(`# HELP ${name} ${gauge.help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    lines.push(`${name} ${gauge.collect()}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
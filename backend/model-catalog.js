@@ -0,0 +1,161 @@
+import path from 'path';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+// Каталог моделей: метаданные каждой модели провайдера
+// { id, contextLength, features: { streaming, tools, jsonMode, reasoning }, parameters, pricing, verified, source }
+// parameters - параметры генерации, которые принимает модель (max_tokens, top_p, stop, presence_penalty, seed);
+// null - как у остальных моделей провайдера
+//
+// Основа каталога - файл конфигурации (MODEL_CATALOG_FILE или backend/models.json):
+// { "<провайдер>": [{ id, contextLength, features, parameters?, pricing?, verified? }] }
+// Модели, которые провайдер сообщает сам (Hugging Face Hub, GET /models локального сервера),
+// добавляются к каталогу в фоне раз в MODEL_CATALOG_REFRESH_SECONDS с verified: false.
+// Запросы всегда получают уже загруженный список; устаревший список обновляется в фоне
+// (stale-while-revalidate), поэтому /api/models не ждет внешних API.
+
+const DEFAULT_CATALOG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'models.json');
+
+// Модели с рассуждениями (reasoning_content или <think>) среди обнаруженных провайдером
+const REASONING_PATTERN = /reasoner|-r1\b|qwq|thinking/i;
+
+let configured = {}; // { providerId: [entry] }
+const discovered = new Map(); // providerId -> { models: [entry], fetchedAt, refreshing, error }
+let refreshTimer = null;
+
+function getCatalogConfig() {
+  return {
+    file: process.env.MODEL_CATALOG_FILE || DEFAULT_CATALOG_FILE,
+    refreshMs: parseInt(process.env.MODEL_CATALOG_REFRESH_SECONDS || '3600', 10) * 1000,
+  };
+}
+
+// Функция для приведения записи каталога к полному виду
+function normalizeEntry(entry, source) {
+  return {
+    id: entry.id,
+    contextLength: Number.isInteger(entry.contextLength) ? entry.contextLength : null,
+    features: {
+      streaming: entry.features?.streaming !== false,
+      tools: Boolean(entry.features?.tools),
+      jsonMode: Boolean(entry.features?.jsonMode),
+      reasoning: Boolean(entry.features?.reasoning),
+    },
+    parameters: Array.isArray(entry.parameters) ? entry.parameters : null,
+    pricing: entry.pricing || null,
+    verified: source === 'config' ? entry.verified !== false : false,
+    source: source,
+  };
+}
+
+// Функция для загрузки каталога из файла конфигурации
+// Вызывается при запуске после dotenv.config(); при ошибке каталог остается пустым
+export function loadModelCatalog() {
+  const { file } = getCatalogConfig();
+  configured = {};
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    for (const [providerId, entries] of Object.entries(data)) {
+      if (!Array.isArray(entries)) {
+        continue;
+      }
+      configured[providerId] = entries
+        .filter(entry => typeof entry?.id === 'string' && entry.id.length > 0)
+        .map(entry => normalizeEntry(entry, 'config'));
+    }
+    const count = Object.values(configured).reduce((sum, entries) => sum + entries.length, 0);
+    logger.info(`📚 Loaded model catalog from ${file}: ${count} models`);
+  } catch (error) {
+    logger.warn(`⚠️ Could not load model catalog ${file}`, { error: error.message });
+  }
+  discovered.clear();
+}
+
+// Функция для получения метаданных модели провайдера (null, если модели нет в каталоге)
+export function getModelInfo(providerId, model) {
+  const fromConfig = configured[providerId]?.find(entry => entry.id === model);
+  if (fromConfig) {
+    return fromConfig;
+  }
+  return discovered.get(providerId)?.models.find(entry => entry.id === model) || null;
+}
+
+// Функция для поиска модели в каталоге любого провайдера (первое точное совпадение)
+export function findModelInfo(model) {
+  for (const entries of Object.values(configured)) {
+    const entry = entries.find(item => item.id === model);
+    if (entry) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+// Функция для обновления списка моделей, которые сообщает провайдер
+// Ошибка не сбрасывает ранее полученный список
+export async function refreshProviderCatalog(provider) {
+  const state = discovered.get(provider.id) || { models: [], fetchedAt: null, refreshing: null, error: null };
+  discovered.set(provider.id, state);
+  if (state.refreshing) {
+    return await state.refreshing;
+  }
+
+  state.refreshing = (async () => {
+    try {
+      const ids = await provider.getModels();
+      const known = new Set((configured[provider.id] || []).map(entry => entry.id));
+      state.models = ids
+        .filter(id => !known.has(id))
+        .map(id => normalizeEntry({
+          id,
+          features: {
+            tools: provider.supportsTools(id),
+            jsonMode: provider.supportsJsonMode(id),
+            reasoning: REASONING_PATTERN.test(id),
+          },
+        }, 'discovered'));
+      state.fetchedAt = Date.now();
+      state.error = null;
+      logger.info(`🔄 Refreshed ${provider.name} model catalog: ${ids.length} models, ${state.models.length} not in config`);
+    } catch (error) {
+      state.error = error.message;
+      logger.warn(`⚠️ Could not refresh ${provider.name} model catalog`, { error: error.message });
+    } finally {
+      state.refreshing = null;
+    }
+  })();
+  return await state.refreshing;
+}
+
+// Функция для получения каталога провайдера без ожидания внешних API
+// Если список не загружался или устарел, обновление запускается в фоне
+// Возвращает { models, updatedAt, stale, refreshing, error }
+export function getProviderCatalog(provider) {
+  const { refreshMs } = getCatalogConfig();
+  const state = discovered.get(provider.id);
+  const stale = !state?.fetchedAt || Date.now() - state.fetchedAt > refreshMs;
+  if (stale && !state?.refreshing) {
+    refreshProviderCatalog(provider);
+  }
+
+  return {
+    models: [...(configured[provider.id] || []), ...(state?.models || [])],
+    updatedAt: state?.fetchedAt ? new Date(state.fetchedAt).toISOString() : null,
+    stale: stale,
+    refreshing: Boolean(discovered.get(provider.id)?.refreshing),
+    error: state?.error || null,
+  };
+}
+
+// Функция для запуска фонового обновления каталога всех провайдеров
+export function startModelCatalogRefresh(getProviders) {
+  const { refreshMs } = getCatalogConfig();
+  const refreshAll = () => Promise.all(getProviders().map(refreshProviderCatalog));
+
+  refreshAll();
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(refreshAll, refreshMs);
+  // Таймер не должен удерживать процесс (тесты, скрипты)
+  refreshTimer.unref();
+}
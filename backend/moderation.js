@@ -0,0 +1,390 @@
+import { readFileSync, statSync } from 'fs';
+import { logger } from './logger.js';
+import { recordModerationFinding } from './metrics.js';
+
+// Модерация и удаление персональных данных (PII) в /api/chat
+//
+// Правила задаются JSON файлом MODERATION_FILE (без него модерация выключена), файл перечитывается при изменении:
+//   {
+//     "pii": [
+//       { "name": "card", "prompt": "reject" },
+//       { "name": "email" },
+//       { "name": "passport", "pattern": "(?<!\\d)\\d{4} ?\\d{6}(?!\\d)", "replacement": "[PASSPORT]" },
+//       { "name": "phone" }
+//     ],
+//     "blocklist": [
+//       { "name": "confidential", "terms": ["для служебного пользования"], "prompt": "reject", "reply": "mask" }
+//     ]
+//   }
+// pii - регулярные выражения: встроенные email, phone, card (номер проверяется по алгоритму Луна)
+// или свои (pattern и flags); при совпадениях в одном месте побеждает правило, указанное раньше.
+// blocklist - слова и фразы, которые ищутся целиком без учета регистра.
+// prompt и reply - действие для сообщений пользователя и для ответа модели:
+//   mask   - совпадение заменяется на replacement (для pii по умолчанию [EMAIL], [PHONE]..., для blocklist ***)
+//   reject - запрос (или ответ) отклоняется целиком
+//   off    - правило не применяется
+// По умолчанию pii маскирует сообщения пользователя и не проверяет ответ, blocklist отклоняет запрос
+// и маскирует ответ. Найденные значения не сохраняются: отчет содержит только правило, действие и число совпадений.
+
+export const MODERATION_ACTIONS = ['mask', 'reject', 'off'];
+export const MODERATION_TARGETS = ['prompt', 'reply'];
+
+// Сколько символов конца потока придерживать для правил с регулярными выражениями:
+// телефон или номер карты, разрезанные между чанками, должны попасть в один фрагмент
+const PATTERN_HOLDBACK = 40;
+
+const BUILTIN_PII = {
+  email: {
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+  },
+  phone: {
+    pattern: /(?<![\p{L}\p{N}+])(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}(?![\p{L}\p{N}])/gu,
+    // Даты и время (2024-01-15 10:30) похожи на телефоны по числу цифр
+    validate: text => {
+      const digits = text.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15 && !/^\d{4}[.-]\d{2}[.-]\d{2}/.test(text);
+    },
+  },
+  card: {
+    pattern: /(?<!\p{N})\d(?:[ -]?\d){12,18}(?!\p{N})/gu,
+    validate: text => isLuhnValid(text.replace(/\D/g, '')),
+  },
+};
+
+const DEFAULT_ACTIONS = {
+  pii: { prompt: 'mask', reply: 'off' },
+  blocklist: { prompt: 'reject', reply: 'mask' },
+};
+
+let rulesCache = { path: null, mtime: null, rules: [] };
+
+export function getModerationConfig() {
+  return {
+    file: process.env.MODERATION_FILE || null,
+  };
+}
+
+// Функция для проверки, включена ли модерация
+export function isModerationEnabled() {
+  return Boolean(getModerationConfig().file);
+}
+
+// Функция для проверки номера карты по алгоритму Луна
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Клиенту возвращается общее сообщение, а подробности (с путем к файлу) пишутся только в журнал
+function createRuleError(file, message) {
+  const error = new Error('Moderation rules are not available');
+  error.status = 500;
+  error.detail = `Invalid moderation rules in ${file}: ${message}`;
+  return error;
+}
+
+// Функция для проверки правила и построения регулярного выражения по нему
+function compileRule(type, rule, index, file) {
+  const where = `${type}[${index}]`;
+  if (!rule || typeof rule.name !== 'string' || rule.name.length === 0) {
+    throw createRuleError(file, `${where}.name must be a non-empty string`);
+  }
+
+  const actions = {};
+  for (const target of MODERATION_TARGETS) {
+    const action = rule[target] ?? DEFAULT_ACTIONS[type][target];
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw createRuleError(file, `${where}.${target} must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+    }
+    actions[target] = action;
+  }
+
+  if (type === 'blocklist') {
+    const terms = Array.isArray(rule.terms)
+      ? rule.terms.filter(term => typeof term === 'string' && term.trim().length > 0).map(term => term.trim())
+      : [];
+    if (terms.length === 0) {
+      throw createRuleError(file, `${where}.terms must be a non-empty array of strings`);
+    }
+    // Длинные фразы проверяются первыми; пробелы внутри фразы - любые пробельные символы
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(term => escapeRegExp(term).replace(/\s+/g, '\\s+'));
+    return {
+      name: rule.name,
+      type,
+      actions,
+      regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+      replacement: rule.replacement ?? '***',
+      holdback: Math.max(...terms.map(term => term.length)) + 1,
+    };
+  }
+
+  const builtin = rule.pattern === undefined ? BUILTIN_PII[rule.name] : null;
+  if (!builtin && typeof rule.pattern !== 'string') {
+    throw createRuleError(file, `${where}.pattern is required (built-in rules: ${Object.keys(BUILTIN_PII).join(', ')})`);
+  }
+  let regex = builtin?.pattern;
+  if (!builtin) {
+    try {
+      const flags = new Set(['g', 'u', ...(typeof rule.flags === 'string' ? rule.flags : '')]);
+      regex = new RegExp(rule.pattern, [...flags].join(''));
+    } catch (error) {
+      throw createRuleError(file, `${where}.pattern is not a valid regular expression (${error.message})`);
+    }
+  }
+  return {
+    name: rule.name,
+    type,
+    actions,
+    regex: new RegExp(regex.source, regex.flags),
+    validate: builtin?.validate,
+    replacement: rule.replacement ?? `[${rule.name.toUpperCase()}]`,
+    holdback: PATTERN_HOLDBACK,
+  };
+}
+
+// Функция для загрузки правил из MODERATION_FILE (файл перечитывается при изменении)
+// Ошибка в файле не отключает модерацию: запросы отклоняются, пока файл не исправят
+function loadRules() {
+  const { file } = getModerationConfig();
+  if (!file) {
+    return [];
+  }
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = statSync(file));
+  } catch (error) {
+    throw createRuleError(file, error.message);
+  }
+  if (rulesCache.path !== file || rulesCache.mtime !== mtimeMs) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw createRuleError(file, error.message);
+    }
+    const rules = [];
+    for (const type of ['pii', 'blocklist']) {
+      if (data[type] !== undefined && !Array.isArray(data[type])) {
+        throw createRuleError(file, `${type} must be an array`);
+      }
+      (data[type] || []).forEach((rule, index) => rules.push(compileRule(type, rule, index, file)));
+    }
+    rulesCache = { path: file, mtime: mtimeMs, rules };
+  }
+  return rulesCache.rules;
+}
+
+// Функция для загрузки правил при запуске сервера (ошибки только записываются в журнал)
+export function loadModerationRules() {
+  const { file } = getModerationConfig();
+  if (!file) {
+    return;
+  }
+  try {
+    const rules = loadRules();
+    logger.info(`🛡️ Loaded moderation rules from ${file}: ${rules.length} rules`);
+  } catch (error) {
+    logger.error('❌ Could not load moderation rules, chat requests will fail until the file is fixed', { error: error.detail || error.message });
+  }
+}
+
+// Функция для создания отчета о модерации одного запроса
+// findings - [{ target, type, rule, action, count }], blocked - запрос или ответ отклонен
+export function createModerationReport() {
+  return { blocked: false, findings: [] };
+}
+
+function addFinding(report, target, rule, action) {
+  const finding = report.findings.find(item =>
+    item.target === target && item.rule === rule.name && item.action === action
+  );
+  if (finding) {
+    finding.count++;
+  } else {
+    report.findings.push({ target, type: rule.type, rule: rule.name, action, count: 1 });
+  }
+  if (action === 'reject') {
+    report.blocked = true;
+  }
+  recordModerationFinding(target, rule.name, action);
+}
+
+// Функция для поиска совпадений правил в тексте, начиная с позиции from
+// Совпадения не пересекаются: при общем начале побеждает более длинное, затем правило, указанное раньше
+function findMatches(text, rules, from) {
+  const matches = [];
+  rules.forEach((rule, order) => {
+    rule.regex.lastIndex = from;
+    let match;
+    while ((match = rule.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        rule.regex.lastIndex++;
+        continue;
+      }
+      if (!rule.validate || rule.validate(match[0])) {
+        matches.push({ rule, order, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+
+  const result = [];
+  let lastEnd = from;
+  for (const match of matches) {
+    if (match.start >= lastEnd) {
+      result.push(match);
+      lastEnd = match.end;
+    }
+  }
+  return result;
+}
+
+// Функция для применения найденных совпадений к части текста [from, to): маскирование и учет в отчете
+function applyMatches(text, matches, from, to, target, report) {
+  let result = '';
+  let position = from;
+  let blocked = false;
+  for (const match of matches) {
+    const action = match.rule.actions[target];
+    addFinding(report, target, match.rule, action);
+    if (action === 'reject') {
+      blocked = true;
+      continue;
+    }
+    result += text.slice(position, match.start) + match.rule.replacement;
+    position = match.end;
+  }
+  result += text.slice(position, to);
+  return { text: result, blocked };
+}
+
+function getRulesFor(target) {
+  try {
+    return loadRules().filter(rule => rule.actions[target] !== 'off');
+  } catch (error) {
+    logger.error('❌ Moderation rules are not available', { error: error.detail || error.message });
+    throw error;
+  }
+}
+
+// Функция для проверки текста; target - prompt или reply
+// Возвращает { text, blocked }: text с замаскированными совпадениями, blocked - сработало правило reject
+export function moderateText(text, target, report) {
+  const rules = getRulesFor(target);
+  if (rules.length === 0 || typeof text !== 'string' || text.length === 0) {
+    return { text, blocked: false };
+  }
+  return applyMatches(text, findMatches(text, rules, 0), 0, text.length, target, report);
+}
+
+// Функция для проверки сообщений перед отправкой провайдеру
+// Проверяется весь текст от клиента: сообщения любой роли (в том числе системный промпт и ответы модели
+// в истории) и аргументы вызовов инструментов
+// Возвращает { messages, blocked }: копию истории с замаскированными сообщениями
+export function moderateMessages(messages, report) {
+  let blocked = false;
+  const moderated = messages.map(message => {
+    let changed = false;
+    const check = text => {
+      const result = moderateText(text, 'prompt', report);
+      blocked = blocked || result.blocked;
+      changed = changed || result.text !== text;
+      return result.text;
+    };
+    const content = typeof message.content === 'string' ? check(message.content) : message.content;
+    const toolCalls = Array.isArray(message.tool_calls)
+      ? message.tool_calls.map(call => typeof call?.function?.arguments === 'string'
+        ? { ...call, function: { ...call.function, arguments: check(call.function.arguments) } }
+        : call)
+      : message.tool_calls;
+    return changed ? { ...message, content, ...(toolCalls && { tool_calls: toolCalls }) } : message;
+  });
+  if (report.findings.length > 0) {
+    logger.info('🛡️ Prompt moderation', { findings: report.findings.length, blocked });
+  }
+  return { messages: moderated, blocked };
+}
+
+// Функция для создания фильтра одного потока текста ответа
+// Конец текста придерживается, пока в нем может начинаться совпадение, чтобы правило сработало,
+// даже если слово или номер разрезаны между чанками
+function createTextFilter(rules, report) {
+  const holdback = Math.max(0, ...rules.map(rule => rule.holdback));
+  let raw = '';
+  let emitted = 0;
+
+  function take(final) {
+    const matches = findMatches(raw, rules, emitted);
+    let end = final ? raw.length : Math.max(emitted, raw.length - holdback);
+    const applied = [];
+    for (const match of matches) {
+      if (match.start >= end) {
+        break;
+      }
+      // Совпадение, доходящее до конца текста, может продолжиться в следующем чанке
+      if (!final && match.end >= raw.length) {
+        end = match.start;
+        break;
+      }
+      applied.push(match);
+      end = Math.max(end, match.end);
+    }
+    const result = applyMatches(raw, applied, emitted, end, 'reply', report);
+    emitted = end;
+    return result;
+  }
+
+  return {
+    push(text) {
+      raw += text;
+      return take(false);
+    },
+    flush() {
+      return take(true);
+    },
+  };
+}
+
+// Функция для создания фильтра потокового ответа: ответ и рассуждения проверяются отдельно
+// push(parts) и flush() принимают и возвращают части в формате createReasoningStreamParser: { content, reasoning },
+// а также blocked - сработало правило reject и передачу ответа нужно прекратить.
+// Если для ответа нет правил, возвращает null
+export function createStreamModerator(report) {
+  const rules = getRulesFor('reply');
+  if (rules.length === 0) {
+    return null;
+  }
+  const content = createTextFilter(rules, report);
+  const reasoning = createTextFilter(rules, report);
+
+  const combine = (contentPart, reasoningPart) => ({
+    content: contentPart.text,
+    reasoning: reasoningPart.text,
+    blocked: contentPart.blocked || reasoningPart.blocked,
+  });
+
+  return {
+    push(parts) {
+      return combine(content.push(parts.content || ''), reasoning.push(parts.reasoning || ''));
+    },
+    flush() {
+      return combine(content.flush(), reasoning.flush());
+    },
+  };
+}
@@ -0,0 +1,216 @@
+import { getProvider, listProviders, getDefaultProviderId } from './providers/index.js';
+import {
+  GENERATION_PARAMETERS,
+  validateMessages,
+  validateGenerationParameter,
+  createValidationError,
+} from './request-validation.js';
+import { getProviderCatalog } from './model-catalog.js';
+
+// OpenAI-совместимый API (/v1/chat/completions, /v1/models) для клиентов, которые умеют говорить
+// только в формате OpenAI: LangChain, плагины IDE, скрипты на curl
+//
+// Модель задается строкой "<провайдер>/<модель>", например deepseek/deepseek-chat или
+// huggingface/Qwen/Qwen2.5-7B-Instruct. Строка без известного провайдера считается моделью
+// провайдера по умолчанию.
+
+// Функция для разбора строки модели OpenAI API
+// Возвращает { providerId, model } (model === undefined - модель по умолчанию)
+export function parseModelId(modelId) {
+  if (typeof modelId !== 'string' || modelId.length === 0) {
+    return { providerId: getDefaultProviderId(), model: undefined };
+  }
+
+  const separator = modelId.indexOf('/');
+  if (separator > 0) {
+    const provider = getProvider(modelId.substring(0, separator));
+    if (provider) {
+      return { providerId: provider.id, model: modelId.substring(separator + 1) || undefined };
+    }
+  }
+  // Имя провайдера тоже допускается - это его модель по умолчанию
+  if (getProvider(modelId)) {
+    return { providerId: modelId, model: undefined };
+  }
+  return { providerId: getDefaultProviderId(), model: modelId };
+}
+
+// Функция для построения строки модели OpenAI API
+export function toModelId(providerId, model) {
+  return `${providerId}/${model}`;
+}
+
+function createRequestError(message, param) {
+  const error = new Error(`Invalid request. ${message}`);
+  error.status = 400;
+  error.param = param;
+  return error;
+}
+
+// Функция для приведения содержимого сообщения к строке
+// OpenAI допускает массив частей [{ type: 'text', text }]; провайдеры прокси работают только с текстом
+function normalizeContent(content, index) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  return content.map((part, partIndex) => {
+    if (part?.type !== 'text' || typeof part.text !== 'string') {
+      throw createRequestError(`messages[${index}].content[${partIndex}]: only text content parts are supported`, 'messages');
+    }
+    return part.text;
+  }).join('');
+}
+
+// Функция для разбора тела запроса /v1/chat/completions
+// Возвращает параметры в терминах прокси: { providerId, model, messages, temperature, stream, includeUsage, tools, toolChoice,
+// responseFormat, generationParams }
+// responseFormat - значение для parseResponseFormat (json_schema) или 'json' (json_object)
+export function parseChatCompletionRequest(body) {
+  const { messages, temperature, stream, tools, tool_choice: toolChoice, response_format: responseFormat } = body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw createRequestError('messages must be a non-empty array', 'messages');
+  }
+  const normalizedMessages = messages.map((message, index) => {
+    if (!message || typeof message.role !== 'string') {
+      throw createRequestError(`messages[${index}].role is required`, 'messages');
+    }
+    return { ...message, content: normalizeContent(message.content, index) };
+  });
+
+  const fieldErrors = validateMessages(normalizedMessages);
+  if (temperature !== undefined && temperature !== null &&
+      (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    fieldErrors.push({ field: 'temperature', message: 'must be a number from 0 to 2' });
+  }
+
+  // max_completion_tokens - новое имя max_tokens в OpenAI API
+  const generationParams = {};
+  for (const name of Object.values(GENERATION_PARAMETERS)) {
+    const value = name === 'max_tokens' ? body.max_completion_tokens ?? body.max_tokens : body[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const error = validateGenerationParameter(name, value);
+    if (error) {
+      fieldErrors.push({ field: name, message: error });
+    } else {
+      generationParams[name] = value;
+    }
+  }
+  if (fieldErrors.length > 0) {
+    throw createValidationError(fieldErrors);
+  }
+
+  let format;
+  if (responseFormat && responseFormat.type !== 'text') {
+    if (responseFormat.type === 'json_object') {
+      format = 'json';
+    } else if (responseFormat.type === 'json_schema') {
+      format = {
+        type: 'json_schema',
+        name: responseFormat.json_schema?.name,
+        schema: responseFormat.json_schema?.schema,
+      };
+    } else {
+      throw createRequestError('response_format.type must be text, json_object or json_schema', 'response_format');
+    }
+  }
+
+  const { providerId, model } = parseModelId(body.model);
+  return {
+    providerId,
+    model,
+    messages: normalizedMessages,
+    temperature: temperature ?? undefined,
+    stream: stream === true,
+    includeUsage: body.stream_options?.include_usage === true,
+    tools,
+    toolChoice,
+    responseFormat: format,
+    generationParams,
+  };
+}
+
+// Функция для приведения ответа провайдера к формату chat.completion
+// usage берется из tokenUsage (посчитан локально, если провайдер его не прислал)
+// Рассуждения (reasoning после normalizeCompletionReasoning) отдаются в поле reasoning_content, как у DeepSeek
+export function toChatCompletion(result, modelId, tokenUsage) {
+  return {
+    id: result.id || `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: result.created || Math.floor(Date.now() / 1000),
+    model: modelId,
+    choices: (result.choices || []).map((choice, index) => ({
+      index: choice.index ?? index,
+      message: toOpenAIMessage(choice.message),
+      finish_reason: choice.finish_reason ?? null,
+    })),
+    usage: toOpenAIUsage(tokenUsage),
+  };
+}
+
+function toOpenAIMessage(message) {
+  if (!message?.reasoning) {
+    return message;
+  }
+  const { reasoning, ...rest } = message;
+  return { ...rest, reasoning_content: reasoning };
+}
+
+// Функция для приведения tokenUsage прокси к полю usage OpenAI
+export function toOpenAIUsage(tokenUsage) {
+  return {
+    prompt_tokens: tokenUsage.prompt_tokens,
+    completion_tokens: tokenUsage.completion_tokens,
+    total_tokens: tokenUsage.total_tokens,
+    ...(tokenUsage.reasoning_tokens && {
+      completion_tokens_details: { reasoning_tokens: tokenUsage.reasoning_tokens },
+    }),
+  };
+}
+
+// Функция для получения списка моделей в формате OpenAI (из каталога моделей)
+// isAllowed(providerId, model) - фильтр моделей (тариф ключа)
+export function listOpenAIModels(isAllowed) {
+  const data = [];
+  for (const provider of listProviders()) {
+    for (const { id } of getProviderCatalog(provider).models) {
+      if (!isAllowed || isAllowed(provider.id, id)) {
+        data.push({ id: toModelId(provider.id, id), object: 'model', created: 0, owned_by: provider.id });
+      }
+    }
+  }
+  return { object: 'list', data };
+}
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  402: 'insufficient_quota',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'invalid_request_error',
+  422: 'invalid_request_error',
+  429: 'rate_limit_error',
+};
+
+// Middleware, переводящий ошибки прокси ({ error, message }) в формат OpenAI ({ error: { message, type, code } })
+// Благодаря ему /v1 использует те же middleware аутентификации и лимитов, что и /api
+export function formatOpenAIErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+      return json({
+        error: {
+          message: body.message || body.error,
+          type: ERROR_TYPES[res.statusCode] || 'api_error',
+          param: body.param ?? null,
+          code: body.code ?? null,
+        },
+      });
+    }
+    return json(body);
+  };
+  next();
+}
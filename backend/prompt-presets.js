@@ -0,0 +1,238 @@
+import path from 'path';
+import { getProvider } from './providers/index.js';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Именованные пресеты: системный промпт вместе с параметрами генерации
+//
+// Хранятся в DATA_DIR/presets.json: { presets: [{ name, title, description, systemPrompt, provider, model,
+// temperature, maxTokens, stop, variables, createdAt, updatedAt }] }
+// Пока файла нет, используются встроенные пресеты; первое изменение сохраняет их в файл.
+//
+// В системном промпте можно использовать переменные {{имя}}: встроенные date, time, datetime
+// и любые другие, заданные в variables пресета (значения по умолчанию) или в запросе.
+
+const DEFAULT_PRESETS = [
+  {
+    name: 'code-reviewer',
+    title: 'Ревьюер кода',
+    description: 'Разбирает код, находит ошибки и предлагает исправления',
+    systemPrompt: 'Ты опытный ревьюер кода. Сегодня {{date}}. Отвечай на языке: {{language}}. Указывай на ошибки, уязвимости и проблемы читаемости, для каждой предлагай исправление. Не переписывай код целиком без необходимости.',
+    temperature: 0.2,
+    variables: { language: 'русский' },
+  },
+  {
+    name: 'translator',
+    title: 'Переводчик',
+    description: 'Переводит текст пользователя на заданный язык',
+    systemPrompt: 'Ты профессиональный переводчик. Переведи сообщение пользователя на язык: {{language}}. Сохраняй смысл, тон и форматирование, не добавляй пояснений.',
+    temperature: 0.3,
+    variables: { language: 'английский' },
+  },
+  {
+    name: 'strict-json',
+    title: 'Строгий JSON',
+    description: 'Отвечает только JSON объектом без пояснений',
+    systemPrompt: 'Отвечай только одним валидным JSON объектом, без markdown, пояснений и текста до или после него.',
+    temperature: 0,
+  },
+];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_STOP_SEQUENCES = 4;
+
+let store = null;
+let writeQueue = Promise.resolve();
+
+function getPresetsPath() {
+  return path.join(getDataDir(), 'presets.json');
+}
+
+function createPresetError(message, status = 400) {
+  const error = new Error(status === 400 ? `Invalid request. ${message}` : message);
+  error.status = status;
+  return error;
+}
+
+async function loadStore() {
+  if (!store) {
+    store = (await readJsonFile(getPresetsPath())) || {
+      presets: DEFAULT_PRESETS.map(preset => ({ ...preset, createdAt: null, updatedAt: null })),
+    };
+  }
+  return store;
+}
+
+// Функция для последовательного изменения хранилища (параллельные запросы не затирают друг друга)
+function updateStore(operation) {
+  const current = writeQueue.then(async () => {
+    await loadStore();
+    const result = await operation(store);
+    await writeJsonAtomic(getPresetsPath(), store);
+    return result;
+  });
+  writeQueue = current.catch(() => {});
+  return current;
+}
+
+// Функция для проверки полей пресета; partial - проверять только переданные поля (для обновления)
+function validatePreset(fields, { partial = false } = {}) {
+  const preset = {};
+
+  if (!partial || fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !NAME_PATTERN.test(fields.name)) {
+      throw createPresetError('name must contain only lowercase letters, digits, "-" and "_" (up to 64 characters)');
+    }
+    preset.name = fields.name;
+  }
+
+  for (const key of ['title', 'description']) {
+    if (fields[key] !== undefined) {
+      if (fields[key] !== null && typeof fields[key] !== 'string') {
+        throw createPresetError(`${key} must be a string`);
+      }
+      preset[key] = fields[key];
+    }
+  }
+
+  if (!partial || fields.systemPrompt !== undefined) {
+    if (typeof fields.systemPrompt !== 'string' || fields.systemPrompt.trim().length === 0) {
+      throw createPresetError('systemPrompt must be a non-empty string');
+    }
+    preset.systemPrompt = fields.systemPrompt;
+  }
+
+  if (fields.provider !== undefined) {
+    if (fields.provider !== null && !getProvider(fields.provider)) {
+      throw createPresetError(`Unknown provider "${fields.provider}"`);
+    }
+    preset.provider = fields.provider;
+  }
+  if (fields.model !== undefined) {
+    if (fields.model !== null && typeof fields.model !== 'string') {
+      throw createPresetError('model must be a string');
+    }
+    preset.model = fields.model;
+  }
+  if (fields.temperature !== undefined) {
+    if (fields.temperature !== null && (typeof fields.temperature !== 'number' || fields.temperature < 0 || fields.temperature > 2)) {
+      throw createPresetError('temperature must be a number from 0 to 2');
+    }
+    preset.temperature = fields.temperature;
+  }
+  if (fields.maxTokens !== undefined) {
+    if (fields.maxTokens !== null && (!Number.isInteger(fields.maxTokens) || fields.maxTokens < 1)) {
+      throw createPresetError('maxTokens must be a positive integer');
+    }
+    preset.maxTokens = fields.maxTokens;
+  }
+  if (fields.stop !== undefined) {
+    preset.stop = validateStop(fields.stop);
+  }
+  if (fields.variables !== undefined) {
+    const variables = fields.variables;
+    if (variables !== null && (typeof variables !== 'object' || Array.isArray(variables) || Object.values(variables).some(value => typeof value !== 'string'))) {
+      throw createPresetError('variables must be an object with string values');
+    }
+    preset.variables = variables;
+  }
+
+  return preset;
+}
+
+// Функция для проверки стоп-последовательностей: строка или массив до 4 строк (как в OpenAI API)
+export function validateStop(stop) {
+  if (stop === null || typeof stop === 'string') {
+    return stop;
+  }
+  if (!Array.isArray(stop) || stop.length > MAX_STOP_SEQUENCES || stop.some(item => typeof item !== 'string' || item.length === 0)) {
+    throw createPresetError(`stop must be a string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings`);
+  }
+  return stop;
+}
+
+// Функция для получения списка пресетов
+export async function listPresets() {
+  await loadStore();
+  return store.presets;
+}
+
+// Функция для получения пресета по имени (null, если не найден)
+export async function getPreset(name) {
+  await loadStore();
+  return store.presets.find(preset => preset.name === name) || null;
+}
+
+// Функция для создания пресета
+export async function createPreset(fields) {
+  const preset = validatePreset(fields || {});
+  return await updateStore(async (data) => {
+    if (data.presets.some(item => item.name === preset.name)) {
+      throw createPresetError(`Preset "${preset.name}" already exists`, 409);
+    }
+    const now = new Date().toISOString();
+    const record = { ...preset, createdAt: now, updatedAt: now };
+    data.presets.push(record);
+    logger.info(`🎛️ Created preset ${record.name}`);
+    return record;
+  });
+}
+
+// Функция для частичного обновления пресета (null, если не найден); имя пресета не меняется
+export async function updatePreset(name, fields) {
+  const changes = validatePreset({ ...fields, name: undefined }, { partial: true });
+  return await updateStore(async (data) => {
+    const index = data.presets.findIndex(item => item.name === name);
+    if (index === -1) {
+      return null;
+    }
+    data.presets[index] = { ...data.presets[index], ...changes, updatedAt: new Date().toISOString() };
+    logger.info(`🎛️ Updated preset ${name}`);
+    return data.presets[index];
+  });
+}
+
+// Функция для удаления пресета, возвращает false, если пресет не найден
+export async function deletePreset(name) {
+  return await updateStore(async (data) => {
+    const index = data.presets.findIndex(item => item.name === name);
+    if (index === -1) {
+      return false;
+    }
+    data.presets.splice(index, 1);
+    logger.info(`🗑️ Deleted preset ${name}`);
+    return true;
+  });
+}
+
+// Функция для подстановки переменных {{имя}} в системный промпт пресета
+// variables - значения из запроса, они переопределяют значения по умолчанию из пресета
+// Бросает ошибку со status 400, если значение какой-то переменной не задано
+export function renderPresetPrompt(preset, variables = {}) {
+  if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw createPresetError('variables must be an object');
+  }
+
+  const now = new Date();
+  const values = {
+    date: now.toISOString().split('T')[0],
+    time: now.toTimeString().substring(0, 5),
+    datetime: now.toISOString(),
+    ...preset.variables,
+    ...variables,
+  };
+
+  const missing = new Set();
+  const prompt = preset.systemPrompt.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(values[name]);
+  });
+
+  if (missing.size > 0) {
+    throw createPresetError(`Preset "${preset.name}" requires variables: ${[...missing].join(', ')}`);
+  }
+  return prompt;
+}
@@ -0,0 +1,52 @@
+import { createOpenAICompatibleProvider, fetchOpenAICompatibleModels } from './openai-compatible.js';
+import { logger } from '../logger.js';
+
+// Функция для разбора списка из переменной окружения (через запятую)
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+// Функция для создания провайдера с OpenAI-совместимым API, настроенного только через переменные окружения
+// Позволяет подключить локальный llama.cpp / Ollama / vLLM сервер для офлайн тестирования:
+//   OPENAI_COMPATIBLE_BASE_URL=http://localhost:11434/v1
+//   OPENAI_COMPATIBLE_API_KEY=       (опционально)
+//   OPENAI_COMPATIBLE_MODELS=llama3.1:8b,qwen2.5:7b (опционально, иначе берется из GET /models)
+//   OPENAI_COMPATIBLE_JSON_MODE=true (опционально, сервер поддерживает response_format json_object)
+//   OPENAI_COMPATIBLE_TOOLS=true     (опционально, сервер поддерживает tools / tool_choice)
+// Возвращает null, если базовый URL не задан
+export function createCustomProviderFromEnv(env = process.env) {
+  const baseUrl = env.OPENAI_COMPATIBLE_BASE_URL;
+  if (!baseUrl) {
+    return null;
+  }
+
+  const models = parseList(env.OPENAI_COMPATIBLE_MODELS);
+  const contextLimit = parseInt(env.OPENAI_COMPATIBLE_CONTEXT_LIMIT || '8192', 10);
+  const defaultModel = env.OPENAI_COMPATIBLE_MODEL || models[0];
+
+  return createOpenAICompatibleProvider({
+    id: env.OPENAI_COMPATIBLE_ID || 'local',
+    name: env.OPENAI_COMPATIBLE_NAME || 'OpenAI-compatible',
+    baseUrl: baseUrl,
+    apiKeyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    requiresApiKey: false,
+    defaultModel: defaultModel,
+    models: models,
+    // Если список моделей не задан явно, запрашиваем его у сервера
+    listModels: models.length > 0 ? undefined : async (context) => {
+      try {
+        return await fetchOpenAICompatibleModels(context);
+      } catch (error) {
+        logger.warn(`⚠️ Could not fetch models from ${baseUrl}`, { error: error.message });
+        return defaultModel ? [defaultModel] : [];
+      }
+    },
+    presets: defaultModel ? { top: defaultModel, medium: defaultModel, light: defaultModel } : {},
+    defaultContextLimit: contextLimit,
+    jsonMode: env.OPENAI_COMPATIBLE_JSON_MODE === 'true',
+    toolCalling: env.OPENAI_COMPATIBLE_TOOLS === 'true',
+  });
+}
@@ -0,0 +1,27 @@
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Провайдер DeepSeek API (https://platform.deepseek.com/)
+export default createOpenAICompatibleProvider({
+  id: 'deepseek',
+  name: 'DeepSeek',
+  baseUrl: 'https://api.deepseek.com/v1',
+  baseUrlEnv: 'DEEPSEEK_BASE_URL',
+  apiKeyEnv: 'DEEPSEEK_API_KEY',
+  defaultModel: 'deepseek-chat',
+  defaultModelEnv: 'DEEPSEEK_MODEL',
+  // Модели, их лимиты и цены описаны в каталоге (models.json)
+  presets: {
+    top: 'deepseek-ai/DeepSeek-V3-0324',
+    medium: 'deepseek-chat',
+    light: 'deepseek-chat',
+  },
+  defaultContextLimit: 64000,
+  // USD за 1M токенов (https://api-docs.deepseek.com/quick_start/pricing, без скидки за кеш)
+  defaultPricing: { input: 0.27, output: 1.10 },
+  // JSON Output поддерживает только deepseek-chat (https://api-docs.deepseek.com/guides/json_mode)
+  jsonMode: model => model === 'deepseek-chat',
+  // Function Calling также поддерживает только deepseek-chat
+  toolCalling: model => model === 'deepseek-chat',
+  // seed API не принимает; ограничения deepseek-reasoner заданы в каталоге
+  parameters: ['max_tokens', 'top_p', 'stop', 'presence_penalty'],
+});
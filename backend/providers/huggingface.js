@@ -0,0 +1,96 @@
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Функция для получения из Hugging Face Hub моделей генерации текста, доступных через Inference Providers
+// Фильтр inference_provider=all оставляет только модели, которые действительно обслуживает роутер,
+// поэтому проверять названия моделей не нужно. Модели из каталога (models.json) добавляются к ним
+// в model-catalog.js; без API ключа Hub не запрашивается и используется только каталог.
+async function listHuggingFaceModels({ getApiKey }) {
+  const hfApiKey = getApiKey();
+  if (!hfApiKey) {
+    return [];
+  }
+
+  const hubResponse = await fetch('https://huggingface.co/api/models?inference_provider=all&pipeline_tag=text-generation&sort=downloads&direction=-1&limit=50', {
+    headers: {
+      'Authorization': `Bearer ${hfApiKey}`,
+    },
+  });
+  if (!hubResponse.ok) {
+    throw new Error(`Hub API request failed: ${hubResponse.status}`);
+  }
+
+  const hubData = await hubResponse.json();
+  return hubData
+    .map(model => model.id)
+    .filter(id => typeof id === 'string' && id.includes('/'))
+    .slice(0, 30);
+}
+
+// Функция для формирования понятного текста ошибки Hugging Face API
+function normalizeHuggingFaceError(status, errorText, model) {
+  let errorMessage = `Hugging Face API error: ${status}`;
+  try {
+    const errorData = JSON.parse(errorText);
+    // errorData.error может быть объектом с полем message
+    if (errorData.error) {
+      if (typeof errorData.error === 'string') {
+        errorMessage += ` - ${errorData.error}`;
+      } else if (errorData.error.message) {
+        errorMessage += ` - ${errorData.error.message}`;
+      } else if (errorData.error.type) {
+        errorMessage += ` - ${errorData.error.type}: ${errorData.error.message || errorData.error.code || ''}`;
+      } else {
+        errorMessage += ` - ${JSON.stringify(errorData.error)}`;
+      }
+    } else if (errorData.message) {
+      errorMessage += ` - ${errorData.message}`;
+    } else {
+      errorMessage += ` - ${errorText}`;
+    }
+  } catch (e) {
+    errorMessage += ` - ${errorText}`;
+  }
+
+  // Если модель не поддерживается или не найдена, предлагаем альтернативу
+  if (isModelUnsupportedError(status, errorText)) {
+    errorMessage += `. Модель "${model}" не поддерживает chat completion или недоступна. Попробуйте другую модель из списка.`;
+  }
+
+  return errorMessage;
+}
+
+// Функция для определения ошибки "модель не поддерживается"
+function isModelUnsupportedError(status, errorText) {
+  return status === 404 ||
+    status === 400 && (
+      errorText.includes('not found') ||
+      errorText.includes('Model') ||
+      errorText.includes('not a chat model') ||
+      errorText.includes('model_not_supported')
+    );
+}
+
+// Провайдер Hugging Face Inference Providers (router.huggingface.co)
+export default createOpenAICompatibleProvider({
+  id: 'huggingface',
+  name: 'Hugging Face',
+  baseUrl: 'https://router.huggingface.co/v1',
+  baseUrlEnv: 'HUGGINGFACE_BASE_URL',
+  apiKeyEnv: 'HUGGINGFACE_API_KEY',
+  defaultModel: 'Qwen/Qwen2.5-7B-Instruct',
+  defaultModelEnv: 'HUGGINGFACE_MODEL',
+  // Проверенные модели, их лимиты и возможности описаны в каталоге (models.json)
+  listModels: listHuggingFaceModels,
+  presets: {
+    top: 'Qwen/Qwen2.5-72B-Instruct',
+    medium: 'Qwen/Qwen2.5-7B-Instruct',
+    light: 'google/gemma-2-2b-it',
+  },
+  // Цена зависит от inference-провайдера, выбранного роутером; это консервативная оценка,
+  // точные значения задаются в PRICING_FILE
+  defaultPricing: { input: 0.5, output: 1.5 },
+  // Function calling через router поддерживают instruct-модели с шаблоном для tools (для моделей вне каталога)
+  toolCalling: model => /qwen2\.5|llama-3\.[123]|mistral|mixtral|glm|deepseek-v3/i.test(model),
+  normalizeError: normalizeHuggingFaceError,
+  isModelUnsupported: isModelUnsupportedError,
+});
@@ -0,0 +1,90 @@
+import deepseekProvider from './deepseek.js';
+import huggingfaceProvider from './huggingface.js';
+import { createCustomProviderFromEnv } from './custom.js';
+import mockProvider, { isMockProviderEnabled } from './mock.js';
+import { getModelInfo, findModelInfo } from '../model-catalog.js';
+
+// Реестр провайдеров: { id: provider }
+// Порядок регистрации определяет порядок провайдеров в /api/models
+const providers = new Map();
+
+// Функция для регистрации провайдера в реестре
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+// Функция для загрузки встроенных провайдеров и провайдеров из переменных окружения
+// Вызывается после dotenv.config()
+export function loadProviders() {
+  providers.clear();
+  registerProvider(deepseekProvider);
+  registerProvider(huggingfaceProvider);
+
+  const customProvider = createCustomProviderFromEnv();
+  if (customProvider) {
+    registerProvider(customProvider);
+  }
+
+  // Ответы без сети для разработки и тестов (MOCK_PROVIDER=true или DEFAULT_PROVIDER=mock)
+  if (isMockProviderEnabled()) {
+    registerProvider(mockProvider);
+  }
+
+  return listProviders();
+}
+
+// Функция для получения провайдера по идентификатору
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+// Функция для получения списка всех зарегистрированных провайдеров
+export function listProviders() {
+  return [...providers.values()];
+}
+
+// Функция для получения идентификатора провайдера по умолчанию
+export function getDefaultProviderId() {
+  return process.env.DEFAULT_PROVIDER || 'deepseek';
+}
+
+// Функция для получения лимита контекстного окна модели
+// Порядок: каталог моделей провайдера, та же модель в каталоге другого провайдера,
+// лимит провайдера по умолчанию, оценка по семейству модели
+export function getModelContextLimit(model, providerId) {
+  if (!model) {
+    return 64000; // Значение по умолчанию
+  }
+
+  // Только точные совпадения: частичное совпадение имен могло вернуть лимит другой модели
+  const info = (providerId && getModelInfo(providerId, model)) || findModelInfo(model);
+  if (info?.contextLength) {
+    return info.contextLength;
+  }
+
+  // Лимит по умолчанию, заданный провайдером
+  const provider = providerId ? getProvider(providerId) : null;
+  if (provider?.defaultContextLimit) {
+    return provider.defaultContextLimit;
+  }
+
+  // Значения по умолчанию в зависимости от семейства моделей
+  if (model.includes('deepseek')) {
+    return 64000;
+  }
+  if (model.includes('qwen') || model.includes('Qwen')) {
+    return 128000;
+  }
+  if (model.includes('llama') || model.includes('Llama')) {
+    return 128000;
+  }
+  if (model.includes('gemma') || model.includes('Gemma')) {
+    return 8192;
+  }
+  if (model.includes('mistral') || model.includes('Mistral')) {
+    return 32768;
+  }
+
+  // Значение по умолчанию
+  return 64000;
+}
@@ -0,0 +1,260 @@
+import { readFileSync, statSync } from 'fs';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Mock провайдер для разработки без сети и для автотестов
+//
+// Отвечает сам, без внешних API, но в формате OpenAI: запросы проходят тот же путь, что и к настоящим
+// провайдерам (повторные попытки, резервные модели, потоковая передача, учет токенов).
+// Включается MOCK_PROVIDER=true или DEFAULT_PROVIDER=mock, выбирается полем provider: 'mock'.
+//
+// Модели:
+//   mock-echo           - повторяет последнее сообщение пользователя: "Echo: <текст>"
+//   mock-reasoner       - то же, с рассуждениями в reasoning_content
+//   mock-error-<статус> - всегда отвечает ошибкой с этим HTTP статусом (например, mock-error-429)
+//
+// Сценарии (MOCK_RESPONSES_FILE) - JSON массив правил, первое подходящее правило определяет ответ:
+//   [{ "match": "регулярное выражение", "model": "mock-echo", "content": "...", "reasoning": "...",
+//      "toolCalls": [{ "name": "calculator", "arguments": { "expression": "2+2" } }],
+//      "status": 502, "retryAfter": 1, "latencyMs": 200, "usage": { "prompt_tokens": 10, "completion_tokens": 5 } }]
+// match проверяется по последнему сообщению пользователя (без учета регистра), model - по имени модели.
+//
+// Токены считаются по словам (через пробелы), чтобы результаты были предсказуемыми.
+
+const ERROR_MODEL_PATTERN = /^mock-error-(\d{3})$/;
+
+let scriptCache = { path: null, mtime: null, rules: [] };
+
+function getMockConfig() {
+  return {
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS || '0', 10),
+    chunkDelayMs: parseInt(process.env.MOCK_CHUNK_DELAY_MS || '0', 10),
+    responsesFile: process.env.MOCK_RESPONSES_FILE,
+    usage: process.env.MOCK_USAGE !== 'false',
+  };
+}
+
+// Функция для проверки, нужно ли регистрировать mock провайдер
+export function isMockProviderEnabled() {
+  return process.env.MOCK_PROVIDER === 'true' || process.env.DEFAULT_PROVIDER === 'mock';
+}
+
+// Функция для загрузки правил сценария (файл перечитывается при изменении)
+function loadRules(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  const { mtimeMs } = statSync(filePath);
+  if (scriptCache.path !== filePath || scriptCache.mtime !== mtimeMs) {
+    const rules = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`${filePath} must contain a JSON array of rules`);
+    }
+    scriptCache = { path: filePath, mtime: mtimeMs, rules };
+  }
+  return scriptCache.rules;
+}
+
+function countWords(text) {
+  return typeof text === 'string' ? (text.match(/\S+/g) || []).length : 0;
+}
+
+// Функция для ожидания с поддержкой отмены запроса
+function delay(ms, signal) {
+  if (!ms) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Функция для построения ответа модели по запросу: правило сценария или эхо
+function buildReply(body) {
+  const messages = body.messages || [];
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const lastMessage = messages[messages.length - 1];
+  const userText = typeof lastUser?.content === 'string' ? lastUser.content : '';
+
+  const rule = loadRules(getMockConfig().responsesFile).find(item =>
+    (!item.model || item.model === body.model) &&
+    (!item.match || new RegExp(item.match, 'i').test(userText))
+  );
+  if (rule) {
+    return {
+      status: rule.status,
+      retryAfter: rule.retryAfter,
+      latencyMs: rule.latencyMs,
+      content: rule.content ?? null,
+      reasoning: rule.reasoning ?? null,
+      toolCalls: rule.toolCalls ?? null,
+      usage: rule.usage,
+    };
+  }
+
+  const errorMatch = String(body.model).match(ERROR_MODEL_PATTERN);
+  if (errorMatch) {
+    return { status: parseInt(errorMatch[1], 10) };
+  }
+
+  // Результат инструмента повторяется так же, как сообщение пользователя
+  const source = lastMessage?.role === 'tool' ? lastMessage.content : userText;
+  const toolChoice = body.tool_choice;
+  if (body.tools?.length > 0 && lastMessage?.role !== 'tool' && (toolChoice === 'required' || toolChoice?.function?.name)) {
+    return { toolCalls: [{ name: toolChoice?.function?.name || body.tools[0].function.name, arguments: {} }] };
+  }
+
+  return {
+    content: body.response_format?.type === 'json_object' ? JSON.stringify({ echo: source }) : `Echo: ${source}`,
+    reasoning: body.model === 'mock-reasoner' ? `Mock reasoning about: ${source}` : null,
+  };
+}
+
+// Функция для применения max_tokens (в словах) и stop к тексту ответа
+function applyLimits(content, body) {
+  let text = content;
+  let finishReason = 'stop';
+  for (const sequence of [].concat(body.stop ?? [])) {
+    const index = text.indexOf(sequence);
+    if (index !== -1) {
+      text = text.substring(0, index);
+    }
+  }
+  const words = text.match(/\S+\s*/g) || [];
+  if (body.max_tokens && words.length > body.max_tokens) {
+    text = words.slice(0, body.max_tokens).join('').trimEnd();
+    finishReason = 'length';
+  }
+  return { text, finishReason };
+}
+
+function buildUsage(body, reply, content) {
+  if (reply.usage) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, ...reply.usage };
+    return { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens };
+  }
+  const promptTokens = (body.messages || []).reduce((sum, message) => sum + countWords(message.content), 0);
+  const completionTokens = countWords(content) + countWords(reply.reasoning);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    ...(reply.reasoning && { completion_tokens_details: { reasoning_tokens: countWords(reply.reasoning) } }),
+  };
+}
+
+function toToolCalls(toolCalls) {
+  return toolCalls.map((call, index) => ({
+    id: `call_mock_${index + 1}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {}),
+    },
+  }));
+}
+
+// Функция для формирования потока SSE: рассуждения и ответ передаются по словам
+function createStreamResponse(body, reply, content, finishReason, usage, signal) {
+  const { chunkDelayMs } = getMockConfig();
+  const encoder = new TextEncoder();
+  const base = { id: 'chatcmpl-mock', object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: body.model };
+  const chunks = [{ role: 'assistant' }];
+  for (const part of reply.reasoning?.match(/\S+\s*/g) || []) {
+    chunks.push({ reasoning_content: part });
+  }
+  for (const part of content?.match(/\s*\S+\s*/g) || []) {
+    chunks.push({ content: part });
+  }
+  if (reply.toolCalls) {
+    chunks.push({ tool_calls: toToolCalls(reply.toolCalls).map((call, index) => ({ index, ...call })) });
+  }
+
+  const events = chunks.map((delta, index) => ({
+    ...base,
+    choices: [{ index: 0, delta, finish_reason: index === chunks.length - 1 ? finishReason : null }],
+  }));
+  if (body.stream_options?.include_usage && usage) {
+    events.push({ ...base, choices: [], usage });
+  }
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      try {
+        for (const event of events) {
+          await delay(chunkDelayMs, signal);
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+        }
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+  return new Response(stream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// Функция, заменяющая fetch для mock провайдера: отвечает на POST /chat/completions без сети
+export async function mockFetch(url, init = {}) {
+  const body = JSON.parse(init.body || '{}');
+  const reply = buildReply(body);
+  await delay(reply.latencyMs ?? getMockConfig().latencyMs, init.signal);
+
+  if (reply.status && reply.status >= 400) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (reply.retryAfter !== undefined) {
+      headers['Retry-After'] = String(reply.retryAfter);
+    }
+    return new Response(JSON.stringify({ error: { message: `Mock error ${reply.status}`, type: 'mock_error' } }), {
+      status: reply.status,
+      headers,
+    });
+  }
+
+  const { text: content, finishReason } = reply.content !== null && reply.content !== undefined
+    ? applyLimits(reply.content, body)
+    : { text: null, finishReason: reply.toolCalls ? 'tool_calls' : 'stop' };
+  const usage = getMockConfig().usage ? buildUsage(body, reply, content) : undefined;
+
+  if (body.stream) {
+    return createStreamResponse(body, reply, content, reply.toolCalls ? 'tool_calls' : finishReason, usage, init.signal);
+  }
+
+  const message = {
+    role: 'assistant',
+    content: content,
+    ...(reply.reasoning && { reasoning_content: reply.reasoning }),
+    ...(reply.toolCalls && { tool_calls: toToolCalls(reply.toolCalls) }),
+  };
+  return new Response(JSON.stringify({
+    id: 'chatcmpl-mock',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model,
+    choices: [{ index: 0, message, finish_reason: reply.toolCalls ? 'tool_calls' : finishReason }],
+    ...(usage && { usage }),
+  }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+export default createOpenAICompatibleProvider({
+  id: 'mock',
+  name: 'Mock',
+  baseUrl: 'mock://local',
+  requiresApiKey: false,
+  defaultModel: 'mock-echo',
+  defaultModelEnv: 'MOCK_MODEL',
+  // Модели, их лимиты и цены описаны в каталоге (models.json)
+  presets: {
+    top: 'mock-reasoner',
+    medium: 'mock-echo',
+    light: 'mock-echo',
+  },
+  defaultContextLimit: 8192,
+  jsonMode: true,
+  toolCalling: true,
+  fetch: mockFetch,
+});
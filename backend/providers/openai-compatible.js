@@ -0,0 +1,238 @@
+import { getModelInfo } from '../model-catalog.js';
+import { logger } from '../logger.js';
+
+// Базовая реализация провайдера с OpenAI-совместимым API (/chat/completions, /models)
+// Используется DeepSeek, Hugging Face router и любыми локальными серверами (llama.cpp, Ollama, vLLM)
+
+// Дополнительные параметры генерации, которые прокси умеет передавать провайдеру
+export const GENERATION_PARAMETER_NAMES = ['max_tokens', 'top_p', 'stop', 'presence_penalty', 'seed'];
+
+// Функция для формирования текста ошибки по умолчанию
+function defaultNormalizeError(providerName, status, errorText) {
+  return `${providerName} API error: ${status} - ${errorText}`;
+}
+
+// Функция для создания провайдера по декларативному описанию
+// config:
+//   id, name          - идентификатор (используется в запросах) и отображаемое имя
+//   baseUrl           - базовый URL API, например https://api.deepseek.com/v1
+//   baseUrlEnv        - переменная окружения, переопределяющая baseUrl
+//   apiKeyEnv         - переменная окружения с API ключом
+//   requiresApiKey    - нужен ли ключ (локальные серверы обычно работают без него)
+//   defaultModel      - модель по умолчанию, defaultModelEnv - переменная для ее переопределения
+//   models            - статический список моделей, listModels - асинхронная функция получения списка
+//                       (дополняют каталог моделей model-catalog.js, где заданы лимиты, возможности и цены)
+//   presets           - быстрый выбор моделей { top, medium, light }
+//   defaultContextLimit - лимит контекстного окна для моделей, отсутствующих в каталоге
+//   defaultPricing    - цена в USD за 1M токенов { input, output } для моделей без цены в каталоге
+//   jsonMode          - поддержка response_format { type: 'json_object' } моделями вне каталога:
+//                       boolean или функция (model) => boolean
+//   toolCalling       - поддержка tools / tool_choice моделями вне каталога: boolean или функция (model) => boolean
+//   parameters        - параметры генерации (из GENERATION_PARAMETER_NAMES), которые принимают модели без
+//                       parameters в каталоге; по умолчанию все
+//   normalizeError    - функция (status, errorText, model) => текст ошибки
+//   isModelUnsupported - функция (status, errorText) => true, если модель недоступна у провайдера
+//   fetch             - функция отправки запросов вместо глобального fetch (mock провайдер отвечает без сети)
+export function createOpenAICompatibleProvider(config) {
+  const {
+    id,
+    name,
+    baseUrl,
+    baseUrlEnv,
+    apiKeyEnv,
+    requiresApiKey = true,
+    defaultModel,
+    defaultModelEnv,
+    models = [],
+    presets = {},
+    defaultContextLimit,
+    defaultPricing = null,
+    jsonMode = false,
+    toolCalling = false,
+    parameters = GENERATION_PARAMETER_NAMES,
+    normalizeError,
+    isModelUnsupported,
+    listModels,
+    fetch: transport,
+  } = config;
+
+  // Переменные окружения читаются при каждом обращении: модули загружаются раньше dotenv.config()
+  function getBaseUrl() {
+    const url = (baseUrlEnv && process.env[baseUrlEnv]) || baseUrl;
+    return url ? url.replace(/\/+$/, '') : url;
+  }
+
+  function getApiKey() {
+    return apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+  }
+
+  function getDefaultModel() {
+    return (defaultModelEnv && process.env[defaultModelEnv]) || defaultModel;
+  }
+
+  function isConfigured() {
+    return Boolean(getBaseUrl()) && (!requiresApiKey || Boolean(getApiKey()));
+  }
+
+  // Возможности модели берутся из каталога, для моделей вне каталога - из описания провайдера
+  function supportsJsonMode(model) {
+    const info = getModelInfo(id, model || getDefaultModel());
+    if (info?.source === 'config') {
+      return info.features.jsonMode;
+    }
+    return typeof jsonMode === 'function' ? jsonMode(model || getDefaultModel()) : Boolean(jsonMode);
+  }
+
+  function supportsTools(model) {
+    const info = getModelInfo(id, model || getDefaultModel());
+    if (info?.source === 'config') {
+      return info.features.tools;
+    }
+    return typeof toolCalling === 'function' ? toolCalling(model || getDefaultModel()) : Boolean(toolCalling);
+  }
+
+  function supportsParameter(model, parameter) {
+    const info = getModelInfo(id, model || getDefaultModel());
+    return (info?.parameters || parameters).includes(parameter);
+  }
+
+  function buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = getApiKey();
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  // Функция для отправки запроса к /chat/completions
+  // При options.stream = true возвращает исходный Response с SSE-потоком вместо JSON
+  // options.responseFormat передается в API как response_format (JSON mode)
+  // options.tools и options.toolChoice передаются как tools и tool_choice
+  // options.generationParams - дополнительные поля запроса (max_tokens, top_p, stop, presence_penalty, seed),
+  // пустые значения пропускаются
+  async function sendChat(messagesWithSystem, temperature, model, options = {}) {
+    const { stream = false, signal, responseFormat, tools, toolChoice, generationParams = {} } = options;
+
+    if (requiresApiKey && !getApiKey()) {
+      throw new Error(`${apiKeyEnv} is not set in environment variables`);
+    }
+
+    const url = `${getBaseUrl()}/chat/completions`;
+    const requestBody = {
+      model: model || getDefaultModel(),
+      messages: messagesWithSystem,
+      stream: stream,
+    };
+
+    if (stream) {
+      // Просим прислать usage в последнем чанке потока
+      requestBody.stream_options = { include_usage: true };
+    }
+
+    if (temperature !== undefined && temperature !== null) {
+      requestBody.temperature = temperature;
+    }
+
+    for (const [key, value] of Object.entries(generationParams)) {
+      if (value !== undefined && value !== null) {
+        requestBody[key] = value;
+      }
+    }
+
+    if (responseFormat) {
+      requestBody.response_format = responseFormat;
+    }
+
+    if (tools && tools.length > 0) {
+      requestBody.tools = tools;
+      if (toolChoice !== undefined) {
+        requestBody.tool_choice = toolChoice;
+      }
+    }
+
+    logger.info(`🚀 Sending request to ${name} API`, {
+      url: url,
+      upstreamModel: requestBody.model,
+      messagesCount: messagesWithSystem.length,
+      tools: requestBody.tools?.map(tool => tool.function?.name).join(', '),
+    });
+
+    const response = await (transport || fetch)(url, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: JSON.stringify(requestBody),
+      signal: signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(`❌ ${name} API error`, {
+        upstreamStatus: response.status,
+        upstreamModel: requestBody.model,
+        upstreamError: errorText.substring(0, 1000),
+      });
+
+      const message = normalizeError
+        ? normalizeError(response.status, errorText, requestBody.model)
+        : defaultNormalizeError(name, response.status, errorText);
+      const error = new Error(message);
+      error.status = response.status;
+      error.provider = id;
+      error.model = requestBody.model;
+      error.modelUnsupported = Boolean(isModelUnsupported?.(response.status, errorText));
+      // Retry-After в секундах (используется при повторных попытках)
+      const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+      if (!Number.isNaN(retryAfter)) {
+        error.retryAfter = retryAfter;
+      }
+      throw error;
+    }
+
+    if (stream) {
+      return response;
+    }
+
+    return await response.json();
+  }
+
+  // Функция для получения списка моделей провайдера
+  async function getModels() {
+    if (listModels) {
+      return await listModels({ getBaseUrl, getApiKey, buildHeaders, models });
+    }
+    return models;
+  }
+
+  return {
+    id,
+    name,
+    presets,
+    defaultContextLimit,
+    defaultPricing,
+    getBaseUrl,
+    getDefaultModel,
+    isConfigured,
+    supportsJsonMode,
+    supportsTools,
+    supportsParameter,
+    sendChat,
+    getModels,
+  };
+}
+
+// Функция для получения списка моделей через стандартный endpoint GET /models
+export async function fetchOpenAICompatibleModels({ getBaseUrl, buildHeaders }) {
+  const response = await fetch(`${getBaseUrl()}/models`, {
+    headers: buildHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Models request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.data || data.models || [])
+    .map(model => model.id || model.name)
+    .filter(Boolean);
+}
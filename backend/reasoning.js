@@ -0,0 +1,179 @@
+// Рассуждения моделей (reasoning): отделение хода мысли от ответа
+//
+// Провайдеры возвращают рассуждения по-разному: DeepSeek API - в поле reasoning_content,
+// некоторые OpenAI-совместимые серверы - в поле reasoning, а R1 через Hugging Face - блоком
+// <think>...</think> в начале content. Прокси приводит их к единому полю reasoning.
+//
+// Режимы (поле reasoning в /api/chat):
+//   include - рассуждения возвращаются отдельно от ответа (поле reasoning, событие reasoning в потоке)
+//   hide    - рассуждения не передаются клиенту, но сохраняются в диалоге на сервере
+//   strip   - рассуждения отбрасываются полностью
+// Во всех режимах ответ (content) очищается от рассуждений, а их токены учитываются в tokenUsage.
+
+export const REASONING_MODES = ['include', 'hide', 'strip'];
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+// Функция для разделения текста ответа на рассуждения в <think> и сам ответ
+// Открывающий тег может отсутствовать: шаблон R1 иногда добавляет его в промпт, и модель выводит только </think>
+export function splitThinkBlock(text) {
+  if (typeof text !== 'string') {
+    return { content: text, reasoning: null };
+  }
+
+  const trimmed = text.trimStart();
+  const closeIndex = trimmed.indexOf(CLOSE_TAG);
+  if (trimmed.startsWith(OPEN_TAG)) {
+    if (closeIndex === -1) {
+      // Ответ оборвался во время рассуждений
+      return { content: '', reasoning: trimmed.slice(OPEN_TAG.length).trim() };
+    }
+    return {
+      content: trimmed.slice(closeIndex + CLOSE_TAG.length).trimStart(),
+      reasoning: trimmed.slice(OPEN_TAG.length, closeIndex).trim(),
+    };
+  }
+  if (closeIndex !== -1 && !trimmed.slice(0, closeIndex).includes(OPEN_TAG)) {
+    return {
+      content: trimmed.slice(closeIndex + CLOSE_TAG.length).trimStart(),
+      reasoning: trimmed.slice(0, closeIndex).trim(),
+    };
+  }
+  return { content: text, reasoning: null };
+}
+
+// Функция для приведения рассуждений в сообщении модели к полю reasoning
+// Сообщение изменяется на месте: content очищается, reasoning_content удаляется; возвращается reasoning или null
+export function normalizeMessageReasoning(message) {
+  if (!message) {
+    return null;
+  }
+
+  const parts = [];
+  const fieldReasoning = message.reasoning_content ?? (typeof message.reasoning === 'string' ? message.reasoning : null);
+  if (fieldReasoning) {
+    parts.push(fieldReasoning.trim());
+  }
+
+  const split = splitThinkBlock(message.content);
+  if (split.reasoning) {
+    parts.push(split.reasoning);
+    message.content = split.content;
+  }
+
+  delete message.reasoning_content;
+  message.reasoning = parts.length > 0 ? parts.join('\n\n') : null;
+  if (!message.reasoning) {
+    delete message.reasoning;
+  }
+  return parts.length > 0 ? message.reasoning : null;
+}
+
+// Функция для нормализации рассуждений в полном (не потоковом) ответе провайдера
+export function normalizeCompletionReasoning(result) {
+  return normalizeMessageReasoning(result?.choices?.[0]?.message);
+}
+
+// Функция для получения копии ответа без поля reasoning в сообщениях
+// Исходный ответ не изменяется: он может храниться в кеше ответов
+export function omitReasoning(result) {
+  return {
+    ...result,
+    choices: (result.choices || []).map(choice => {
+      const { reasoning, ...message } = choice.message || {};
+      return { ...choice, message };
+    }),
+  };
+}
+
+// Функция для создания разборщика потока: отделяет блок <think> в начале ответа от остального текста,
+// даже если теги разрезаны между чанками
+// push(text) и flush() возвращают { content, reasoning } - новые части ответа и рассуждений
+export function createReasoningStreamParser() {
+  let state = 'start'; // start - начало ответа, thinking - внутри <think>, answer - ответ
+  let buffer = '';
+
+  function push(text) {
+    buffer += text;
+    let content = '';
+    let reasoning = '';
+
+    while (buffer.length > 0) {
+      if (state === 'start') {
+        const trimmed = buffer.trimStart();
+        if (trimmed.startsWith(OPEN_TAG)) {
+          state = 'thinking';
+          buffer = trimmed.slice(OPEN_TAG.length);
+          continue;
+        }
+        if (trimmed.length === 0 || OPEN_TAG.startsWith(trimmed)) {
+          // Еще нельзя понять, начинается ли ответ с <think>
+          break;
+        }
+        state = 'answer';
+        continue;
+      }
+
+      if (state === 'thinking') {
+        const closeIndex = buffer.indexOf(CLOSE_TAG);
+        if (closeIndex !== -1) {
+          reasoning += buffer.slice(0, closeIndex);
+          buffer = buffer.slice(closeIndex + CLOSE_TAG.length).trimStart();
+          state = buffer.length > 0 ? 'answer' : 'after_think';
+          continue;
+        }
+        // Хвост, который может оказаться началом </think>, придерживаем до следующего чанка
+        let keep = 0;
+        for (let length = Math.min(CLOSE_TAG.length - 1, buffer.length); length > 0; length--) {
+          if (CLOSE_TAG.startsWith(buffer.slice(-length))) {
+            keep = length;
+            break;
+          }
+        }
+        reasoning += buffer.slice(0, buffer.length - keep);
+        buffer = buffer.slice(buffer.length - keep);
+        break;
+      }
+
+      if (state === 'after_think') {
+        // Пропускаем пробелы и переводы строк между </think> и ответом
+        buffer = buffer.trimStart();
+        if (buffer.length === 0) {
+          break;
+        }
+        state = 'answer';
+        continue;
+      }
+
+      content += buffer;
+      buffer = '';
+    }
+
+    return { content, reasoning };
+  }
+
+  function flush() {
+    const rest = buffer;
+    buffer = '';
+    if (state === 'thinking') {
+      return { content: '', reasoning: rest };
+    }
+    return { content: state === 'after_think' ? '' : rest, reasoning: '' };
+  }
+
+  return { push, flush };
+}
+
+// Функция для проверки режима рассуждений из запроса (бросает ошибку со status 400)
+export function parseReasoningMode(mode) {
+  if (mode === undefined) {
+    return 'include';
+  }
+  if (!REASONING_MODES.includes(mode)) {
+    const error = new Error(`Invalid request. reasoning must be one of: ${REASONING_MODES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return mode;
+}
@@ -0,0 +1,245 @@
+import { getProviderCatalog } from './model-catalog.js';
+import { validateStop } from './prompt-presets.js';
+import { REASONING_MODES } from './reasoning.js';
+import { CONTEXT_STRATEGIES } from './context-window.js';
+
+// Проверка тел запросов к чату до обращения к провайдеру
+//
+// Ошибки собираются по всем полям сразу и возвращаются клиенту списком
+// fields: [{ field: 'messages[2].role', message: 'must be one of: ...' }] вместе со статусом 400.
+// Провайдер должен быть зарегистрирован, а модель - присутствовать в каталоге провайдера
+// (ALLOW_UNLISTED_MODELS=true разрешает любые модели, как раньше).
+
+export const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Дополнительные параметры генерации: имя в /api/chat -> имя в запросе OpenAI
+// Допускаются оба варианта написания, как toolChoice / tool_choice
+export const GENERATION_PARAMETERS = {
+  maxTokens: 'max_tokens',
+  topP: 'top_p',
+  stop: 'stop',
+  presencePenalty: 'presence_penalty',
+  seed: 'seed',
+};
+
+export function getValidationConfig() {
+  return {
+    maxMessages: parseInt(process.env.CHAT_MAX_MESSAGES || '500', 10),
+    allowUnlistedModels: process.env.ALLOW_UNLISTED_MODELS === 'true',
+  };
+}
+
+// Функция для создания ошибки проверки со списком полей
+export function createValidationError(fields) {
+  const error = new Error(`Invalid request. ${fields.map(item => `${item.field} ${item.message}`).join('; ')}`);
+  error.status = 400;
+  error.fields = fields;
+  error.param = fields[0]?.field.split(/[.[]/)[0] ?? null;
+  return error;
+}
+
+// Функция для проверки списка сообщений в формате OpenAI
+// Возвращает массив ошибок полей (пустой, если все в порядке)
+export function validateMessages(messages, field = 'messages') {
+  const errors = [];
+  const add = (path, message) => errors.push({ field: path, message });
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    add(field, 'must be a non-empty array');
+    return errors;
+  }
+  const { maxMessages } = getValidationConfig();
+  if (messages.length > maxMessages) {
+    add(field, `must contain at most ${maxMessages} messages`);
+    return errors;
+  }
+
+  messages.forEach((message, index) => {
+    const path = `${field}[${index}]`;
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      add(path, 'must be an object { role, content }');
+      return;
+    }
+    if (!MESSAGE_ROLES.includes(message.role)) {
+      add(`${path}.role`, `must be one of: ${MESSAGE_ROLES.join(', ')}`);
+    }
+    // Ответ модели с вызовами инструментов может быть без текста
+    const hasToolCalls = message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+    if (typeof message.content !== 'string' && !(hasToolCalls && message.content == null)) {
+      add(`${path}.content`, 'must be a string');
+    }
+    if (message.tool_calls !== undefined && message.role !== 'assistant') {
+      add(`${path}.tool_calls`, 'is allowed only in assistant messages');
+    }
+    if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+      add(`${path}.tool_call_id`, 'must be a string');
+    }
+    if (message.name !== undefined && typeof message.name !== 'string') {
+      add(`${path}.name`, 'must be a string');
+    }
+  });
+  return errors;
+}
+
+// Функция для проверки общих параметров генерации и возврата их в формате OpenAI
+// body - тело запроса /api/chat; возвращает { errors, params }
+export function parseGenerationParameters(body) {
+  const errors = [];
+  const params = {};
+  for (const [name, apiName] of Object.entries(GENERATION_PARAMETERS)) {
+    const value = body[name] ?? body[apiName];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const error = validateGenerationParameter(apiName, value);
+    if (error) {
+      errors.push({ field: name, message: error });
+    } else {
+      params[apiName] = value;
+    }
+  }
+  return { errors, params };
+}
+
+// Функция для проверки значения одного параметра генерации (имя в формате OpenAI)
+// Возвращает текст ошибки или null
+export function validateGenerationParameter(apiName, value) {
+  switch (apiName) {
+    case 'max_tokens':
+      return Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer';
+    case 'top_p':
+      return typeof value === 'number' && value > 0 && value <= 1 ? null : 'must be a number greater than 0 and at most 1';
+    case 'presence_penalty':
+      return typeof value === 'number' && value >= -2 && value <= 2 ? null : 'must be a number from -2 to 2';
+    case 'seed':
+      return Number.isSafeInteger(value) ? null : 'must be an integer';
+    case 'stop':
+      try {
+        validateStop(value);
+        return null;
+      } catch (error) {
+        return 'must be a string or an array of up to 4 strings';
+      }
+    default:
+      return null;
+  }
+}
+
+// Функция для проверки типа необязательного поля; ошибка добавляется в errors
+function checkFieldType(body, errors, field, type) {
+  if (body[field] !== undefined && typeof body[field] !== type) {
+    errors.push({ field, message: `must be a ${type}` });
+  }
+}
+
+// Функция для проверки настроек модели, общих для /api/chat и диалогов на сервере
+function checkChatSettings(body, errors) {
+  checkFieldType(body, errors, 'systemPrompt', 'string');
+  checkFieldType(body, errors, 'provider', 'string');
+  checkFieldType(body, errors, 'model', 'string');
+  if (body.temperature !== undefined && body.temperature !== null &&
+      (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2)) {
+    errors.push({ field: 'temperature', message: 'must be a number from 0 to 2' });
+  }
+}
+
+// Функция для проверки тела запроса /api/chat (типы и диапазоны полей, без проверки модели)
+// Бросает ошибку со status 400 и списком fields
+export function validateChatBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createValidationError([{ field: 'body', message: 'must be a JSON object' }]);
+  }
+
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  const checkType = (field, type) => checkFieldType(body, errors, field, type);
+
+  if (body.conversationId !== undefined) {
+    checkType('conversationId', 'string');
+    const message = body.message;
+    const content = typeof message === 'string' ? message : message?.content;
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      add('message', 'must be a non-empty string or { role, content } with conversationId');
+    } else if (typeof message === 'object' && message.role !== undefined && message.role !== 'user') {
+      add('message.role', 'must be user');
+    }
+    if (body.messages !== undefined) {
+      add('messages', 'cannot be used with conversationId, the history is stored on the server');
+    }
+  } else {
+    errors.push(...validateMessages(body.messages));
+  }
+
+  checkChatSettings(body, errors);
+  checkType('preset', 'string');
+  checkType('knowledgeBase', 'string');
+  checkType('stream', 'boolean');
+  checkType('fallback', 'boolean');
+  checkType('cache', 'boolean');
+
+  if (body.variables !== undefined &&
+      (!body.variables || typeof body.variables !== 'object' || Array.isArray(body.variables) ||
+       Object.values(body.variables).some(value => typeof value !== 'string'))) {
+    add('variables', 'must be an object with string values');
+  }
+  if (body.contextStrategy !== undefined && !CONTEXT_STRATEGIES.includes(body.contextStrategy)) {
+    add('contextStrategy', `must be one of: ${CONTEXT_STRATEGIES.join(', ')}`);
+  }
+  if (body.reasoning !== undefined && !REASONING_MODES.includes(body.reasoning)) {
+    add('reasoning', `must be one of: ${REASONING_MODES.join(', ')}`);
+  }
+
+  errors.push(...parseGenerationParameters(body).errors);
+
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+}
+
+// Функция для проверки, что модель есть в каталоге провайдера (модель по умолчанию и пресеты допускаются всегда)
+export function isModelListed(provider, model) {
+  if (getValidationConfig().allowUnlistedModels) {
+    return true;
+  }
+  if (model === provider.getDefaultModel() || Object.values(provider.presets || {}).includes(model)) {
+    return true;
+  }
+  return getProviderCatalog(provider).models.some(entry => entry.id === model);
+}
+
+// Функция для проверки тела запроса POST /api/conversations: настройки диалога проверяются
+// так же, как в /api/chat
+// Бросает ошибку со status 400 и списком fields
+export function validateConversationBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createValidationError([{ field: 'body', message: 'must be a JSON object' }]);
+  }
+  const errors = [];
+  checkFieldType(body, errors, 'title', 'string');
+  checkChatSettings(body, errors);
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+}
+
+// Функция для проверки выбранной модели и поддержки ею параметров генерации
+// field - имя поля модели в ошибке (model в /api/chat и /v1, targets[i] в сравнении)
+// apiNames - называть параметры в ошибках как в OpenAI API (max_tokens), а не как в /api/chat (maxTokens)
+// Бросает ошибку со status 400 и списком fields
+export function validateModelRequest(provider, model, generationParams = {}, { field = 'model', apiNames = false } = {}) {
+  const errors = [];
+  if (!isModelListed(provider, model)) {
+    errors.push({ field, message: `"${model}" is not in the ${provider.name} model catalog (see GET /api/models)` });
+  }
+  for (const [apiName, value] of Object.entries(generationParams)) {
+    if (value !== undefined && value !== null && !provider.supportsParameter(model, apiName)) {
+      const name = apiNames
+        ? apiName
+        : Object.keys(GENERATION_PARAMETERS).find(key => GENERATION_PARAMETERS[key] === apiName) || apiName;
+      errors.push({ field: name, message: `is not supported by ${provider.name} model ${model}` });
+    }
+  }
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+}
@@ -0,0 +1,312 @@
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { getDataDir, writeJsonAtomic, readJsonFile } from './json-file.js';
+import { logger } from './logger.js';
+
+// Кеш ответов провайдеров для одинаковых детерминированных запросов
+//
+// Ключ - SHA-256 от провайдера, модели, тарифа клиента, сообщений (вместе с системным промптом), температуры и
+// параметров, влияющих на ответ (JSON mode, инструменты, fallback). Значение - JSON ответа провайдера.
+// Бэкенды: memory (Map в памяти процесса) и disk (файлы в DATA_DIR/cache, переживают перезапуск).
+// При превышении RESPONSE_CACHE_MAX_ENTRIES или RESPONSE_CACHE_MAX_BYTES вытесняются записи,
+// к которым дольше всего не обращались.
+
+function getCacheConfig() {
+  return {
+    // off, memory или disk
+    backend: process.env.RESPONSE_CACHE || 'off',
+    ttlMs: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || '3600', 10) * 1000,
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10),
+    maxBytes: parseInt(process.env.RESPONSE_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10),
+  };
+}
+
+let backend = null;
+
+// Индекс записей для вытеснения: { key: { size } }, порядок Map - порядок обращений (старые первыми)
+function createIndex() {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  return {
+    entries,
+    get totalBytes() {
+      return totalBytes;
+    },
+    touch(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+    },
+    add(key, entry) {
+      this.remove(key);
+      entries.set(key, entry);
+      totalBytes += entry.size;
+    },
+    remove(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        totalBytes -= entry.size;
+      }
+    },
+    // Функция для получения ключей, которые нужно вытеснить, чтобы уложиться в лимиты
+    overflow({ maxEntries, maxBytes }) {
+      const evicted = [];
+      let count = entries.size;
+      let bytes = totalBytes;
+      for (const [key, entry] of entries) {
+        if (count <= maxEntries && bytes <= maxBytes) {
+          break;
+        }
+        evicted.push(key);
+        count--;
+        bytes -= entry.size;
+      }
+      return evicted;
+    },
+  };
+}
+
+// Бэкенд в памяти процесса
+function createMemoryBackend() {
+  const values = new Map();
+  const index = createIndex();
+
+  return {
+    name: 'memory',
+    index,
+    // Записи копируются при сохранении и чтении: вызывающий код продолжает изменять ответ провайдера
+    // (рассуждения, usage, модерация), а запись должна совпадать с тем, что вернул бы disk
+    async get(key) {
+      const record = values.get(key);
+      return record ? structuredClone(record) : null;
+    },
+    async set(key, record) {
+      values.set(key, structuredClone(record));
+    },
+    async delete(key) {
+      values.delete(key);
+    },
+    async clear() {
+      values.clear();
+    },
+  };
+}
+
+// Бэкенд на диске: один файл на запись в DATA_DIR/cache
+function createDiskBackend() {
+  const index = createIndex();
+  const getCacheDir = () => path.join(getDataDir(), 'cache');
+  const getEntryPath = (key) => path.join(getCacheDir(), `${key}.json`);
+  let indexLoaded = null;
+
+  // Индекс восстанавливается по файлам при первом обращении (порядок - по времени изменения)
+  async function loadIndex() {
+    if (!indexLoaded) {
+      indexLoaded = (async () => {
+        let files = [];
+        try {
+          files = await fs.readdir(getCacheDir());
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        const found = [];
+        for (const file of files.filter(name => /^[0-9a-f]{64}\.json$/.test(name))) {
+          const stat = await fs.stat(path.join(getCacheDir(), file));
+          found.push({ key: path.basename(file, '.json'), size: stat.size, mtime: stat.mtimeMs });
+        }
+        found.sort((a, b) => a.mtime - b.mtime);
+        for (const { key, size } of found) {
+          index.add(key, { size });
+        }
+        if (found.length > 0) {
+          logger.info(`🗄️ Loaded ${found.length} cached responses from ${getCacheDir()}`);
+        }
+      })();
+    }
+    await indexLoaded;
+  }
+
+  return {
+    name: 'disk',
+    index,
+    loadIndex,
+    async get(key) {
+      await loadIndex();
+      if (!index.entries.has(key)) {
+        return null;
+      }
+      return await readJsonFile(getEntryPath(key));
+    },
+    async set(key, record) {
+      await loadIndex();
+      await writeJsonAtomic(getEntryPath(key), record);
+    },
+    async delete(key) {
+      try {
+        await fs.unlink(getEntryPath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    async clear() {
+      await loadIndex();
+      for (const key of [...index.entries.keys()]) {
+        await this.delete(key);
+      }
+    },
+  };
+}
+
+// Функция для получения бэкенда кеша (null, если кеш выключен)
+function getBackend() {
+  const { backend: backendName } = getCacheConfig();
+  if (backendName === 'off') {
+    return null;
+  }
+  if (!backend || backend.name !== backendName) {
+    if (backendName !== 'memory' && backendName !== 'disk') {
+      logger.warn(`⚠️ Unknown RESPONSE_CACHE backend "${backendName}", cache is disabled`);
+      return null;
+    }
+    backend = backendName === 'disk' ? createDiskBackend() : createMemoryBackend();
+    logger.info(`🗄️ Response cache enabled (${backendName})`);
+  }
+  return backend;
+}
+
+// Функция для проверки, включен ли кеш
+export function isCacheEnabled() {
+  return getBackend() !== null;
+}
+
+// Функция для построения ключа кеша
+// parts: { provider, model, tier, messages, temperature, ...прочие параметры, влияющие на ответ }
+export function buildCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Функция для получения ответа из кеша (null при промахе или истекшем TTL)
+export async function getCachedResponse(key) {
+  const cacheBackend = getBackend();
+  if (!cacheBackend) {
+    return null;
+  }
+
+  let record;
+  try {
+    record = await cacheBackend.get(key);
+  } catch (error) {
+    // Поврежденная запись считается промахом и будет перезаписана
+    logger.warn('⚠️ Could not read cached response', { error: error.message });
+    return null;
+  }
+  if (!record) {
+    return null;
+  }
+  if (record.expiresAt < Date.now()) {
+    cacheBackend.index.remove(key);
+    await cacheBackend.delete(key);
+    return null;
+  }
+
+  cacheBackend.index.touch(key);
+  return record.value;
+}
+
+// Функция для сохранения ответа в кеш с вытеснением старых записей
+export async function setCachedResponse(key, value) {
+  const cacheBackend = getBackend();
+  if (!cacheBackend) {
+    return;
+  }
+
+  const config = getCacheConfig();
+  const record = { createdAt: Date.now(), expiresAt: Date.now() + config.ttlMs, value };
+  const size = Buffer.byteLength(JSON.stringify(record));
+  if (size > config.maxBytes) {
+    logger.warn(`⚠️ Response is larger than RESPONSE_CACHE_MAX_BYTES (${size} bytes), not caching`);
+    return;
+  }
+
+  try {
+    await cacheBackend.set(key, record);
+    cacheBackend.index.add(key, { size });
+    for (const evictedKey of cacheBackend.index.overflow(config)) {
+      cacheBackend.index.remove(evictedKey);
+      await cacheBackend.delete(evictedKey);
+    }
+  } catch (error) {
+    logger.error('❌ Could not save response to cache', { error: error.message });
+  }
+}
+
+// Функция для очистки кеша, возвращает число удаленных записей
+export async function purgeCache() {
+  const cacheBackend = getBackend();
+  if (!cacheBackend) {
+    return 0;
+  }
+  await cacheBackend.loadIndex?.();
+  const count = cacheBackend.index.entries.size;
+  await cacheBackend.clear();
+  for (const key of [...cacheBackend.index.entries.keys()]) {
+    cacheBackend.index.remove(key);
+  }
+  logger.info(`🧹 Purged ${count} cached responses`);
+  return count;
+}
+
+// Функция для получения состояния кеша
+export async function getCacheStats() {
+  const config = getCacheConfig();
+  const cacheBackend = getBackend();
+  if (!cacheBackend) {
+    return { enabled: false, backend: config.backend };
+  }
+  await cacheBackend.loadIndex?.();
+  return {
+    enabled: true,
+    backend: cacheBackend.name,
+    entries: cacheBackend.index.entries.size,
+    bytes: cacheBackend.index.totalBytes,
+    maxEntries: config.maxEntries,
+    maxBytes: config.maxBytes,
+    ttlSeconds: config.ttlMs / 1000,
+  };
+}
+
+// Функция для воспроизведения сохраненного ответа в виде SSE-потока в формате OpenAI
+// Используется, когда запрос с stream: true попал в кеш
+export function createCachedStream(result) {
+  const choice = result.choices?.[0] || {};
+  const message = choice.message || {};
+  const base = { id: result.id, model: result.model };
+  const chunks = [];
+
+  if (message.reasoning) {
+    chunks.push({ ...base, choices: [{ index: 0, delta: { role: 'assistant', reasoning_content: message.reasoning } }] });
+  }
+  if (message.content) {
+    chunks.push({ ...base, choices: [{ index: 0, delta: { role: 'assistant', content: message.content } }] });
+  }
+  if (message.tool_calls) {
+    const toolCalls = message.tool_calls.map((call, index) => ({ index, ...call }));
+    chunks.push({ ...base, choices: [{ index: 0, delta: { tool_calls: toolCalls } }] });
+  }
+  chunks.push({ ...base, choices: [{ index: 0, delta: {}, finish_reason: choice.finish_reason || 'stop' }] });
+  if (result.usage) {
+    chunks.push({ ...base, choices: [], usage: result.usage });
+  }
+
+  const body = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import { getTiers, createApiKey, listApiKeys, revokeApiKey } from '../api-keys.js';
+
+// Управление клиентскими API ключами из командной строки (работает с тем же DATA_DIR, что и сервер)
+//
+//   npm run keys -- create --name alice --tier pro
+//   npm run keys -- list
+//   npm run keys -- revoke key_1a2b3c4d5e6f
+//   npm run keys -- tiers
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run keys -- create [--name <name>] [--tier <tier>]
+  npm run keys -- list
+  npm run keys -- revoke <id>
+  npm run keys -- tiers`;
+
+// Функция для чтения значения опции вида --name value
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'create': {
+      const { key, apiKey } = await createApiKey({
+        name: getOption(args, 'name'),
+        tier: getOption(args, 'tier'),
+      });
+      console.log(`\nID:   ${apiKey.id}\nTier: ${apiKey.tier}\nKey:  ${key}\n`);
+      console.log('The key is shown only once, store it now.');
+      break;
+    }
+    case 'list': {
+      const keys = await listApiKeys();
+      if (keys.length === 0) {
+        console.log('No API keys issued yet.');
+      }
+      for (const apiKey of keys) {
+        const status = apiKey.active ? 'active' : `revoked ${apiKey.revokedAt}`;
+        console.log(`${apiKey.id}  ${apiKey.prefix}…  ${apiKey.tier.padEnd(10)} ${(apiKey.name || '-').padEnd(20)} ${status}`);
+      }
+      break;
+    }
+    case 'revoke': {
+      if (!args[0]) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      if (!(await revokeApiKey(args[0]))) {
+        console.error(`API key ${args[0]} not found`);
+        process.exit(1);
+      }
+      break;
+    }
+    case 'tiers':
+      console.log(JSON.stringify(await getTiers(), null, 2));
+      break;
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+import dotenv from 'dotenv';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  listKnowledgeBases,
+  getKnowledgeBase,
+  addDocuments,
+  deleteDocument,
+  deleteKnowledgeBase,
+  searchKnowledgeBase,
+} from '../knowledge-base.js';
+
+// Управление базами знаний из командной строки (работает с тем же DATA_DIR, что и сервер)
+//
+//   npm run knowledge -- add docs ./docs README.md
+//   npm run knowledge -- list
+//   npm run knowledge -- list docs
+//   npm run knowledge -- search docs "как настроить лимиты"
+//   npm run knowledge -- remove docs [<document id>]
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run knowledge -- add <base> <file or directory>...
+  npm run knowledge -- list [<base>]
+  npm run knowledge -- search <base> <query>
+  npm run knowledge -- remove <base> [<document id>]`;
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Функция для сбора текстовых и Markdown файлов (каталоги обходятся рекурсивно)
+async function collectFiles(target) {
+  const stat = await fs.stat(target);
+  if (stat.isFile()) {
+    return [target];
+  }
+  const files = [];
+  for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await collectFiles(entryPath));
+    } else if (TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const [command, name, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'add': {
+      if (!name || args.length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const files = [];
+      for (const target of args) {
+        files.push(...await collectFiles(target));
+      }
+      // Источник документа - путь относительно текущего каталога: повторная загрузка заменяет документ
+      const documents = [];
+      for (const file of files) {
+        documents.push({ source: path.relative(process.cwd(), file), content: await fs.readFile(file, 'utf8') });
+      }
+      const result = await addDocuments(name, documents.filter(document => document.content.trim()));
+      for (const document of result.added) {
+        console.log(`${document.replaced ? 'updated' : 'added  '}  ${document.source}  (${document.chunks} chunks)`);
+      }
+      console.log(`\nKnowledge base ${result.name}: ${result.documents.length} documents, ${result.chunkCount} chunks`);
+      break;
+    }
+    case 'list': {
+      if (name) {
+        const knowledgeBase = await getKnowledgeBase(name);
+        if (!knowledgeBase) {
+          console.error(`Knowledge base ${name} not found`);
+          process.exit(1);
+        }
+        for (const document of knowledgeBase.documents) {
+          console.log(`${document.id}  ${String(document.chunks).padStart(4)} chunks  ${document.source}`);
+        }
+        break;
+      }
+      const bases = await listKnowledgeBases();
+      if (bases.length === 0) {
+        console.log('No knowledge bases yet.');
+      }
+      for (const knowledgeBase of bases) {
+        console.log(`${knowledgeBase.name.padEnd(20)} ${knowledgeBase.documents.length} documents, ${knowledgeBase.chunkCount} chunks, updated ${knowledgeBase.updatedAt}`);
+      }
+      break;
+    }
+    case 'search': {
+      if (!name || args.length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const results = await searchKnowledgeBase(name, args.join(' '));
+      if (!results) {
+        console.error(`Knowledge base ${name} not found`);
+        process.exit(1);
+      }
+      if (results.length === 0) {
+        console.log('Nothing found.');
+      }
+      for (const result of results) {
+        console.log(`\n[${result.score}] ${result.source}${result.heading ? ` — ${result.heading}` : ''}`);
+        console.log(result.text.length > 300 ? `${result.text.substring(0, 300)}…` : result.text);
+      }
+      break;
+    }
+    case 'remove': {
+      if (!name) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const removed = args[0] ? await deleteDocument(name, args[0]) : await deleteKnowledgeBase(name);
+      if (!removed) {
+        console.error(args[0] ? `Document ${args[0]} not found in ${name}` : `Knowledge base ${name} not found`);
+        process.exit(1);
+      }
+      break;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
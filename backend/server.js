@@ -1,16 +1,143 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { encoding_for_model } from '@dqbd/tiktoken';
+import crypto from 'crypto';
+import {
+  loadProviders,
+  listProviders,
+  getProvider,
+  getDefaultProviderId,
+  getModelContextLimit,
+} from './providers/index.js';
+import { sendWithFailover } from './failover.js';
+import { loadModelCatalog, startModelCatalogRefresh, getProviderCatalog } from './model-catalog.js';
+import { getCircuitStats, isCircuitOpen } from './circuit-breaker.js';
+import { fitMessagesToContext, getPromptBudget, CONTEXT_STRATEGIES } from './context-window.js';
+import { extractTokenUsage, countPromptTokens, getTokenizerInfo } from './tokens.js';
+import { recordUsage, checkBudget, getUsageReport, getModelPricing } from './costs.js';
+import {
+  getTiers,
+  getTier,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  isModelAllowed,
+  getAllowedPresets,
+  getDefaultModelForTier,
+} from './api-keys.js';
+import {
+  parseResponseFormat,
+  buildFormatInstruction,
+  completeStructured,
+  extractJson,
+  validateAgainstSchema,
+} from './structured-output.js';
+import { loadTools, listTools, toToolDefinition } from './tools/index.js';
+import { validateClientTools, resolveServerTools, resolveMaxSteps, runToolLoop } from './tool-calling.js';
+import {
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  purgeCache,
+  getCacheStats,
+  createCachedStream,
+} from './response-cache.js';
+import { resolveCompareTargets, compareModels, getCompareConfig } from './compare.js';
+import {
+  parseReasoningMode,
+  normalizeCompletionReasoning,
+  omitReasoning,
+  createReasoningStreamParser,
+} from './reasoning.js';
+import {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  renderPresetPrompt,
+} from './prompt-presets.js';
+import {
+  validateChatBody,
+  validateConversationBody,
+  validateMessages,
+  parseGenerationParameters,
+  validateModelRequest,
+  createValidationError,
+} from './request-validation.js';
+import {
+  parseChatCompletionRequest,
+  toChatCompletion,
+  toOpenAIUsage,
+  toModelId,
+  listOpenAIModels,
+  formatOpenAIErrors,
+} from './openai-api.js';
+import {
+  createConversation,
+  getConversation,
+  listConversations,
+  deleteConversation,
+  appendMessages,
+  toConversationSummary,
+} from './conversations.js';
+import {
+  listKnowledgeBases,
+  getKnowledgeBase,
+  addDocuments,
+  deleteDocument,
+  deleteKnowledgeBase,
+  searchKnowledgeBase,
+  buildKnowledgeContext,
+} from './knowledge-base.js';
+import {
+  isModerationEnabled,
+  loadModerationRules,
+  createModerationReport,
+  moderateMessages,
+  moderateText,
+  createStreamModerator,
+} from './moderation.js';
+import {
+  getBatchConfig,
+  parseBatchRequests,
+  createBatch,
+  getBatch,
+  listBatches,
+  readBatchResults,
+  cancelBatch,
+  deleteBatch,
+  toBatchSummary,
+  startBatchWorker,
+} from './batches.js';
+import { logger, redactContent, setLogFields, requestLogger } from './logger.js';
+import {
+  metricsMiddleware,
+  renderMetrics,
+  registerGauge,
+  recordTokenMetrics,
+  recordRateLimitRejection,
+} from './metrics.js';
 
 dotenv.config();
+loadProviders();
+loadTools();
+loadModelCatalog();
+loadModerationRules();
+startModelCatalogRefresh(listProviders);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Система ограничений по IP
+// Система ограничений по IP (для анонимных клиентов) и по API ключу (лимит из тарифа)
 const DAILY_LIMIT = parseInt(process.env.DAILY_MESSAGE_LIMIT || '10', 10);
-const ipRequestCounts = new Map(); // { ip: { date: 'YYYY-MM-DD', count: number } }
+const ipRequestCounts = new Map(); // { ip или 'key:<id>': { date: 'YYYY-MM-DD', count: number } }
+registerGauge('proxy_ip_request_counts_size', 'Entries in the in-memory daily limit map (IPs and API keys)', () => ipRequestCounts.size);
+
+// Доступ без API ключа (с лимитом по IP); в production лучше отключить через ALLOW_ANONYMOUS=false
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS !== 'false';
 
 // Функция для получения IP адреса
 function getClientIp(req) {
@@ -27,37 +154,270 @@ function getCurrentDate() {
 }
 
 // Функция для проверки лимита (без увеличения счетчика)
-function checkLimit(ip) {
+function checkLimit(clientId, limit = DAILY_LIMIT) {
   const today = getCurrentDate();
-  const ipData = ipRequestCounts.get(ip);
+  const ipData = ipRequestCounts.get(clientId);
 
   if (!ipData || ipData.date !== today) {
-    // Новый день или новый IP
-    return { allowed: true, count: 0, remaining: DAILY_LIMIT };
+    // Новый день или новый клиент
+    return { allowed: true, count: 0, remaining: limit };
   }
 
-  if (ipData.count >= DAILY_LIMIT) {
+  if (ipData.count >= limit) {
     return { allowed: false, count: ipData.count, remaining: 0 };
   }
 
-  return { allowed: true, count: ipData.count, remaining: DAILY_LIMIT - ipData.count };
+  return { allowed: true, count: ipData.count, remaining: limit - ipData.count };
 }
 
 // Функция для увеличения счетчика запросов
-function incrementLimit(ip) {
+function incrementLimit(clientId, limit = DAILY_LIMIT) {
   const today = getCurrentDate();
-  const ipData = ipRequestCounts.get(ip);
+  const ipData = ipRequestCounts.get(clientId);
 
   if (!ipData || ipData.date !== today) {
-    // Новый день или новый IP - создаем новую запись
-    ipRequestCounts.set(ip, { date: today, count: 1 });
-    return { count: 1, remaining: DAILY_LIMIT - 1 };
+    // Новый день или новый клиент - создаем новую запись
+    ipRequestCounts.set(clientId, { date: today, count: 1 });
+    return { count: 1, remaining: limit - 1 };
   }
 
   // Увеличиваем счетчик
   ipData.count++;
-  ipRequestCounts.set(ip, ipData);
-  return { count: ipData.count, remaining: DAILY_LIMIT - ipData.count };
+  ipRequestCounts.set(clientId, ipData);
+  return { count: ipData.count, remaining: limit - ipData.count };
+}
+
+// Список IP адресов и API ключей, для которых лимит не применяется (через запятую)
+const LIMIT_ALLOWLIST = new Set(
+  (process.env.RATE_LIMIT_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+);
+
+// Функция для получения Bearer токена из заголовка Authorization
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Функция для определения владельца данных: ключ (в виде хеша) или IP адрес
+// Клиент с одним и тем же ключом видит свои диалоги с любого устройства
+function getClientOwner(req) {
+  const token = getBearerToken(req);
+  if (token) {
+    return `key:${crypto.createHash('sha256').update(token).digest('hex').substring(0, 32)}`;
+  }
+  return `ip:${getClientIp(req)}`;
+}
+
+// Функция для проверки, освобожден ли клиент от лимита (по IP или по ключу)
+function isLimitExempt(req, ip) {
+  if (LIMIT_ALLOWLIST.has(ip)) {
+    return true;
+  }
+  const token = getBearerToken(req);
+  return token !== null && LIMIT_ALLOWLIST.has(token);
+}
+
+// Функция для определения, по чему считается дневной лимит: по ключу (лимит тарифа) или по IP
+function getLimitSubject(req, ip) {
+  if (req.apiKey) {
+    return { clientId: `key:${req.apiKey.id}`, label: `key ${req.apiKey.id}`, limit: req.tier.dailyMessageLimit };
+  }
+  return { clientId: ip, label: `IP ${ip}`, limit: DAILY_LIMIT };
+}
+
+// Функция для получения времени сброса лимита - начало следующих суток (UTC, как и getCurrentDate)
+function getLimitResetTime() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+// Функция для установки заголовков X-RateLimit-*
+function setRateLimitHeaders(res, remaining, limit = DAILY_LIMIT) {
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Remaining', String(Math.max(remaining, 0)));
+  res.set('X-RateLimit-Reset', String(Math.ceil(getLimitResetTime().getTime() / 1000)));
+}
+
+// Middleware для проверки дневного лимита сообщений
+// Счетчик здесь не увеличивается - это делает recordSuccessfulMessage после успешного ответа провайдера
+function enforceDailyLimit(req, res, next) {
+  const ip = getClientIp(req);
+  const exempt = isLimitExempt(req, ip);
+  const { clientId, label, limit } = getLimitSubject(req, ip);
+  req.rateLimit = { ip, clientId, label, limit, exempt };
+
+  if (exempt) {
+    return next();
+  }
+
+  const limitStatus = checkLimit(clientId, limit);
+  if (!limitStatus.allowed) {
+    const retryAfterSeconds = Math.ceil((getLimitResetTime().getTime() - Date.now()) / 1000);
+    logger.warn(`⛔ Daily limit reached for ${label} (${limitStatus.count}/${limit})`);
+    recordRateLimitRejection('daily_limit');
+    setRateLimitHeaders(res, 0, limit);
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Daily limit exceeded',
+      message: `Превышен дневной лимит сообщений. Максимум ${limit} сообщений в день.`,
+      limit: limit,
+      remaining: 0,
+      resetAt: getLimitResetTime().toISOString(),
+    });
+  }
+
+  req.rateLimit.remaining = limitStatus.remaining;
+  next();
+}
+
+// Middleware для проверки бюджета расходов клиента (DAILY_BUDGET_USD / MONTHLY_BUDGET_USD)
+async function enforceBudget(req, res, next) {
+  if (req.rateLimit?.exempt) {
+    return next();
+  }
+
+  try {
+    const owner = getClientOwner(req);
+    const budget = await checkBudget(owner);
+    if (!budget.allowed) {
+      const period = budget.exceeded === 'daily' ? budget.daily : budget.monthly;
+      const periodName = budget.exceeded === 'daily' ? 'дневной' : 'месячный';
+      logger.warn(`⛔ ${budget.exceeded} budget exhausted for ${owner} ($${period.spent} of $${period.limit})`);
+      recordRateLimitRejection(`${budget.exceeded}_budget`);
+      return res.status(402).json({
+        error: 'Budget exceeded',
+        message: `Исчерпан ${periodName} бюджет на запросы: $${period.spent.toFixed(4)} из $${period.limit.toFixed(2)}.`,
+        budget: budget,
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Функция для учета стоимости ответа (и суммаризации контекста, если она была) в журнале расходов
+// Стоимость добавляется в tokenUsage.cost_usd; ответ из кеша ничего не стоит
+async function recordCompletionCost(req, upstream, tokenUsage, contextReport) {
+  await recordOwnerCost(getClientOwner(req), upstream, tokenUsage, contextReport);
+}
+
+// То же для известного владельца (пакетные задания выполняются вне запроса клиента)
+async function recordOwnerCost(owner, upstream, tokenUsage, contextReport) {
+  try {
+    if (!tokenUsage.cached) {
+      recordTokenMetrics(upstream.provider.id, upstream.model, tokenUsage);
+    }
+    tokenUsage.cost_usd = tokenUsage.cached
+      ? 0
+      : await recordUsage(owner, upstream.provider.id, upstream.model, tokenUsage);
+    if (contextReport?.summaryUsage && contextReport.summaryModel) {
+      recordTokenMetrics(contextReport.summaryModel.provider, contextReport.summaryModel.model, contextReport.summaryUsage);
+      await recordUsage(owner, contextReport.summaryModel.provider, contextReport.summaryModel.model, contextReport.summaryUsage);
+    }
+  } catch (error) {
+    logger.error('❌ Could not record usage cost', { error: error.message });
+  }
+}
+
+// Функция для записи расхода токенов в журнал
+// Провайдер, модель и токены добавляются ко всем следующим строкам запроса, в том числе к итоговой
+function logTokenUsage(upstream, tokenUsage) {
+  setLogFields({
+    provider: upstream.provider.id,
+    model: upstream.model,
+    promptTokens: tokenUsage.prompt_tokens,
+    completionTokens: tokenUsage.completion_tokens,
+    reasoningTokens: tokenUsage.reasoning_tokens,
+    cached: tokenUsage.cached,
+  });
+  logger.info('🔢 Token usage', { estimated: tokenUsage.estimated, contextUsagePercent: tokenUsage.context_usage_percent });
+}
+
+// Функция для учета успешно обработанного сообщения в дневном лимите
+function recordSuccessfulMessage(req) {
+  if (!req.rateLimit || req.rateLimit.exempt) {
+    return;
+  }
+  const { count, remaining } = incrementLimit(req.rateLimit.clientId, req.rateLimit.limit);
+  logger.info(`📊 Daily limit for ${req.rateLimit.label}: ${count}/${req.rateLimit.limit}`);
+  req.rateLimit.remaining = remaining;
+}
+
+// Middleware для аутентификации по API ключу (Authorization: Bearer <ключ>)
+// Действующий ключ задает req.apiKey и req.tier; без ключа запрос пропускается, только если разрешен анонимный доступ
+async function authenticate(req, res, next) {
+  req.apiKey = null;
+  req.tier = null;
+
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      if (!ALLOW_ANONYMOUS) {
+        return res.status(401).json({
+          error: 'API key required',
+          message: 'Для доступа к API нужен ключ: заголовок Authorization: Bearer <ключ>.',
+        });
+      }
+      return next();
+    }
+
+    const apiKey = await findApiKey(token);
+    if (!apiKey) {
+      // Ключи из RATE_LIMIT_ALLOWLIST работают и без выпуска через админку
+      if (LIMIT_ALLOWLIST.has(token)) {
+        return next();
+      }
+      logger.warn(`⛔ Invalid API key from IP ${getClientIp(req)}`);
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'Неверный или отозванный API ключ.',
+      });
+    }
+
+    const tier = await getTier(apiKey.tier);
+    if (!tier) {
+      logger.warn(`⚠️ API key ${apiKey.id} has unknown tier "${apiKey.tier}"`);
+      return res.status(403).json({
+        error: 'Unknown tier',
+        message: `Тариф ключа "${apiKey.tier}" не настроен на сервере.`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.tier = tier;
+    setLogFields({ apiKey: apiKey.id, tier: tier.name });
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Функция для проверки токена из заголовка Authorization
+// Сравниваем хеши, чтобы сравнение занимало одинаковое время при любой длине токена
+function isTokenValid(expectedToken, token) {
+  const expected = crypto.createHash('sha256').update(expectedToken).digest();
+  const actual = crypto.createHash('sha256').update(token || '').digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Middleware для защиты административных маршрутов токеном ADMIN_TOKEN
+// Без ADMIN_TOKEN административный API отключен
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+
+  if (!isTokenValid(adminToken, getBearerToken(req))) {
+    logger.warn(`⛔ Invalid admin token from IP ${getClientIp(req)}`);
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
 }
 
 // Очистка старых записей (запускается каждый час)
@@ -71,26 +431,35 @@ setInterval(() => {
 }, 60 * 60 * 1000); // Каждый час
 
 // Middleware
+// ID запроса и итоговая строка журнала (статус, длительность, провайдер, модель, токены)
+app.use(requestLogger);
+app.use(metricsMiddleware);
 app.use(cors({
-  origin: '*', // В production укажите конкретный домен
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  // В production укажите конкретные домены через CORS_ORIGIN (через запятую)
+  origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : '*',
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Cache', 'X-Request-Id'],
 }));
-// Увеличиваем лимит размера тела запроса для больших сообщений (50MB)
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// Middleware для логирования запросов
-app.use((req, res, next) => {
-  const start = Date.now();
-  const timestamp = new Date().toISOString();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`[${timestamp}] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${duration}ms)`);
-  });
-  
-  next();
+// Лимит размера тела запроса (MAX_REQUEST_BODY): большие тела отклоняются до обращения к провайдеру
+const maxRequestBody = process.env.MAX_REQUEST_BODY || '1mb';
+app.use(express.json({ limit: maxRequestBody }));
+app.use(express.urlencoded({ extended: true, limit: maxRequestBody }));
+// Ошибки разбора тела (слишком большое, некорректный JSON) возвращаются в JSON, а не страницей Express
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.too.large' && error.type !== 'entity.parse.failed') {
+    return next(error);
+  }
+  if (req.path.startsWith('/v1/')) {
+    formatOpenAIErrors(req, res, () => {});
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Тело запроса больше ${maxRequestBody}.`,
+    });
+  }
+  res.status(400).json({ error: 'Invalid request. Body must be valid JSON.' });
 });
 
 // Health check endpoint
@@ -98,574 +467,2056 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Endpoint для получения списка доступных моделей
-app.get('/api/models', async (req, res) => {
+// Метрики в формате Prometheus; если задан METRICS_TOKEN, нужен заголовок Authorization: Bearer <токен>
+app.get('/metrics', (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && !isTokenValid(metricsToken, getBearerToken(req))) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Функция для сбора состояния провайдеров: наличие ключей и состояние цепей по моделям
+function getProvidersStatus() {
+  const circuitStats = getCircuitStats();
+  const providers = {};
+
+  for (const provider of listProviders()) {
+    const models = circuitStats[provider.id] || {};
+    providers[provider.id] = {
+      name: provider.name,
+      configured: provider.isConfigured(),
+      openCircuits: Object.keys(models).filter(model => isCircuitOpen(provider.id, model)),
+      models: models,
+    };
+  }
+
+  return providers;
+}
+
+// Readiness check: сервер готов, если хотя бы у одного провайдера есть ключ и не все его модели отключены
+app.get('/health/ready', (req, res) => {
+  const providers = getProvidersStatus();
+  // Провайдер доступен, пока его модель по умолчанию не отключена circuit breaker'ом
+  const ready = Object.entries(providers).some(([id, provider]) =>
+    provider.configured && !provider.openCircuits.includes(getProvider(id).getDefaultModel())
+  );
+
+  const checks = {};
+  for (const [id, provider] of Object.entries(providers)) {
+    checks[id] = {
+      configured: provider.configured,
+      openCircuits: provider.openCircuits,
+    };
+  }
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    providers: checks,
+  });
+});
+
+// Выпуск клиентского API ключа; тело: { name, tier }
+// Ключ возвращается только в этом ответе, на сервере хранится его хеш
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
   try {
-    console.log('📋 Request for available models');
-    
-    // Попытка получить список моделей из Hugging Face API
-    const hfApiKey = process.env.HUGGINGFACE_API_KEY;
-    let hfModels = [];
-    
-    if (hfApiKey) {
-      try {
-        // Попытка получить список через Hub API
-        const hubResponse = await fetch('https://huggingface.co/api/models?filter=text-generation-inference&sort=downloads&direction=-1&limit=50', {
-          headers: {
-            'Authorization': `Bearer ${hfApiKey}`,
-          },
-        });
-        
-        if (hubResponse.ok) {
-          const hubData = await hubResponse.json();
-          // Фильтруем только chat модели (исключаем gpt2, base модели и т.д.)
-          // Используем строгую фильтрацию для проверенных моделей
-          hfModels = hubData
-            .filter(model => {
-              if (!model.id || !model.id.includes('/')) return false;
-              const modelId = model.id.toLowerCase();
-              
-              // Исключаем модели, которые точно не chat
-              const excludePatterns = [
-                'gpt2',
-                'gpt-2',
-                'base',
-                'vision',
-                'embedding',
-                'tokenizer',
-                'openai-community/gpt2',
-                'qwen3-', // Qwen3 модели без -Instruct не поддерживают chat
-                'qwen2-0', // Qwen2.0 без -Instruct
-                '-0.6b',
-                '-1.5b',
-                '-3b-instruct', // Могут быть недоступны
-              ];
-              
-              // Строгие паттерны для включения - только проверенные форматы
-              const includePatterns = [
-                'qwen2.5-', // Qwen 2.5 с -Instruct
-                'llama-3.1-', // Llama 3.1
-                'llama-3.2-', // Llama 3.2
-                'llama-2-7b-chat', // Llama 2 chat
-                'mistral-7b-instruct',
-                'mixtral-8x7b-instruct',
-                'gemma-2-', // Gemma 2
-                'deepseek-', // DeepSeek модели
-                'glm-', // GLM модели
-              ];
-              
-              const hasExclude = excludePatterns.some(pattern => modelId.includes(pattern));
-              
-              // Для Qwen - только с -Instruct в конце
-              if (modelId.includes('qwen') && !modelId.includes('-instruct')) {
-                return false;
-              }
-              
-              // Для Llama - только с -Instruct или -chat
-              if (modelId.includes('llama') && !modelId.includes('-instruct') && !modelId.includes('-chat')) {
-                return false;
-              }
-              
-              // Для Mistral - только с -Instruct
-              if (modelId.includes('mistral') && !modelId.includes('-instruct')) {
-                return false;
-              }
-              
-              // Для Gemma - только с -it (instruction tuned)
-              if (modelId.includes('gemma') && !modelId.includes('-it')) {
-                return false;
-              }
-              
-              const hasInclude = includePatterns.some(pattern => modelId.includes(pattern));
-              
-              return !hasExclude && hasInclude;
-            })
-            .map(model => model.id)
-            .slice(0, 30); // Ограничиваем до 30 проверенных моделей
-        }
-      } catch (error) {
-        console.warn('⚠️ Could not fetch models from Hub API:', error.message);
-      }
+    const { name, tier } = req.body || {};
+    const created = await createApiKey({ name, tier });
+    res.status(201).json({ key: created.key, ...created.apiKey });
+  } catch (error) {
+    logger.error('❌ Error creating API key', { error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+// Список выпущенных ключей (без самих ключей) и тарифов
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys(), tiers: await getTiers() });
+  } catch (error) {
+    logger.error('❌ Error listing API keys', { error: error.message });
+    res.status(500).json({ error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+// Отзыв ключа
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    
-    // Если не удалось получить динамически или список пустой, используем предустановленный список
-    // Используем только модели, которые точно поддерживают chat completion через router API
-    // Эти модели проверены и работают через router.huggingface.co/v1/chat/completions
-    if (hfModels.length === 0) {
-      console.log('📋 Using predefined model list (no models from Hub API)');
-      hfModels = [
-        // Qwen 2.5 модели (проверенные)
-        'Qwen/Qwen2.5-72B-Instruct',
-        'Qwen/Qwen2.5-32B-Instruct',
-        'Qwen/Qwen2.5-14B-Instruct',
-        'Qwen/Qwen2.5-7B-Instruct',
-        'Qwen/Qwen2.5-3B-Instruct',
-        // Llama модели (проверенные)
-        'meta-llama/Llama-3.1-8B-Instruct',
-        'meta-llama/Llama-3.1-70B-Instruct',
-        'meta-llama/Llama-3.2-3B-Instruct',
-        'meta-llama/Llama-2-7b-chat-hf',
-        // Gemma модели (проверенные)
-        'google/gemma-2-2b-it',
-        'google/gemma-2-9b-it',
-        // Mistral модели (проверенные)
-        'mistralai/Mistral-7B-Instruct-v0.2',
-        'mistralai/Mixtral-8x7B-Instruct-v0.1',
-        // DeepSeek модели (проверенные)
-        'deepseek-ai/DeepSeek-V3-0324',
-        'deepseek-ai/DeepSeek-V2-Lite',
-        'deepseek-ai/DeepSeek-R1',
-        // GLM модели (проверенные)
-        'zai-org/GLM-4.7-Flash:novita',
-      ];
-    } else {
-      // Дополнительно фильтруем динамически полученные модели
-      // Удаляем модели, которые точно не работают
-      hfModels = hfModels.filter(model => {
-        const modelId = model.toLowerCase();
-        // Исключаем проблемные модели
-        const problematicPatterns = [
-          'qwen3-',
-          'qwen2-0',
-          '-0.6b',
-          '-1.5b',
-          'qwen2.5-1.5b',
-        ];
-        return !problematicPatterns.some(pattern => modelId.includes(pattern));
-      });
-      
-      // Добавляем проверенные модели в начало списка
-      const verifiedModels = [
-        'Qwen/Qwen2.5-7B-Instruct',
-        'Qwen/Qwen2.5-14B-Instruct',
-        'meta-llama/Llama-3.1-8B-Instruct',
-        'google/gemma-2-2b-it',
-        'mistralai/Mistral-7B-Instruct-v0.2',
-        'zai-org/GLM-4.7-Flash:novita',
-      ];
-      
-      // Объединяем проверенные модели с динамическими, убирая дубликаты
-      const allModels = [...new Set([...verifiedModels, ...hfModels])];
-      hfModels = allModels.slice(0, 30);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Error revoking API key', { error: error.message });
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
+
+// Состояние кеша ответов
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    logger.error('❌ Error reading cache stats', { error: error.message });
+    res.status(500).json({ error: 'Failed to read cache stats', message: error.message });
+  }
+});
+
+// Очистка кеша ответов
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json({ purged: await purgeCache() });
+  } catch (error) {
+    logger.error('❌ Error purging cache', { error: error.message });
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Endpoint для создания пресета (системный промпт и параметры генерации)
+app.post('/api/admin/presets', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await createPreset(req.body));
+  } catch (error) {
+    logger.error('❌ Error creating preset', { error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to create preset', message: error.message });
+  }
+});
+
+// Endpoint для частичного изменения пресета
+app.put('/api/admin/presets/:name', requireAdmin, async (req, res) => {
+  try {
+    const preset = await updatePreset(req.params.name, req.body || {});
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
     }
-    
-    // Список моделей DeepSeek
-    const deepseekModels = [
-      'deepseek-ai/DeepSeek-V3-0324',
-      'deepseek-chat',
-      'deepseek-reasoner',
-      'deepseek-chat-reasoner',
-      'deepseek-ai/DeepSeek-V2-Lite',
-      'deepseek-ai/DeepSeek-R1',
-    ];
-    
-    const response = {
-      providers: {
-        deepseek: {
-          name: 'DeepSeek',
-          models: deepseekModels,
-          presets: PRESET_MODELS.deepseek,
-        },
-        huggingface: {
-          name: 'Hugging Face',
-          models: hfModels,
-          presets: PRESET_MODELS.huggingface,
-        },
-      },
-      defaultProvider: process.env.DEFAULT_PROVIDER || 'deepseek',
-    };
-    
-    console.log(`✅ Returning ${deepseekModels.length} DeepSeek models and ${hfModels.length} Hugging Face models`);
-    res.json(response);
+    res.json(preset);
   } catch (error) {
-    console.error('❌ Error fetching models:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch models',
-      message: error.message 
-    });
+    logger.error('❌ Error updating preset', { error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to update preset', message: error.message });
   }
 });
 
-// Предустановленные модели для быстрого доступа
-const PRESET_MODELS = {
-  deepseek: {
-    top: 'deepseek-ai/DeepSeek-V3-0324',
-    medium: 'deepseek-chat',
-    light: 'deepseek-chat',
-  },
-  huggingface: {
-    top: 'Qwen/Qwen2.5-72B-Instruct',
-    medium: 'Qwen/Qwen2.5-7B-Instruct',
-    light: 'google/gemma-2-2b-it',
-  },
-};
-
-// Конфигурация лимитов контекстных окон для всех моделей (в токенах)
-const MODEL_CONTEXT_LIMITS = {
-  // DeepSeek модели
-  'deepseek-chat': 64000,
-  'deepseek-reasoner': 64000,
-  'deepseek-chat-reasoner': 64000,
-  'deepseek-ai/DeepSeek-V3-0324': 128000,
-  'deepseek-ai/DeepSeek-V2-Lite': 64000,
-  'deepseek-ai/DeepSeek-R1': 64000,
-  
-  // Qwen модели
-  'Qwen/Qwen2.5-72B-Instruct': 128000,
-  'Qwen/Qwen2.5-32B-Instruct': 128000,
-  'Qwen/Qwen2.5-14B-Instruct': 128000,
-  'Qwen/Qwen2.5-7B-Instruct': 128000,
-  'Qwen/Qwen2.5-3B-Instruct': 128000,
-  
-  // Llama модели
-  'meta-llama/Llama-3.1-8B-Instruct': 128000,
-  'meta-llama/Llama-3.1-70B-Instruct': 128000,
-  'meta-llama/Llama-3.2-3B-Instruct': 128000,
-  'meta-llama/Llama-2-7b-chat-hf': 4096,
-  
-  // Gemma модели
-  'google/gemma-2-2b-it': 8192,
-  'google/gemma-2-9b-it': 8192,
-  
-  // Mistral модели
-  'mistralai/Mistral-7B-Instruct-v0.2': 32768,
-  'mistralai/Mixtral-8x7B-Instruct-v0.1': 32768,
-  
-  // GLM модели
-  'zai-org/GLM-4.7-Flash:novita': 128000,
-};
-
-// Функция для получения лимита контекстного окна модели
-function getModelContextLimit(model) {
-  if (!model) {
-    return 64000; // Значение по умолчанию
-  }
-  
-  // Прямое совпадение
-  if (MODEL_CONTEXT_LIMITS[model]) {
-    return MODEL_CONTEXT_LIMITS[model];
-  }
-  
-  // Поиск по частичному совпадению (для моделей с версиями)
-  for (const [key, value] of Object.entries(MODEL_CONTEXT_LIMITS)) {
-    if (model.includes(key) || key.includes(model)) {
-      return value;
-    }
-  }
-  
-  // Значения по умолчанию в зависимости от провайдера
-  if (model.includes('deepseek')) {
-    return 64000;
-  }
-  if (model.includes('qwen') || model.includes('Qwen')) {
-    return 128000;
-  }
-  if (model.includes('llama') || model.includes('Llama')) {
-    return 128000;
-  }
-  if (model.includes('gemma') || model.includes('Gemma')) {
-    return 8192;
-  }
-  if (model.includes('mistral') || model.includes('Mistral')) {
-    return 32768;
-  }
-  
-  // Значение по умолчанию
-  return 64000;
-}
-
-// Функция для примерного расчета токенов
-function estimateTokens(text, model = 'gpt-3.5-turbo') {
-  if (!text || typeof text !== 'string') {
-    return 0;
-  }
-  
-  try {
-    // Используем tiktoken для более точного подсчета
-    // Используем модель по умолчанию, если не указана другая
-    // Для моделей, которые не поддерживаются, используем gpt-3.5-turbo как fallback
-    let enc;
-    try {
-      enc = encoding_for_model(model);
-    } catch (modelError) {
-      // Если модель не поддерживается, используем gpt-3.5-turbo
-      console.warn(`⚠️ Model ${model} not supported by tiktoken, using gpt-3.5-turbo encoding`);
-      enc = encoding_for_model('gpt-3.5-turbo');
-    }
-    const tokens = enc.encode(text);
-    enc.free(); // Освобождаем память
-    return tokens.length;
-  } catch (error) {
-    console.warn('⚠️ Error using tiktoken, falling back to character-based estimation:', error.message);
-    // Fallback: примерная оценка на основе символов
-    // Английский: ~0.3 токена на символ, русский/другие: ~0.4-0.6 токена на символ
-    const hasCyrillic = /[а-яА-ЯёЁ]/.test(text);
-    const hasChinese = /[\u4e00-\u9fff]/.test(text);
-    const coefficient = hasChinese ? 0.6 : (hasCyrillic ? 0.4 : 0.3);
-    return Math.ceil(text.length * coefficient);
-  }
-}
-
-// Функция для извлечения информации о токенах из ответа API
-function extractTokenUsage(apiResponse, messages, aiResponse, model = 'gpt-3.5-turbo') {
-  // Получаем лимит контекстного окна для модели
-  const maxContextTokens = getModelContextLimit(model);
-  
-  // Проверяем, есть ли поле usage в ответе API
-  let promptTokens, completionTokens, totalTokens, estimated;
-  
-  if (apiResponse.usage && typeof apiResponse.usage === 'object') {
-    promptTokens = apiResponse.usage.prompt_tokens || 0;
-    completionTokens = apiResponse.usage.completion_tokens || 0;
-    totalTokens = apiResponse.usage.total_tokens || 0;
-    estimated = false; // Точные данные от API
-  } else {
-    // Если usage нет, рассчитываем локально
-    // Подсчитываем токены для всех сообщений (prompt)
-    const promptText = messages
-      .map(msg => `${msg.role}: ${msg.content}`)
-      .join('\n');
-    promptTokens = estimateTokens(promptText, model);
-    
-    // Подсчитываем токены для ответа (completion)
-    completionTokens = estimateTokens(aiResponse, model);
-    
-    totalTokens = promptTokens + completionTokens;
-    estimated = true; // Примерный расчет
-  }
-  
-  // Рассчитываем процент использования контекстного окна
-  const contextUsagePercent = Math.min((totalTokens / maxContextTokens) * 100, 100);
-  
-  return {
-    prompt_tokens: promptTokens,
-    completion_tokens: completionTokens,
-    total_tokens: totalTokens,
-    estimated: estimated,
-    max_context_tokens: maxContextTokens,
-    context_usage_percent: Math.round(contextUsagePercent * 10) / 10, // Округляем до 1 знака после запятой
-  };
-}
+// Endpoint для удаления пресета
+app.delete('/api/admin/presets/:name', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deletePreset(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Error deleting preset', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete preset', message: error.message });
+  }
+});
 
-// Функция для отправки запроса к DeepSeek API
-async function sendToDeepSeek(messagesWithSystem, temperature, model) {
-  const apiKey = process.env.DEEPSEEK_API_KEY;
-  if (!apiKey) {
-    throw new Error('DEEPSEEK_API_KEY is not set in environment variables');
+// Endpoint для загрузки документов в базу знаний (база создается при первой загрузке)
+// Тело: { documents: [{ source, content }] } или один документ { source, content }
+app.post('/api/admin/knowledge/:name/documents', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const documents = body.documents ?? (body.content !== undefined ? [{ source: body.source, content: body.content }] : undefined);
+    res.status(201).json(await addDocuments(req.params.name, documents));
+  } catch (error) {
+    logger.error('❌ Error adding knowledge documents', { error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to add documents', message: error.message });
   }
+});
 
-  const deepseekUrl = 'https://api.deepseek.com/v1/chat/completions';
-  const requestBody = {
-    model: model || process.env.DEEPSEEK_MODEL || 'deepseek-chat',
-    messages: messagesWithSystem,
-    stream: false,
-  };
-  
-  if (temperature !== undefined && temperature !== null) {
-    requestBody.temperature = temperature;
-  }
-  
-  console.log('🚀 Sending request to DeepSeek API:');
-  console.log('URL:', deepseekUrl);
-  console.log('Model:', requestBody.model);
-  console.log('Messages count:', messagesWithSystem.length);
-  
-  const response = await fetch(deepseekUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(requestBody),
-  });
+// Endpoint для удаления документа из базы знаний
+app.delete('/api/admin/knowledge/:name/documents/:documentId', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteDocument(req.params.name, req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Error deleting knowledge document', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete document', message: error.message });
+  }
+});
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('❌ DeepSeek API error:', response.status, errorText);
-    throw new Error(`DeepSeek API error: ${response.status} - ${errorText}`);
+// Endpoint для удаления базы знаний
+app.delete('/api/admin/knowledge/:name', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteKnowledgeBase(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Error deleting knowledge base', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete knowledge base', message: error.message });
   }
+});
 
-  return await response.json();
-}
+// Все остальные маршруты /api требуют API ключ (или разрешенный анонимный доступ)
+app.use('/api', authenticate);
+
+// OpenAI-совместимый API: те же ключи и лимиты, ошибки в формате OpenAI
+app.use('/v1', formatOpenAIErrors, authenticate);
+
+// Endpoint для получения подробного состояния провайдеров и моделей
+// (ключи, состояние circuit breaker, доля ошибок и перцентили задержки за последнее окно)
+app.get('/api/status', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    defaultProvider: getDefaultProviderId(),
+    providers: getProvidersStatus(),
+  });
+});
 
-// Функция для отправки запроса к Hugging Face API
-async function sendToHuggingFace(messagesWithSystem, temperature, model) {
-  const apiKey = process.env.HUGGINGFACE_API_KEY;
-  if (!apiKey) {
-    throw new Error('HUGGINGFACE_API_KEY is not set in environment variables');
+// Endpoint для получения оставшегося дневного лимита сообщений
+app.get('/api/quota', (req, res) => {
+  const ip = getClientIp(req);
+  const exempt = isLimitExempt(req, ip);
+  const { clientId, limit } = getLimitSubject(req, ip);
+  const limitStatus = checkLimit(clientId, limit);
+
+  if (!exempt) {
+    setRateLimitHeaders(res, limitStatus.remaining, limit);
   }
 
-  const hfUrl = 'https://router.huggingface.co/v1/chat/completions';
-  const requestBody = {
-    model: model || process.env.HUGGINGFACE_MODEL || 'Qwen/Qwen2.5-7B-Instruct',
-    messages: messagesWithSystem,
-    stream: false,
-  };
-  
-  if (temperature !== undefined && temperature !== null) {
-    requestBody.temperature = temperature;
-  }
-  
-  console.log('🚀 Sending request to Hugging Face API:');
-  console.log('URL:', hfUrl);
-  console.log('Model:', requestBody.model);
-  console.log('Messages count:', messagesWithSystem.length);
-  
-  const response = await fetch(hfUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(requestBody),
+  res.json({
+    limit: limit,
+    used: limitStatus.count,
+    remaining: exempt ? null : limitStatus.remaining,
+    resetAt: getLimitResetTime().toISOString(),
+    exempt: exempt,
+    tier: req.tier?.name || null,
   });
+});
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('❌ Hugging Face API error:', response.status, errorText);
-    console.error('❌ Model used:', requestBody.model);
-    
-    // Более детальная обработка ошибок
-    let errorMessage = `Hugging Face API error: ${response.status}`;
+// Функция для проверки выбранных провайдера и модели, как в /api/chat (без модели - только провайдер)
+// Возвращает модуль провайдера; бросает ошибку со status 400 и списком fields
+function resolveRequestedProvider(provider, model) {
+  const providerModule = getProvider(provider || getDefaultProviderId());
+  if (!providerModule) {
+    throw createValidationError([{
+      field: 'provider',
+      message: `"${provider}" is not available, use one of: ${listProviders().map(item => item.id).join(', ')}`,
+    }]);
+  }
+  if (model) {
+    validateModelRequest(providerModule, model);
+  }
+  return providerModule;
+}
+
+// Создание диалога с настройками по умолчанию для последующих сообщений
+app.post('/api/conversations', async (req, res) => {
+  try {
+    // Настройки диалога проверяются так же, как в /api/chat, чтобы ошибка не всплыла только при первом сообщении
     try {
-      const errorData = JSON.parse(errorText);
-      // errorData.error может быть объектом с полем message
-      if (errorData.error) {
-        if (typeof errorData.error === 'string') {
-          errorMessage += ` - ${errorData.error}`;
-        } else if (errorData.error.message) {
-          errorMessage += ` - ${errorData.error.message}`;
-        } else if (errorData.error.type) {
-          errorMessage += ` - ${errorData.error.type}: ${errorData.error.message || errorData.error.code || ''}`;
-        } else {
-          errorMessage += ` - ${JSON.stringify(errorData.error)}`;
-        }
-      } else if (errorData.message) {
-        errorMessage += ` - ${errorData.message}`;
-      } else {
-        errorMessage += ` - ${errorText}`;
+      validateConversationBody(req.body || {});
+      const { provider, model } = req.body || {};
+      if (provider || model) {
+        resolveRequestedProvider(provider, model);
       }
-    } catch (e) {
-      errorMessage += ` - ${errorText}`;
+    } catch (error) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
     }
-    
-    // Если модель не поддерживается или не найдена, предлагаем альтернативу
-    if (response.status === 404 || 
-        response.status === 400 && (
-          errorText.includes('not found') || 
-          errorText.includes('Model') || 
-          errorText.includes('not a chat model') ||
-          errorText.includes('model_not_supported')
-        )) {
-      errorMessage += `. Модель "${requestBody.model}" не поддерживает chat completion или недоступна. Попробуйте другую модель из списка.`;
-    }
-    
-    throw new Error(errorMessage);
+
+    const { title, systemPrompt, provider, model, temperature } = req.body || {};
+    const conversation = await createConversation({
+      owner: getClientOwner(req),
+      title,
+      systemPrompt,
+      provider,
+      model,
+      temperature,
+    });
+    logger.info(`🗂️ Created conversation ${conversation.id}`);
+    res.status(201).json(toConversationSummary(conversation));
+  } catch (error) {
+    logger.error('❌ Error creating conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to create conversation', message: error.message });
+  }
+});
+
+// Список диалогов текущего клиента
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const conversations = await listConversations(getClientOwner(req));
+    res.json({ conversations });
+  } catch (error) {
+    logger.error('❌ Error listing conversations', { error: error.message });
+    res.status(500).json({ error: 'Failed to list conversations', message: error.message });
   }
+});
 
-  return await response.json();
+// Функция для получения диалога текущего клиента (null, если диалог не найден или принадлежит другому клиенту)
+async function getOwnConversation(req, id) {
+  const conversation = await getConversation(id);
+  return conversation && conversation.owner === getClientOwner(req) ? conversation : null;
 }
 
-// Chat endpoint - proxies to DeepSeek or Hugging Face API
-app.post('/api/chat', async (req, res) => {
+// Информация о диалоге (без сообщений)
+app.get('/api/conversations/:id', async (req, res) => {
   try {
-    console.log('📨 Received chat request');
-    const { messages, temperature, systemPrompt, provider, model } = req.body;
-    console.log(`📝 Messages count: ${messages?.length || 0}`);
-    console.log(`🌡️ Temperature: ${temperature ?? 'default'}`);
-    console.log(`📋 System prompt: ${systemPrompt ? 'custom' : 'default'}`);
-    console.log(`🔌 Provider: ${provider || 'default (deepseek)'}`);
-    console.log(`🤖 Model: ${model || 'default'}`);
-    
-    // Логируем содержимое сообщений
-    if (messages && Array.isArray(messages)) {
-      console.log('💬 Messages content:');
-      messages.forEach((msg, index) => {
-        console.log(`  [${index + 1}] ${msg.role}: ${msg.content?.substring(0, 200)}${msg.content?.length > 200 ? '...' : ''}`);
-      });
+    const conversation = await getOwnConversation(req, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
+    res.json(toConversationSummary(conversation));
+  } catch (error) {
+    logger.error('❌ Error reading conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to read conversation', message: error.message });
+  }
+});
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ 
-        error: 'Invalid request. Messages array is required.' 
-      });
+// Сообщения диалога
+app.get('/api/conversations/:id/messages', async (req, res) => {
+  try {
+    const conversation = await getOwnConversation(req, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
+    res.json({ conversationId: conversation.id, messages: conversation.messages });
+  } catch (error) {
+    logger.error('❌ Error reading conversation messages', { error: error.message });
+    res.status(500).json({ error: 'Failed to read conversation', message: error.message });
+  }
+});
 
-    // Определяем провайдера
-    const selectedProvider = provider || process.env.DEFAULT_PROVIDER || 'deepseek';
-    
-    // Определяем модель
-    let selectedModel = model;
-    if (!selectedModel && selectedProvider === 'deepseek') {
-      selectedModel = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
-    } else if (!selectedModel && selectedProvider === 'huggingface') {
-      selectedModel = process.env.HUGGINGFACE_MODEL || 'Qwen/Qwen2.5-7B-Instruct';
+// Удаление диалога
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    const deleted = await getOwnConversation(req, req.params.id) && await deleteConversation(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
+    logger.info(`🗑️ Deleted conversation ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Error deleting conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete conversation', message: error.message });
+  }
+});
 
-    // Используем переданный системный промпт, если он есть
-    let messagesWithSystem = messages;
-    
-    if (systemPrompt && systemPrompt.trim().length > 0) {
-      // Добавляем системный промпт в начало массива сообщений только если он передан
-      messagesWithSystem = [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        ...messages
-      ];
-    }
+// Endpoint для получения расходов клиента с разбивкой по дням, месяцам и моделям
+app.get('/api/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days || '30', 10) || 30, 1), 366);
+    const report = await getUsageReport(getClientOwner(req), { days });
+    res.json(report);
+  } catch (error) {
+    logger.error('❌ Error building usage report', { error: error.message });
+    res.status(500).json({ error: 'Failed to build usage report', message: error.message });
+  }
+});
 
-    // Отправляем запрос в зависимости от провайдера
-    let data;
-    if (selectedProvider === 'huggingface') {
-      console.log('🤖 Sending request to Hugging Face API...');
-      data = await sendToHuggingFace(messagesWithSystem, temperature, selectedModel);
-    } else {
-      console.log('🤖 Sending request to DeepSeek API...');
-      data = await sendToDeepSeek(messagesWithSystem, temperature, selectedModel);
+// Endpoint для предварительного подсчета токенов промпта до отправки
+// Тело: { messages, systemPrompt?, provider?, model? }
+app.post('/api/tokens/count', (req, res) => {
+  const { messages, systemPrompt, provider, model } = req.body || {};
+
+  const fieldErrors = validateMessages(messages);
+  for (const [field, value] of Object.entries({ systemPrompt, provider, model })) {
+    if (value !== undefined && typeof value !== 'string') {
+      fieldErrors.push({ field, message: 'must be a string' });
     }
+  }
+  if (fieldErrors.length > 0) {
+    const error = createValidationError(fieldErrors);
+    return res.status(400).json({ error: error.message, fields: error.fields });
+  }
 
-    const aiResponse = data.choices?.[0]?.message?.content || 'No response';
-    console.log(`✅ Received response from ${selectedProvider} (${aiResponse.length} chars)`);
-    console.log(`📄 Full response:`);
-    console.log(aiResponse);
-    console.log('─'.repeat(80));
-    
-    // Извлекаем информацию о токенах
-    const tokenUsage = extractTokenUsage(data, messagesWithSystem, aiResponse, selectedModel);
-    console.log(`🔢 Token usage:`, tokenUsage);
-    
-    // Добавляем tokenUsage в ответ
-    const responseData = {
-      ...data,
-      tokenUsage: tokenUsage,
-    };
-    
-    res.json(responseData);
+  let providerModule;
+  try {
+    providerModule = resolveRequestedProvider(provider, model);
   } catch (error) {
-    console.error('❌ Error processing chat request:', error.message);
-    console.error('Stack:', error.stack);
+    return res.status(400).json({ error: error.message, fields: error.fields });
+  }
+  const selectedModel = model || providerModule.getDefaultModel();
+
+  const messagesWithSystem = systemPrompt && systemPrompt.trim().length > 0
+    ? [{ role: 'system', content: systemPrompt }, ...messages]
+    : messages;
+
+  const { total, perMessage } = countPromptTokens(messagesWithSystem, selectedModel);
+  const { limit, budget } = getPromptBudget(selectedModel, providerModule.id);
+
+  res.json({
+    provider: providerModule.id,
+    model: selectedModel,
+    tokenizer: getTokenizerInfo(selectedModel),
+    prompt_tokens: total,
+    per_message: perMessage,
+    max_context_tokens: limit,
+    // Сколько токенов осталось в окне модели и сколько можно добавить, сохранив запас под ответ
+    remaining_tokens: Math.max(limit - total, 0),
+    remaining_prompt_tokens: Math.max(budget - total, 0),
+    context_usage_percent: Math.round(Math.min((total / limit) * 100, 100) * 10) / 10,
+    fits: total <= budget,
+  });
+});
+
+// Endpoint для получения списка пресетов (поле preset в /api/chat)
+app.get('/api/presets', async (req, res) => {
+  try {
+    res.json({ presets: await listPresets() });
+  } catch (error) {
+    logger.error('❌ Error listing presets', { error: error.message });
+    res.status(500).json({ error: 'Failed to list presets', message: error.message });
+  }
+});
+
+// Endpoint для получения пресета по имени
+app.get('/api/presets/:name', async (req, res) => {
+  try {
+    const preset = await getPreset(req.params.name);
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json(preset);
+  } catch (error) {
+    logger.error('❌ Error reading preset', { error: error.message });
+    res.status(500).json({ error: 'Failed to read preset', message: error.message });
+  }
+});
+
+// Endpoint для получения списка баз знаний (поле knowledgeBase в /api/chat)
+app.get('/api/knowledge', async (req, res) => {
+  try {
+    res.json({ knowledgeBases: await listKnowledgeBases() });
+  } catch (error) {
+    logger.error('❌ Error listing knowledge bases', { error: error.message });
+    res.status(500).json({ error: 'Failed to list knowledge bases', message: error.message });
+  }
+});
+
+// Endpoint для получения базы знаний со списком документов
+app.get('/api/knowledge/:name', async (req, res) => {
+  try {
+    const knowledgeBase = await getKnowledgeBase(req.params.name);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    res.json(knowledgeBase);
+  } catch (error) {
+    logger.error('❌ Error reading knowledge base', { error: error.message });
+    res.status(500).json({ error: 'Failed to read knowledge base', message: error.message });
+  }
+});
+
+// Endpoint для проверки поиска по базе знаний: ?q=запрос&limit=5
+app.get('/api/knowledge/:name/search', async (req, res) => {
+  try {
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+      return res.status(400).json({ error: 'Invalid request. q is required.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+    const results = await searchKnowledgeBase(req.params.name, req.query.q, limit);
+    if (!results) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    res.json({ query: req.query.q, results });
+  } catch (error) {
+    logger.error('❌ Error searching knowledge base', { error: error.message });
+    res.status(500).json({ error: 'Failed to search knowledge base', message: error.message });
+  }
+});
+
+// Endpoint для получения списка инструментов, которые сервер может выполнить сам (serverTools в /api/chat)
+app.get('/api/tools', (req, res) => {
+  res.json({ tools: listTools().map(toToolDefinition) });
+});
+
+// Endpoint для получения списка доступных моделей с метаданными из каталога
+// (лимит контекста, возможности, цена с учетом PRICING_FILE, признак проверенной модели)
+// Модели с открытой цепью перечисляются в unavailableModels, а с ?hideUnavailable=true исключаются из списка
+// Для клиента с API ключом остаются только модели и пресеты его тарифа
+app.get('/api/models', async (req, res) => {
+  try {
+    logger.info('📋 Request for available models');
+    const hideUnavailable = req.query.hideUnavailable === 'true';
     
-    // Определяем статус код ошибки
-    let statusCode = 500;
-    let errorMessage = error.message;
+    // Собираем модели и пресеты всех зарегистрированных провайдеров (из каталога, без запросов к внешним API)
+    const providers = {};
+    for (const provider of listProviders()) {
+      const catalog = getProviderCatalog(provider);
+      let models = catalog.models.map(entry => ({
+        ...entry,
+        contextLength: getModelContextLimit(entry.id, provider.id),
+        pricing: getModelPricing(provider.id, entry.id),
+        available: !isCircuitOpen(provider.id, entry.id),
+      }));
+      if (req.tier) {
+        models = models.filter(model => isModelAllowed(req.tier, provider.id, model.id));
+      }
+      const unavailableModels = models.filter(model => !model.available).map(model => model.id);
+      providers[provider.id] = {
+        name: provider.name,
+        models: hideUnavailable ? models.filter(model => model.available) : models,
+        presets: req.tier ? getAllowedPresets(req.tier, provider.presets) : provider.presets,
+        configured: provider.isConfigured(),
+        unavailableModels: unavailableModels,
+        catalog: {
+          updatedAt: catalog.updatedAt,
+          stale: catalog.stale,
+          error: catalog.error,
+        },
+      };
+    }
+    
+    const response = {
+      providers: providers,
+      defaultProvider: getDefaultProviderId(),
+      tier: req.tier ? { name: req.tier.name, maxTemperature: req.tier.maxTemperature } : null,
+    };
+    
+    const summary = Object.values(providers)
+      .map(provider => `${provider.models.length} ${provider.name}`)
+      .join(', ');
+    logger.info(`✅ Returning models: ${summary}`);
+    res.json(response);
+  } catch (error) {
+    logger.error('❌ Error fetching models', { error: error.message });
+    res.status(500).json({ 
+      error: 'Failed to fetch models',
+      message: error.message 
+    });
+  }
+});
+
+// Функция для разбора SSE-потока в формате OpenAI (строки "data: {...}", завершение "data: [DONE]")
+async function* parseSSEStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+
+      // Пропускаем пустые строки, комментарии (": keep-alive") и прочие поля SSE
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        return;
+      }
+
+      try {
+        yield JSON.parse(payload);
+      } catch (error) {
+        logger.warn('⚠️ Could not parse SSE chunk', { payload: redactContent(payload.substring(0, 200)) });
+      }
+    }
+  }
+}
+
+// Функция для отправки события клиенту в формате SSE
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Функция для создания AbortController, срабатывающего при отключении клиента
+function createClientAbortController(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('🔌 Client disconnected, aborting upstream request');
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+// Функция для потоковой передачи ответа провайдера клиенту через Server-Sent Events
+// upstream - результат sendWithFailover с Response потока в поле result
+// События: delta ({ content }), reasoning ({ content }, только в режиме include),
+// done ({ id, model, finish_reason, tokenUsage, routing, tool_calls? }), error ({ error, message })
+// onComplete(content, tokenUsage, completion) вызывается перед событием done и может вернуть дополнительные поля для него;
+// completion - собранный ответ в формате обычного (не потокового) ответа OpenAI (рассуждения - в message.reasoning)
+// reasoningMode - режим передачи рассуждений модели (include, hide, strip)
+// moderation - отчет модерации запроса: ответ проверяется правилами для reply, а при срабатывании reject
+// передача прекращается событием error ({ error, message, moderation })
+// Возвращает { content, tokenUsage }, если ответ был полностью передан клиенту, иначе null
+async function streamChatResponse(res, upstream, messagesWithSystem, signal, onComplete, reasoningMode = 'include', moderation = null, onBlocked = null) {
+  const { result: upstreamResponse, provider, model, routing } = upstream;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Отключаем буферизацию ответа в nginx
+  });
+
+  let aiResponse = '';
+  let reasoning = '';
+  let usage = null;
+  let finishReason = null;
+  let responseId = null;
+  let responseModel = model;
+  // Вызовы инструментов приходят частями: id и имя в первом чанке, аргументы - кусками по index
+  const toolCalls = [];
+  // Рассуждения приходят в reasoning_content / reasoning или блоком <think> в начале content
+  const thinkParser = createReasoningStreamParser();
+  const replyModerator = moderation ? createStreamModerator(moderation) : null;
+  let blocked = false;
+  // Весь текст от провайдера (включая задержанный модерацией): по нему оцениваются токены отклоненного ответа
+  let generated = '';
+  let generatedReasoning = '';
+  const writeParts = ({ content, reasoning: reasoningPart }) => {
+    if (reasoningPart) {
+      reasoning += reasoningPart;
+      if (reasoningMode === 'include') {
+        writeSSE(res, 'reasoning', { content: reasoningPart });
+      }
+    }
+    if (content) {
+      aiResponse += content;
+      writeSSE(res, 'delta', { content });
+    }
+  };
+  // Части ответа проходят через модерацию; после срабатывания reject ничего не передается
+  const emitModerated = moderated => {
+    blocked = moderated.blocked;
+    if (!blocked) {
+      writeParts(moderated);
+    }
+  };
+  const emitParts = parts => {
+    if (!replyModerator) {
+      writeParts(parts);
+    } else if (!blocked) {
+      emitModerated(replyModerator.push(parts));
+    }
+  };
+
+  try {
+    for await (const chunk of parseSSEStream(upstreamResponse.body)) {
+      responseId = chunk.id || responseId;
+      responseModel = chunk.model || responseModel;
+
+      // Последний чанк с stream_options.include_usage содержит usage и пустой choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      const reasoningDelta = choice?.delta?.reasoning_content ?? choice?.delta?.reasoning;
+      if (typeof reasoningDelta === 'string' && reasoningDelta) {
+        generatedReasoning += reasoningDelta;
+        emitParts({ reasoning: reasoningDelta });
+      }
+      const content = choice?.delta?.content;
+      if (content) {
+        generated += content;
+        emitParts(thinkParser.push(content));
+      }
+      if (blocked) {
+        // Выход из цикла отменяет чтение потока провайдера
+        break;
+      }
+
+      for (const part of choice?.delta?.tool_calls || []) {
+        const index = part.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+        call.id = part.id || call.id;
+        call.function.name += part.function?.name || '';
+        call.function.arguments += part.function?.arguments || '';
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      return null;
+    }
+    logger.error('❌ Error reading upstream stream', { error: error.message });
+    writeSSE(res, 'error', {
+      error: 'Upstream stream error',
+      message: error.message,
+    });
+    res.end();
+    return null;
+  }
+
+  if (signal.aborted) {
+    return null;
+  }
+
+  emitParts(thinkParser.flush());
+  if (replyModerator && !blocked) {
+    emitModerated(replyModerator.flush());
+  }
+  if (blocked) {
+    logger.warn('🛡️ Streamed response blocked by moderation', { chars: generated.length });
+    // Провайдер уже сгенерировал ответ, поэтому токены учитываются так же, как без потока
+    const tokenUsage = extractTokenUsage({ usage }, messagesWithSystem, generated, model, provider.id, generatedReasoning || null);
+    logTokenUsage(upstream, tokenUsage);
+    if (onBlocked) {
+      await onBlocked(tokenUsage);
+    }
+    writeSSE(res, 'error', {
+      error: 'Response blocked',
+      message: 'Ответ модели отклонен модерацией.',
+      moderation: moderation,
+      tokenUsage: tokenUsage,
+      routing: routing,
+    });
+    res.end();
+    return null;
+  }
+  reasoning = reasoning.trim();
+  logger.info('✅ Streamed response', { chars: aiResponse.length, reasoningChars: reasoning.length || undefined });
+  logger.debug('📄 Full response', { content: redactContent(aiResponse), reasoning: reasoning ? redactContent(reasoning) : undefined });
+
+  // Извлекаем информацию о токенах так же, как для обычного ответа
+  const tokenUsage = extractTokenUsage({ usage }, messagesWithSystem, aiResponse, model, provider.id, reasoning || null);
+  logTokenUsage(upstream, tokenUsage);
+
+  const completion = {
+    id: responseId,
+    model: responseModel,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: aiResponse,
+        ...(reasoning && { reasoning }),
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls.filter(Boolean) }),
+      },
+      finish_reason: finishReason,
+    }],
+    usage: usage,
+  };
+  const extra = onComplete ? await onComplete(aiResponse, tokenUsage, completion) : {};
+
+  writeSSE(res, 'done', {
+    id: responseId,
+    model: responseModel,
+    finish_reason: finishReason,
+    tokenUsage: tokenUsage,
+    routing: routing,
+    ...(toolCalls.length > 0 && { tool_calls: toolCalls.filter(Boolean) }),
+    ...extra,
+  });
+  res.end();
+  return { content: aiResponse, tokenUsage };
+}
+
+// Функция для потоковой передачи ответа провайдера в формате OpenAI (chat.completion.chunk)
+// Чанки провайдера передаются как есть, меняется только поле model; usage отправляется последним чанком,
+// если клиент запросил его через stream_options.include_usage
+// Рассуждения (reasoning или блок <think> в content) передаются в delta.reasoning_content
+// onComplete(content, tokenUsage) вызывается перед завершением потока
+// Возвращает { content, tokenUsage }, если ответ был полностью передан клиенту, иначе null
+async function streamOpenAIResponse(res, upstream, messagesWithSystem, modelId, includeUsage, signal, onComplete, moderation = null, onBlocked = null) {
+  const { result: upstreamResponse, provider, model } = upstream;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let aiResponse = '';
+  let reasoning = '';
+  let usage = null;
+  let responseId = null;
+  let created = Math.floor(Date.now() / 1000);
+  const thinkParser = createReasoningStreamParser();
+  // Модерация ответа, как в streamChatResponse: текст придерживается, а после reject передача прекращается
+  const replyModerator = moderation ? createStreamModerator(moderation) : null;
+  let blocked = false;
+  let generated = '';
+  let generatedReasoning = '';
+
+  try {
+    for await (const chunk of parseSSEStream(upstreamResponse.body)) {
+      responseId = chunk.id || responseId;
+      created = chunk.created || created;
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      // Чанк только с usage заменяется итоговым чанком ниже
+      if (!chunk.choices?.length) {
+        continue;
+      }
+      const { usage: chunkUsage, ...rest } = chunk;
+      const choice = chunk.choices[0];
+      if (choice.delta) {
+        const { reasoning: reasoningField, reasoning_content: reasoningContent, content, ...delta } = choice.delta;
+        const parts = typeof content === 'string' ? thinkParser.push(content) : { content: content, reasoning: '' };
+        let reasoningPart = (reasoningContent ?? (typeof reasoningField === 'string' ? reasoningField : '')) + parts.reasoning;
+        generated += parts.content || '';
+        generatedReasoning += reasoningPart;
+        if (replyModerator) {
+          const moderated = replyModerator.push({ content: parts.content || '', reasoning: reasoningPart });
+          if (moderated.blocked) {
+            // Выход из цикла отменяет чтение потока провайдера
+            blocked = true;
+            break;
+          }
+          if (typeof parts.content === 'string') {
+            parts.content = moderated.content;
+          }
+          reasoningPart = moderated.reasoning;
+        }
+        aiResponse += parts.content || '';
+        reasoning += reasoningPart;
+        rest.choices = [{
+          ...choice,
+          delta: {
+            ...delta,
+            ...(reasoningPart && { reasoning_content: reasoningPart }),
+            ...(parts.content !== '' && { content: parts.content }),
+          },
+        }, ...chunk.choices.slice(1)];
+      }
+      res.write(`data: ${JSON.stringify({ ...rest, object: 'chat.completion.chunk', created, model: modelId })}\n\n`);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      return null;
+    }
+    logger.error('❌ Error reading upstream stream', { error: error.message });
+    res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'api_error', param: null, code: null } })}\n\n`);
+    res.end();
+    return null;
+  }
+
+  if (signal.aborted) {
+    return null;
+  }
+
+  // Остаток, придержанный разборщиком <think> (например, ответ оборвался внутри рассуждений) и модерацией
+  let tail = blocked ? { content: '', reasoning: '' } : thinkParser.flush();
+  generated += tail.content;
+  generatedReasoning += tail.reasoning;
+  if (replyModerator && !blocked) {
+    const pushed = replyModerator.push(tail);
+    const flushed = replyModerator.flush();
+    blocked = pushed.blocked || flushed.blocked;
+    tail = { content: pushed.content + flushed.content, reasoning: pushed.reasoning + flushed.reasoning };
+  }
+  if (blocked) {
+    logger.warn('🛡️ Streamed response blocked by moderation', { chars: generated.length });
+    // Провайдер уже сгенерировал ответ, поэтому токены учитываются
+    const tokenUsage = extractTokenUsage({ usage }, messagesWithSystem, generated, model, provider.id, generatedReasoning || null);
+    logTokenUsage(upstream, tokenUsage);
+    if (onBlocked) {
+      await onBlocked(tokenUsage);
+    }
+    res.write(`data: ${JSON.stringify({ error: { message: 'Response blocked by moderation', type: 'invalid_request_error', param: null, code: 'content_filter' } })}\n\n`);
+    res.end();
+    return null;
+  }
+  if (tail.content || tail.reasoning) {
+    aiResponse += tail.content;
+    reasoning += tail.reasoning;
+    res.write(`data: ${JSON.stringify({
+      id: responseId,
+      object: 'chat.completion.chunk',
+      created,
+      model: modelId,
+      choices: [{
+        index: 0,
+        delta: { ...(tail.reasoning && { reasoning_content: tail.reasoning }), ...(tail.content && { content: tail.content }) },
+      }],
+    })}\n\n`);
+  }
+  reasoning = reasoning.trim();
+  logger.info('✅ Streamed response', { chars: aiResponse.length, reasoningChars: reasoning.length || undefined });
+  logger.debug('📄 Full response', { content: redactContent(aiResponse), reasoning: reasoning ? redactContent(reasoning) : undefined });
+
+  const tokenUsage = extractTokenUsage({ usage }, messagesWithSystem, aiResponse, model, provider.id, reasoning || null);
+  logTokenUsage(upstream, tokenUsage);
+  if (onComplete) {
+    await onComplete(aiResponse, tokenUsage);
+  }
+
+  if (includeUsage) {
+    res.write(`data: ${JSON.stringify({
+      id: responseId,
+      object: 'chat.completion.chunk',
+      created,
+      model: modelId,
+      choices: [],
+      usage: toOpenAIUsage(tokenUsage),
+    })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+  return { content: aiResponse, tokenUsage };
+}
+
+// Функция для определения HTTP-статуса и текста ошибки запроса к провайдеру
+function getErrorStatus(error) {
+  if (error.message.includes('API error:')) {
+    return { statusCode: 502, errorMessage: error.message }; // Bad Gateway
+  }
+  if (error.circuitOpen) {
+    return { statusCode: 503, errorMessage: error.message }; // Service Unavailable
+  }
+  if (error.status === 400) {
+    return { statusCode: 400, errorMessage: error.message }; // Ни одна модель не может выполнить запрос
+  }
+  if (error.name === 'TimeoutError') {
+    return { statusCode: 504, errorMessage: error.message }; // Gateway Timeout
+  }
+  if (error.message.includes('is not set')) {
+    return { statusCode: 500, errorMessage: 'Server configuration error: API key not set' };
+  }
+  return { statusCode: 500, errorMessage: error.message };
+}
+
+// Функция для сохранения сообщения пользователя и ответа модели в диалог
+// reasoning сохраняется вместе с ответом, но в историю для модели не попадает
+async function saveConversationTurn(conversationId, userMessage, aiResponse, tokenUsage, upstream, reasoning = null) {
+  await appendMessages(conversationId, [
+    userMessage,
+    {
+      role: 'assistant',
+      content: aiResponse,
+      ...(reasoning && { reasoning }),
+      tokenUsage: tokenUsage,
+      provider: upstream.provider.id,
+      model: upstream.model,
+    },
+  ]);
+  logger.info(`🗂️ Saved turn to conversation ${conversationId}`);
+}
+
+// Chat endpoint - proxies to the selected provider from the registry
+app.post('/api/chat', enforceDailyLimit, enforceBudget, async (req, res) => {
+  try {
+    logger.info('📨 Received chat request');
+    try {
+      validateChatBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    const { messages, stream, fallback, conversationId, message, contextStrategy, responseFormat, serverTools, maxToolSteps } = req.body;
+    const clientTools = req.body.tools;
+    const toolChoice = req.body.toolChoice ?? req.body.tool_choice;
+    let { temperature, systemPrompt, provider, model } = req.body;
+    const { params: requestParams } = parseGenerationParameters(req.body);
+
+    // Диалог, хранящийся на сервере: история берется из хранилища, клиент присылает только новое сообщение
+    let conversation = null;
+    let userMessage = null;
+    let history = messages;
+    if (conversationId !== undefined) {
+      conversation = await getOwnConversation(req, conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      userMessage = {
+        role: 'user',
+        content: typeof message === 'string' ? message : message.content,
+      };
+
+      history = [
+        ...conversation.messages.map(({ role, content }) => ({ role, content })),
+        userMessage,
+      ];
+
+      // Настройки диалога используются, если в запросе они не переопределены
+      systemPrompt = systemPrompt ?? conversation.systemPrompt ?? undefined;
+      provider = provider ?? conversation.provider ?? undefined;
+      model = model ?? conversation.model ?? undefined;
+      temperature = temperature ?? conversation.temperature ?? undefined;
+    }
+
+    // Пресет сервера: системный промпт и параметры генерации; поля запроса переопределяют поля пресета,
+    // а пресет - настройки диалога
+    let selectedPreset = null;
+    let presetParams = {};
+    if (req.body.preset !== undefined) {
+      selectedPreset = await getPreset(req.body.preset);
+      if (!selectedPreset) {
+        return res.status(404).json({
+          error: 'Preset not found',
+          message: `Пресет ${req.body.preset} не найден.`,
+        });
+      }
+      try {
+        systemPrompt = req.body.systemPrompt ?? renderPresetPrompt(selectedPreset, req.body.variables);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      provider = req.body.provider ?? selectedPreset.provider ?? provider;
+      model = req.body.model ?? selectedPreset.model ?? model;
+      temperature = req.body.temperature ?? selectedPreset.temperature ?? temperature;
+      presetParams = { max_tokens: selectedPreset.maxTokens ?? undefined, stop: selectedPreset.stop ?? undefined };
+    }
+    const generationParams = { ...presetParams, ...requestParams };
+
+    logger.info('📝 Chat request parameters', {
+      messagesCount: history?.length || 0,
+      temperature: temperature ?? 'default',
+      systemPrompt: systemPrompt ? 'custom' : 'default',
+      requestedProvider: provider || 'default',
+      requestedModel: model || 'default',
+      stream: stream === true,
+      preset: selectedPreset?.name,
+      conversationId: conversation?.id,
+    });
+
+    // Содержимое сообщений - только на уровне debug и с учетом LOG_REDACT
+    if (logger.isDebugEnabled() && Array.isArray(history)) {
+      history.forEach((msg, index) => {
+        logger.debug(`💬 Message ${index + 1}`, { role: msg.role, content: redactContent(msg.content) });
+      });
+    }
+
+    // Определяем провайдера
+    const selectedProvider = provider || getDefaultProviderId();
+    const providerModule = getProvider(selectedProvider);
+    if (!providerModule) {
+      const error = createValidationError([{
+        field: 'provider',
+        message: `"${selectedProvider}" is not available, use one of: ${listProviders().map(item => item.id).join(', ')}`,
+      }]);
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    
+    // Определяем модель (без явного выбора - модель по умолчанию, доступная в тарифе ключа)
+    const selectedModel = model || getDefaultModelForTier(req.tier, providerModule);
+
+    // Модель должна быть в каталоге провайдера и принимать переданные параметры генерации
+    try {
+      validateModelRequest(providerModule, selectedModel, generationParams);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+
+    // Ограничения тарифа ключа: доступные модели и максимальная температура
+    if (req.tier) {
+      if (!isModelAllowed(req.tier, providerModule.id, selectedModel)) {
+        logger.warn(`⛔ Model ${selectedProvider}:${selectedModel} is not allowed for tier ${req.tier.name}`);
+        return res.status(403).json({
+          error: 'Model not allowed',
+          message: `Модель ${selectedModel} недоступна в тарифе ${req.tier.name}.`,
+        });
+      }
+      if (typeof temperature === 'number' && temperature > req.tier.maxTemperature) {
+        return res.status(403).json({
+          error: 'Temperature not allowed',
+          message: `Максимальная температура в тарифе ${req.tier.name}: ${req.tier.maxTemperature}.`,
+        });
+      }
+    }
+
+    // База знаний: фрагменты документов, подходящие к последнему сообщению пользователя,
+    // добавляются к системному промпту, а ссылки на них возвращаются в поле citations
+    let citations = null;
+    if (req.body.knowledgeBase !== undefined) {
+      const lastUserMessage = history.findLast(msg => msg.role === 'user');
+      const results = await searchKnowledgeBase(req.body.knowledgeBase, lastUserMessage?.content);
+      if (!results) {
+        return res.status(404).json({
+          error: 'Knowledge base not found',
+          message: `База знаний ${req.body.knowledgeBase} не найдена.`,
+        });
+      }
+      const knowledge = buildKnowledgeContext(results);
+      citations = knowledge.citations;
+      if (knowledge.content) {
+        systemPrompt = systemPrompt && systemPrompt.trim().length > 0
+          ? `${systemPrompt}\n\n${knowledge.content}`
+          : knowledge.content;
+      }
+      logger.info(`📚 Retrieved ${citations.length} chunks from knowledge base ${req.body.knowledgeBase}`);
+    }
+
+    // Используем переданный системный промпт, если он есть
+    let messagesWithSystem = history;
+    
+    if (systemPrompt && systemPrompt.trim().length > 0) {
+      // Добавляем системный промпт в начало массива сообщений только если он передан
+      messagesWithSystem = [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        ...history
+      ];
+    }
+
+    // Модерация: персональные данные во всех сообщениях (включая системный промпт и контекст
+    // базы знаний) маскируются (или запрос отклоняется) до отправки провайдеру,
+    // а в диалог сохраняется уже замаскированное сообщение
+    let moderation = null;
+    if (isModerationEnabled()) {
+      moderation = createModerationReport();
+      const moderated = moderateMessages(messagesWithSystem, moderation);
+      if (moderated.blocked) {
+        const rules = moderation.findings.filter(item => item.action === 'reject').map(item => item.rule);
+        return res.status(422).json({
+          error: 'Content rejected',
+          message: `Сообщение отклонено модерацией (правила: ${[...new Set(rules)].join(', ')}).`,
+          moderation: moderation,
+        });
+      }
+      messagesWithSystem = moderated.messages;
+      if (conversation) {
+        userMessage = messagesWithSystem[messagesWithSystem.length - 1];
+      }
+    }
+
+    const reasoningMode = parseReasoningMode(req.body.reasoning);
+
+    // Инструменты: клиента передаются провайдеру, сервера выполняются в цикле на сервере
+    let validatedClientTools;
+    let selectedServerTools = null;
+    let maxSteps;
+    try {
+      validatedClientTools = clientTools !== undefined ? validateClientTools(clientTools) : undefined;
+      if (serverTools !== undefined && serverTools !== false) {
+        selectedServerTools = resolveServerTools(serverTools, listTools());
+        maxSteps = resolveMaxSteps(maxToolSteps);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const usesTools = Boolean(validatedClientTools?.length) || Boolean(selectedServerTools?.length);
+
+    if (usesTools) {
+      if (conversation && validatedClientTools?.length) {
+        return res.status(400).json({
+          error: 'Invalid request. Client tools cannot be used with conversationId, pass the history in messages.',
+        });
+      }
+      if (stream === true && selectedServerTools) {
+        return res.status(400).json({
+          error: 'Invalid request. serverTools cannot be used with stream.',
+        });
+      }
+      if (responseFormat !== undefined) {
+        return res.status(400).json({
+          error: 'Invalid request. responseFormat cannot be used with tools.',
+        });
+      }
+      if (!providerModule.supportsTools(selectedModel)) {
+        return res.status(400).json({
+          error: `Invalid request. Model ${selectedModel} does not support tools.`,
+        });
+      }
+    }
+
+    // Структурированный ответ: JSON, проверенный по схеме клиента (проверка возможна только для полного ответа)
+    let format = null;
+    if (responseFormat !== undefined) {
+      if (stream === true) {
+        return res.status(400).json({
+          error: 'Invalid request. responseFormat cannot be used with stream.',
+        });
+      }
+      try {
+        format = parseResponseFormat(responseFormat);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // Требования к формату добавляются после системного промпта
+      const systemCount = messagesWithSystem.findIndex(msg => msg.role !== 'system');
+      const insertAt = systemCount === -1 ? messagesWithSystem.length : systemCount;
+      messagesWithSystem = [
+        ...messagesWithSystem.slice(0, insertAt),
+        buildFormatInstruction(format),
+        ...messagesWithSystem.slice(insertAt),
+      ];
+    }
+
+    // Запрос к провайдеру прерывается при отключении клиента
+    const clientAbort = createClientAbortController(res);
+
+    // Подгоняем историю под контекстное окно модели (обрезка или суммаризация старых сообщений)
+    const fitted = await fitMessagesToContext({
+      messages: messagesWithSystem,
+      providerId: selectedProvider,
+      model: selectedModel,
+      strategy: contextStrategy,
+      signal: clientAbort.signal,
+    });
+    messagesWithSystem = fitted.messages;
+    const contextReport = fitted.report;
+
+    if (contextReport.exceedsLimit && contextReport.strategy !== 'none') {
+      return res.status(413).json({
+        error: 'Prompt exceeds model context window',
+        message: `Сообщение не помещается в контекстное окно модели (${contextReport.finalTokens} из ${contextReport.limit} токенов).`,
+        context: contextReport,
+      });
+    }
+
+    // Отправляем запрос выбранному провайдеру (с повторными попытками и резервными моделями)
+    // Кеш ответов: только для детерминированных запросов (temperature 0) или по явному флагу cache: true
+    const cacheable = isCacheEnabled() && req.body.cache !== false && (temperature === 0 || req.body.cache === true);
+    const cacheStatus = { hits: 0, misses: 0, streamKey: null };
+
+    setLogFields({ provider: selectedProvider, model: selectedModel });
+    logger.info(`🤖 Sending request to ${providerModule.name} API${stream === true ? ' (stream)' : ''}...`);
+    const sendUncached = (messagesToSend, toolOptions = {}) => sendWithFailover({
+      providerId: selectedProvider,
+      model: selectedModel,
+      messagesWithSystem: messagesToSend,
+      temperature,
+      stream: stream === true,
+      signal: clientAbort.signal,
+      fallback: fallback !== false,
+      allowCandidate: req.tier ? (candidateProvider, candidateModel) => isModelAllowed(req.tier, candidateProvider, candidateModel) : undefined,
+      jsonMode: format !== null,
+      tools: toolOptions.tools ?? validatedClientTools,
+      toolChoice: 'toolChoice' in toolOptions ? toolOptions.toolChoice : toolChoice,
+      generationParams,
+    });
+
+    // Каждый запрос к провайдеру (в том числе шаги цикла инструментов) проверяется в кеше отдельно
+    const sendWithCache = async (messagesToSend, toolOptions = {}) => {
+      if (!cacheable) {
+        return await sendUncached(messagesToSend, toolOptions);
+      }
+
+      // Тариф и fallback входят в ключ: ответ резервной модели не должен достаться клиенту,
+      // которому эта модель (или переход на резервные модели) недоступны
+      const cacheKey = buildCacheKey({
+        provider: selectedProvider,
+        model: selectedModel,
+        tier: req.tier?.name ?? null,
+        fallback: fallback !== false,
+        messages: messagesToSend,
+        temperature: temperature ?? null,
+        jsonMode: format !== null,
+        tools: toolOptions.tools ?? validatedClientTools ?? null,
+        toolChoice: ('toolChoice' in toolOptions ? toolOptions.toolChoice : toolChoice) ?? null,
+        generationParams,
+      });
+      const cached = await getCachedResponse(cacheKey);
+      const cachedProvider = cached && getProvider(cached.provider);
+      if (cachedProvider) {
+        cacheStatus.hits++;
+        logger.info(`🗄️ Cache hit for ${cached.provider} (${cached.model})`);
+        return {
+          result: stream === true ? createCachedStream(cached.result) : cached.result,
+          provider: cachedProvider,
+          model: cached.model,
+          jsonMode: cached.jsonMode,
+          routing: { provider: cached.provider, model: cached.model, attempts: 0, fallbackUsed: false, failures: [], cached: true },
+        };
+      }
+
+      cacheStatus.misses++;
+      const fresh = await sendUncached(messagesToSend, toolOptions);
+      if (stream === true) {
+        // Потоковый ответ сохраняется после завершения передачи
+        cacheStatus.streamKey = cacheKey;
+      } else {
+        await setCachedResponse(cacheKey, {
+          result: fresh.result,
+          provider: fresh.provider.id,
+          model: fresh.model,
+          jsonMode: fresh.jsonMode,
+        });
+      }
+      return fresh;
+    };
+
+    // Рассуждения модели отделяются от ответа до проверки структуры ответа и вызова инструментов
+    const send = async (messagesToSend, toolOptions = {}) => {
+      const upstream = await sendWithCache(messagesToSend, toolOptions);
+      if (stream !== true) {
+        normalizeCompletionReasoning(upstream.result);
+      }
+      return upstream;
+    };
+
+    // Ответ считается взятым из кеша, только если из кеша взяты все запросы к провайдеру
+    const isCachedResponse = () => cacheStatus.hits > 0 && cacheStatus.misses === 0;
+
+    let upstream;
+    let structured = null;
+    let toolTrace = null;
+    if (selectedServerTools) {
+      // Сервер сам выполняет вызовы своих инструментов и возвращает итоговый ответ с журналом вызовов
+      const loop = await runToolLoop({
+        messages: messagesWithSystem,
+        serverTools: selectedServerTools,
+        clientTools: validatedClientTools,
+        toolChoice,
+        maxSteps,
+        send,
+      });
+      upstream = loop.upstream;
+      messagesWithSystem = loop.messages;
+      toolTrace = loop.trace;
+    } else if (format) {
+      // Ответ проверяется по схеме, при ошибке модель один раз просят исправить его
+      const completion = await completeStructured({ messages: messagesWithSystem, format, send });
+      upstream = completion.upstream;
+      messagesWithSystem = completion.messages;
+      structured = completion.structured;
+    } else {
+      upstream = await send(messagesWithSystem);
+    }
+
+    // Потоковый режим: ответ передается клиенту по мере генерации через SSE
+    if (stream === true) {
+      // Заголовки уходят до завершения генерации, поэтому остаток указываем с учетом текущего сообщения
+      if (!req.rateLimit.exempt) {
+        setRateLimitHeaders(res, req.rateLimit.remaining - 1, req.rateLimit.limit);
+      }
+      if (cacheable) {
+        res.set('X-Cache', isCachedResponse() ? 'HIT' : 'MISS');
+      }
+      const completed = await streamChatResponse(res, upstream, messagesWithSystem, clientAbort.signal, async (content, tokenUsage, completion) => {
+        if (isCachedResponse()) {
+          tokenUsage.cached = true;
+        } else if (cacheStatus.streamKey) {
+          await setCachedResponse(cacheStatus.streamKey, {
+            result: completion,
+            provider: upstream.provider.id,
+            model: upstream.model,
+            jsonMode: upstream.jsonMode,
+          });
+        }
+        await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+        const extra = { context: contextReport, ...(citations && { citations }), ...(moderation && { moderation }) };
+        if (!conversation) {
+          return extra;
+        }
+        const reasoning = reasoningMode === 'strip' ? null : completion.choices[0].message.reasoning;
+        await saveConversationTurn(conversation.id, userMessage, content, tokenUsage, upstream, reasoning);
+        return { ...extra, conversationId: conversation.id };
+      }, reasoningMode, moderation, async (tokenUsage) => {
+        // Ответ отклонен модерацией: токены учитываются, но сообщение не засчитывается
+        if (isCachedResponse()) {
+          tokenUsage.cached = true;
+        }
+        await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+      });
+      if (completed) {
+        recordSuccessfulMessage(req);
+      }
+      return;
+    }
+
+    const data = upstream.result;
+    let aiResponse = data.choices?.[0]?.message?.content || 'No response';
+    // Рассуждения возвращаются отдельным полем верхнего уровня (или не возвращаются совсем)
+    let reasoning = data.choices?.[0]?.message?.reasoning || null;
+    logger.info(`✅ Received response from ${upstream.provider.id}`, { chars: aiResponse.length, reasoningChars: reasoning?.length });
+    logger.debug('📄 Full response', { content: redactContent(aiResponse), reasoning: reasoning ? redactContent(reasoning) : undefined });
+    
+    // Извлекаем информацию о токенах
+    const tokenUsage = extractTokenUsage(data, messagesWithSystem, aiResponse, upstream.model, upstream.provider.id, reasoning);
+    if (isCachedResponse()) {
+      tokenUsage.cached = true;
+    }
+    logTokenUsage(upstream, tokenUsage);
+
+    if (cacheable) {
+      res.set('X-Cache', isCachedResponse() ? 'HIT' : 'MISS');
+    }
+    
+    // Учитываем стоимость запроса
+    await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+
+    // Модерация ответа: совпадения маскируются, а при срабатывании reject ответ не возвращается
+    // (токены учтены, но сообщение не засчитывается)
+    if (moderation) {
+      const moderatedContent = moderateText(aiResponse, 'reply', moderation);
+      const moderatedReasoning = moderateText(reasoning, 'reply', moderation);
+      if (moderatedContent.blocked || moderatedReasoning.blocked) {
+        logger.warn('🛡️ Response blocked by moderation', { chars: aiResponse.length });
+        return res.status(422).json({
+          error: 'Response blocked',
+          message: 'Ответ модели отклонен модерацией.',
+          moderation: moderation,
+          tokenUsage: tokenUsage,
+          routing: upstream.routing,
+        });
+      }
+      if (moderatedContent.text !== aiResponse) {
+        aiResponse = moderatedContent.text;
+        data.choices[0].message.content = aiResponse;
+        // Структурированный ответ проверяется заново: маскирование могло изменить JSON
+        if (structured) {
+          const extracted = extractJson(aiResponse);
+          structured.errors = extracted.error ? [extracted.error] : validateAgainstSchema(extracted.value, format.schema);
+          structured.valid = structured.errors.length === 0;
+          structured.parsed = structured.valid ? extracted.value : null;
+          structured.raw = aiResponse;
+        }
+      }
+      reasoning = moderatedReasoning.text;
+    }
+
+    // Модель так и не вернула JSON, подходящий под схему - токены учтены, но сообщение не засчитывается
+    if (structured && !structured.valid) {
+      return res.status(502).json({
+        error: 'Invalid structured output',
+        message: `Модель вернула ответ, не соответствующий схеме: ${structured.errors.join('; ')}`,
+        structured: structured,
+        tokenUsage: tokenUsage,
+        routing: upstream.routing,
+      });
+    }
+    
+    // Сохраняем вопрос и ответ в диалог
+    if (conversation) {
+      await saveConversationTurn(conversation.id, userMessage, aiResponse, tokenUsage, upstream, reasoningMode === 'strip' ? null : reasoning);
+    }
+    
+    // Учитываем сообщение в дневном лимите только после успешного ответа
+    recordSuccessfulMessage(req);
+    if (!req.rateLimit.exempt) {
+      setRateLimitHeaders(res, req.rateLimit.remaining, req.rateLimit.limit);
+    }
+    
+    // Добавляем tokenUsage в ответ
+    // routing - какой провайдер и модель ответили и за сколько попыток
+    const responseData = {
+      ...data,
+      ...(reasoning && { choices: omitReasoning(data).choices }),
+      tokenUsage: tokenUsage,
+      routing: upstream.routing,
+      context: contextReport,
+      ...(reasoning && reasoningMode === 'include' && { reasoning }),
+      ...(structured && { structured }),
+      ...(toolTrace && { toolTrace }),
+      ...(citations && { citations }),
+      ...(moderation && { moderation }),
+      ...(selectedPreset && { preset: selectedPreset.name }),
+      ...(conversation && { conversationId: conversation.id }),
+    };
+    
+    res.json(responseData);
+  } catch (error) {
+    // Клиент отключился до ответа провайдера - отвечать некому
+    if (error.name === 'AbortError') {
+      logger.info('🔌 Chat request aborted by client');
+      return;
+    }
+
+    logger.error('❌ Error processing chat request', { error: error });
     
-    if (error.message.includes('API error:')) {
-      statusCode = 502; // Bad Gateway
-    } else if (error.message.includes('is not set')) {
-      statusCode = 500;
-      errorMessage = 'Server configuration error: API key not set';
+    // Если поток уже начат, сообщаем об ошибке событием SSE
+    if (res.headersSent) {
+      writeSSE(res, 'error', {
+        error: 'Internal server error',
+        message: error.message,
+      });
+      res.end();
+      return;
     }
     
+    // Определяем статус код ошибки
+    const { statusCode, errorMessage } = getErrorStatus(error);
+    
     res.status(statusCode).json({ 
+      error: statusCode === 400 ? 'Invalid request' : 'Internal server error',
+      message: errorMessage,
+      ...(error.routing && { routing: error.routing }),
+    });
+  }
+});
+
+// Эндпоинт для сравнения ответов нескольких моделей на один диалог
+// Модели опрашиваются параллельно (не больше COMPARE_CONCURRENCY одновременно), ошибка одной модели
+// не мешает остальным. Каждый успешный ответ засчитывается в дневном лимите как отдельное сообщение.
+app.post('/api/chat/compare', enforceDailyLimit, enforceBudget, async (req, res) => {
+  try {
+    logger.info('📨 Received compare request');
+    const { messages, systemPrompt, temperature, contextStrategy, targets, concurrency } = req.body;
+
+    const fieldErrors = validateMessages(messages);
+    if (systemPrompt !== undefined && typeof systemPrompt !== 'string') {
+      fieldErrors.push({ field: 'systemPrompt', message: 'must be a string' });
+    }
+    if (temperature !== undefined && temperature !== null &&
+        (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      fieldErrors.push({ field: 'temperature', message: 'must be a number from 0 to 2' });
+    }
+    if (contextStrategy !== undefined && !CONTEXT_STRATEGIES.includes(contextStrategy)) {
+      fieldErrors.push({ field: 'contextStrategy', message: `must be one of: ${CONTEXT_STRATEGIES.join(', ')}` });
+    }
+    if (fieldErrors.length > 0) {
+      const error = createValidationError(fieldErrors);
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      return res.status(400).json({
+        error: 'Invalid request. concurrency must be a positive integer.',
+      });
+    }
+
+    let resolvedTargets;
+    try {
+      resolvedTargets = resolveCompareTargets(targets);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (req.tier && typeof temperature === 'number' && temperature > req.tier.maxTemperature) {
+      return res.status(403).json({
+        error: 'Temperature not allowed',
+        message: `Максимальная температура в тарифе ${req.tier.name}: ${req.tier.maxTemperature}.`,
+      });
+    }
+
+    // Каждая модель - отдельное сообщение, поэтому остатка лимита должно хватить на все
+    if (!req.rateLimit.exempt && req.rateLimit.remaining < resolvedTargets.length) {
+      recordRateLimitRejection('daily_limit');
+      setRateLimitHeaders(res, req.rateLimit.remaining, req.rateLimit.limit);
+      return res.status(429).json({
+        error: 'Daily limit exceeded',
+        message: `Для сравнения ${resolvedTargets.length} моделей не хватает дневного лимита: осталось ${req.rateLimit.remaining} сообщений.`,
+        limit: req.rateLimit.limit,
+        remaining: req.rateLimit.remaining,
+        resetAt: getLimitResetTime().toISOString(),
+      });
+    }
+
+    let messagesWithSystem = systemPrompt && systemPrompt.trim().length > 0
+      ? [{ role: 'system', content: systemPrompt }, ...messages]
+      : messages;
+
+    // Модерация, как в /api/chat: запрос проверяется один раз, ответ - у каждой модели
+    let moderation = null;
+    if (isModerationEnabled()) {
+      moderation = createModerationReport();
+      const moderated = moderateMessages(messagesWithSystem, moderation);
+      if (moderated.blocked) {
+        const rules = moderation.findings.filter(item => item.action === 'reject').map(item => item.rule);
+        return res.status(422).json({
+          error: 'Content rejected',
+          message: `Сообщение отклонено модерацией (правила: ${[...new Set(rules)].join(', ')}).`,
+          moderation: moderation,
+        });
+      }
+      messagesWithSystem = moderated.messages;
+    }
+    const maxConcurrency = Math.min(concurrency ?? Infinity, getCompareConfig().concurrency);
+
+    logger.info(`⚖️ Comparing ${resolvedTargets.length} models`, {
+      concurrency: maxConcurrency,
+      targets: resolvedTargets.map(target => `${target.provider}:${target.model}`).join(', '),
+    });
+
+    // Запросы к провайдерам прерываются при отключении клиента
+    const clientAbort = createClientAbortController(res);
+
+    const comparison = await compareModels({
+      targets: resolvedTargets,
+      messagesWithSystem,
+      temperature,
+      contextStrategy,
+      concurrency: maxConcurrency,
+      signal: clientAbort.signal,
+      isAllowed: req.tier ? target => isModelAllowed(req.tier, target.provider, target.model) : undefined,
+      onSuccess: async (upstream, tokenUsage, contextReport) => {
+        await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+        recordSuccessfulMessage(req);
+      },
+      // Токены отклоненного модерацией ответа учитываются, но сообщение не засчитывается
+      onBlocked: (upstream, tokenUsage, contextReport) => recordCompletionCost(req, upstream, tokenUsage, contextReport),
+      moderation,
+    });
+
+    if (!req.rateLimit.exempt) {
+      setRateLimitHeaders(res, req.rateLimit.remaining, req.rateLimit.limit);
+    }
+
+    logger.info(`✅ Comparison finished: ${comparison.summary.succeeded}/${comparison.summary.total} succeeded in ${comparison.summary.totalLatencyMs}ms`);
+
+    // Если не ответила ни одна модель, запрос целиком считается неуспешным
+    res.status(comparison.summary.succeeded > 0 ? 200 : 502).json(comparison);
+  } catch (error) {
+    // Клиент отключился до ответа провайдеров - отвечать некому
+    if (error.name === 'AbortError') {
+      logger.info('🔌 Compare request aborted by client');
+      return;
+    }
+
+    logger.error('❌ Error processing compare request', { error: error.message });
+    res.status(500).json({
       error: 'Internal server error',
-      message: errorMessage 
+      message: error.message,
     });
   }
 });
 
+// Пакетные задания выполняются в фоне от имени клиента, создавшего пакет: перед каждым запросом
+// проверяются его бюджет и дневной лимит, после ответа учитываются расходы и сообщение
+function createBatchItemError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function beforeBatchItem(batch) {
+  const { limit } = batch;
+  if (!limit.exempt) {
+    const limitStatus = checkLimit(limit.clientId, limit.limit);
+    if (!limitStatus.allowed) {
+      recordRateLimitRejection('daily_limit');
+      throw createBatchItemError(`Daily limit exceeded (${limitStatus.count}/${limit.limit})`, 429);
+    }
+    const budget = await checkBudget(batch.owner);
+    if (!budget.allowed) {
+      recordRateLimitRejection(`${budget.exceeded}_budget`);
+      throw createBatchItemError(`${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} budget exceeded`, 402);
+    }
+  }
+
+  if (!batch.tier) {
+    return { allowCandidate: undefined };
+  }
+  const tier = await getTier(batch.tier);
+  if (!tier) {
+    throw createBatchItemError(`Tier "${batch.tier}" is not configured on the server`, 403);
+  }
+  return { allowCandidate: (candidateProvider, candidateModel) => isModelAllowed(tier, candidateProvider, candidateModel) };
+}
+
+// Ответ, отклоненный модерацией: токены учитываются, но сообщение не засчитывается
+async function recordBatchItemUsage(batch, upstream, tokenUsage, contextReport) {
+  await recordOwnerCost(batch.owner, upstream, tokenUsage, contextReport);
+}
+
+async function recordBatchItemSuccess(batch, upstream, tokenUsage, contextReport) {
+  await recordOwnerCost(batch.owner, upstream, tokenUsage, contextReport);
+  if (!batch.limit.exempt) {
+    const { count } = incrementLimit(batch.limit.clientId, batch.limit.limit);
+    logger.debug(`📊 Daily limit for ${batch.limit.label}: ${count}/${batch.limit.limit}`);
+  }
+}
+
+// Функция для получения пакета текущего клиента (чужие пакеты не видны)
+async function getOwnBatch(req) {
+  const batch = await getBatch(req.params.id);
+  return batch && batch.owner === getClientOwner(req) ? batch : null;
+}
+
+// Создание пакетного задания: тело - JSONL, по одному запросу /api/chat (с необязательным customId) в строке
+// Запросы проверяются сразу, а выполняются в фоне; ответ 202 содержит id пакета для GET /api/batches/:id
+// Размер файла ограничен BATCH_MAX_BODY, а не MAX_REQUEST_BODY
+const batchTextParser = express.text({
+  type: ['application/x-ndjson', 'application/jsonl', 'text/plain'],
+  limit: getBatchConfig().maxBody,
+});
+
+function parseBatchBody(req, res, next) {
+  batchTextParser(req, res, error => {
+    if (error?.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: 'Payload too large',
+        message: `Файл пакета больше ${getBatchConfig().maxBody}.`,
+      });
+    }
+    next(error);
+  });
+}
+
+app.post('/api/batches', enforceDailyLimit, enforceBudget, parseBatchBody, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({
+        error: 'Unsupported Media Type',
+        message: 'Запросы пакета передаются в формате JSONL (Content-Type: application/x-ndjson), по одному JSON объекту в строке.',
+      });
+    }
+
+    let items;
+    try {
+      items = parseBatchRequests(req.body, req.tier);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, ...(error.fields && { fields: error.fields }) });
+    }
+
+    // Каждый запрос - отдельное сообщение, поэтому остатка лимита должно хватить на весь пакет
+    if (!req.rateLimit.exempt && req.rateLimit.remaining < items.length) {
+      recordRateLimitRejection('daily_limit');
+      setRateLimitHeaders(res, req.rateLimit.remaining, req.rateLimit.limit);
+      return res.status(429).json({
+        error: 'Daily limit exceeded',
+        message: `Для пакета из ${items.length} запросов не хватает дневного лимита: осталось ${req.rateLimit.remaining} сообщений.`,
+        limit: req.rateLimit.limit,
+        remaining: req.rateLimit.remaining,
+        resetAt: getLimitResetTime().toISOString(),
+      });
+    }
+
+    const { clientId, label, limit, exempt } = req.rateLimit;
+    const batch = await createBatch({
+      owner: getClientOwner(req),
+      tier: req.tier?.name ?? null,
+      limit: { clientId, label, limit, exempt },
+      items,
+    });
+    res.status(202).json(toBatchSummary(batch));
+  } catch (error) {
+    logger.error('❌ Error creating batch', { error: error.message });
+    res.status(500).json({ error: 'Failed to create batch', message: error.message });
+  }
+});
+
+// Список пакетов текущего клиента
+app.get('/api/batches', async (req, res) => {
+  try {
+    const batches = await listBatches(getClientOwner(req));
+    res.json({ batches });
+  } catch (error) {
+    logger.error('❌ Error listing batches', { error: error.message });
+    res.status(500).json({ error: 'Failed to list batches', message: error.message });
+  }
+});
+
+// Состояние пакета: статус, число выполненных и ошибочных запросов, расход токенов
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = await getOwnBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(toBatchSummary(batch));
+  } catch (error) {
+    logger.error('❌ Error reading batch', { error: error.message });
+    res.status(500).json({ error: 'Failed to read batch', message: error.message });
+  }
+});
+
+// Результаты пакета файлом JSONL: по строке на выполненный запрос, в порядке запросов
+app.get('/api/batches/:id/results', async (req, res) => {
+  try {
+    const batch = await getOwnBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="batch-${batch.id}-results.jsonl"`);
+    res.send(await readBatchResults(batch.id));
+  } catch (error) {
+    logger.error('❌ Error reading batch results', { error: error.message });
+    res.status(500).json({ error: 'Failed to read batch results', message: error.message });
+  }
+});
+
+// Отмена пакета: оставшиеся запросы не выполняются, уже полученные результаты сохраняются
+app.post('/api/batches/:id/cancel', async (req, res) => {
+  try {
+    const batch = await getOwnBatch(req);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (batch.status === 'completed' || batch.status === 'cancelled') {
+      return res.status(409).json({ error: `Batch is already ${batch.status}` });
+    }
+    res.json(toBatchSummary(await cancelBatch(batch.id)));
+  } catch (error) {
+    logger.error('❌ Error cancelling batch', { error: error.message });
+    res.status(500).json({ error: 'Failed to cancel batch', message: error.message });
+  }
+});
+
+// Удаление завершенного пакета вместе с результатами
+app.delete('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = await getOwnBatch(req);
+    if (!batch || !(await deleteBatch(batch.id))) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    logger.info(`🗑️ Deleted batch ${batch.id}`);
+    res.status(204).end();
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('❌ Error deleting batch', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete batch', message: error.message });
+  }
+});
+
+// OpenAI-совместимый список моделей (id вида "deepseek/deepseek-chat")
+app.get('/v1/models', async (req, res) => {
+  try {
+    const models = listOpenAIModels(req.tier ? (providerId, model) => isModelAllowed(req.tier, providerId, model) : undefined);
+    logger.info(`✅ Returning ${models.data.length} models (OpenAI format)`);
+    res.json(models);
+  } catch (error) {
+    logger.error('❌ Error fetching models', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to fetch models',
+      message: error.message,
+    });
+  }
+});
+
+// OpenAI-совместимый эндпоинт чата: принимает и возвращает формат OpenAI (в том числе поток SSE)
+// Лимиты, тарифы, учет токенов и стоимости - те же, что и в /api/chat
+app.post('/v1/chat/completions', enforceDailyLimit, enforceBudget, async (req, res) => {
+  try {
+    logger.info('📨 Received OpenAI-compatible chat request');
+
+    let params;
+    try {
+      params = parseChatCompletionRequest(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, param: error.param });
+    }
+    const { providerId, messages, temperature, stream, includeUsage, toolChoice } = params;
+
+    const providerModule = getProvider(providerId);
+    if (!providerModule) {
+      return res.status(400).json({ error: 'Invalid request. Unknown provider.', param: 'model' });
+    }
+    const selectedModel = params.model || getDefaultModelForTier(req.tier, providerModule);
+    try {
+      validateModelRequest(providerModule, selectedModel, params.generationParams, { apiNames: true });
+    } catch (error) {
+      return res.status(400).json({ error: error.message, param: error.param });
+    }
+
+    logger.info('📝 Chat request parameters', {
+      messagesCount: messages.length,
+      temperature: temperature ?? 'default',
+      stream: stream,
+    });
+    if (logger.isDebugEnabled()) {
+      messages.forEach((msg, index) => {
+        logger.debug(`💬 Message ${index + 1}`, { role: msg.role, content: redactContent(msg.content) });
+      });
+    }
+
+    if (req.tier) {
+      if (!isModelAllowed(req.tier, providerModule.id, selectedModel)) {
+        logger.warn(`⛔ Model ${providerModule.id}:${selectedModel} is not allowed for tier ${req.tier.name}`);
+        return res.status(403).json({
+          error: 'Model not allowed',
+          message: `Модель ${selectedModel} недоступна в тарифе ${req.tier.name}.`,
+          param: 'model',
+        });
+      }
+      if (typeof temperature === 'number' && temperature > req.tier.maxTemperature) {
+        return res.status(403).json({
+          error: 'Temperature not allowed',
+          message: `Максимальная температура в тарифе ${req.tier.name}: ${req.tier.maxTemperature}.`,
+          param: 'temperature',
+        });
+      }
+    }
+
+    // Инструменты клиента передаются провайдеру как есть
+    let tools;
+    try {
+      tools = params.tools !== undefined ? validateClientTools(params.tools) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message, param: 'tools' });
+    }
+    if (tools?.length && !providerModule.supportsTools(selectedModel)) {
+      return res.status(400).json({
+        error: `Invalid request. Model ${selectedModel} does not support tools.`,
+        param: 'tools',
+      });
+    }
+
+    // Модерация, как в /api/chat: персональные данные во всех сообщениях (включая system) маскируются до отправки провайдеру
+    let messagesWithSystem = messages;
+    let moderation = null;
+    if (isModerationEnabled()) {
+      moderation = createModerationReport();
+      const moderated = moderateMessages(messagesWithSystem, moderation);
+      if (moderated.blocked) {
+        const rules = moderation.findings.filter(item => item.action === 'reject').map(item => item.rule);
+        return res.status(422).json({
+          error: 'Content rejected',
+          message: `Сообщение отклонено модерацией (правила: ${[...new Set(rules)].join(', ')}).`,
+          code: 'content_filter',
+        });
+      }
+      messagesWithSystem = moderated.messages;
+    }
+
+    // response_format: json_object включает JSON mode, json_schema дополнительно проверяет ответ по схеме
+    let format = null;
+    if (params.responseFormat) {
+      try {
+        format = parseResponseFormat(params.responseFormat);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, param: 'response_format' });
+      }
+      if (format.schema && stream) {
+        return res.status(400).json({
+          error: 'Invalid request. response_format json_schema cannot be used with stream.',
+          param: 'response_format',
+        });
+      }
+      const systemCount = messagesWithSystem.findIndex(msg => msg.role !== 'system');
+      const insertAt = systemCount === -1 ? messagesWithSystem.length : systemCount;
+      messagesWithSystem = [
+        ...messagesWithSystem.slice(0, insertAt),
+        buildFormatInstruction(format),
+        ...messagesWithSystem.slice(insertAt),
+      ];
+    }
+
+    const clientAbort = createClientAbortController(res);
+
+    const fitted = await fitMessagesToContext({
+      messages: messagesWithSystem,
+      providerId: providerModule.id,
+      model: selectedModel,
+      signal: clientAbort.signal,
+    });
+    messagesWithSystem = fitted.messages;
+    const contextReport = fitted.report;
+    if (contextReport.exceedsLimit && contextReport.strategy !== 'none') {
+      return res.status(413).json({
+        error: 'Prompt exceeds model context window',
+        message: `Сообщение не помещается в контекстное окно модели (${contextReport.finalTokens} из ${contextReport.limit} токенов).`,
+        code: 'context_length_exceeded',
+      });
+    }
+
+    setLogFields({ provider: providerModule.id, model: selectedModel });
+    logger.info(`🤖 Sending request to ${providerModule.name} API${stream ? ' (stream)' : ''}...`);
+    const send = async (messagesToSend) => {
+      const upstream = await sendWithFailover({
+        providerId: providerModule.id,
+        model: selectedModel,
+        messagesWithSystem: messagesToSend,
+        temperature,
+        stream,
+        signal: clientAbort.signal,
+        allowCandidate: req.tier ? (candidateProvider, candidateModel) => isModelAllowed(req.tier, candidateProvider, candidateModel) : undefined,
+        jsonMode: format !== null,
+        tools,
+        toolChoice,
+        generationParams: params.generationParams,
+      });
+      if (!stream) {
+        normalizeCompletionReasoning(upstream.result);
+      }
+      return upstream;
+    };
+
+    let upstream;
+    let structured = null;
+    if (format?.schema) {
+      const completion = await completeStructured({ messages: messagesWithSystem, format, send });
+      upstream = completion.upstream;
+      messagesWithSystem = completion.messages;
+      structured = completion.structured;
+    } else {
+      upstream = await send(messagesWithSystem);
+    }
+
+    // В ответе указывается модель, которая действительно ответила (с учетом резервных)
+    const modelId = toModelId(upstream.provider.id, upstream.model);
+
+    if (stream) {
+      if (!req.rateLimit.exempt) {
+        setRateLimitHeaders(res, req.rateLimit.remaining - 1, req.rateLimit.limit);
+      }
+      const recordCost = async (content, tokenUsage) => {
+        await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+      };
+      const completed = await streamOpenAIResponse(res, upstream, messagesWithSystem, modelId, includeUsage, clientAbort.signal,
+        recordCost, moderation, tokenUsage => recordCost(null, tokenUsage));
+      if (completed) {
+        recordSuccessfulMessage(req);
+      }
+      return;
+    }
+
+    const data = upstream.result;
+    let aiResponse = data.choices?.[0]?.message?.content || '';
+    const reasoning = data.choices?.[0]?.message?.reasoning || null;
+    logger.info(`✅ Received response from ${upstream.provider.id}`, { chars: aiResponse.length, reasoningChars: reasoning?.length });
+    logger.debug('📄 Full response', { content: redactContent(aiResponse), reasoning: reasoning ? redactContent(reasoning) : undefined });
+
+    const tokenUsage = extractTokenUsage(data, messagesWithSystem, aiResponse, upstream.model, upstream.provider.id, reasoning);
+    logTokenUsage(upstream, tokenUsage);
+    await recordCompletionCost(req, upstream, tokenUsage, contextReport);
+
+    // Модерация ответа: токены уже учтены, при reject ответ не возвращается
+    if (moderation) {
+      const moderatedContent = moderateText(aiResponse, 'reply', moderation);
+      const moderatedReasoning = moderateText(reasoning, 'reply', moderation);
+      if (moderatedContent.blocked || moderatedReasoning.blocked) {
+        logger.warn('🛡️ Response blocked by moderation', { chars: aiResponse.length });
+        return res.status(422).json({
+          error: 'Response blocked',
+          message: 'Ответ модели отклонен модерацией.',
+          code: 'content_filter',
+        });
+      }
+      if (moderatedContent.text !== aiResponse) {
+        aiResponse = moderatedContent.text;
+        data.choices[0].message.content = aiResponse;
+        if (structured) {
+          const extracted = extractJson(aiResponse);
+          structured.errors = extracted.error ? [extracted.error] : validateAgainstSchema(extracted.value, format.schema);
+          structured.valid = structured.errors.length === 0;
+        }
+      }
+      if (reasoning) {
+        data.choices[0].message.reasoning = moderatedReasoning.text;
+      }
+    }
+
+    if (structured && !structured.valid) {
+      return res.status(502).json({
+        error: 'Invalid structured output',
+        message: `Модель вернула ответ, не соответствующий схеме: ${structured.errors.join('; ')}`,
+      });
+    }
+
+    recordSuccessfulMessage(req);
+    if (!req.rateLimit.exempt) {
+      setRateLimitHeaders(res, req.rateLimit.remaining, req.rateLimit.limit);
+    }
+
+    res.json(toChatCompletion(data, modelId, tokenUsage));
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.info('🔌 Chat request aborted by client');
+      return;
+    }
+
+    logger.error('❌ Error processing OpenAI-compatible chat request', { error: error.message });
+
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'api_error', param: null, code: null } })}\n\n`);
+      res.end();
+      return;
+    }
+
+    const { statusCode, errorMessage } = getErrorStatus(error);
+    res.status(statusCode).json({
+      error: statusCode === 400 ? 'Invalid request' : 'Internal server error',
+      message: errorMessage,
+    });
+  }
+});
+
+// Пакеты, прерванные перезапуском сервера, продолжаются с невыполненных запросов
+startBatchWorker({ beforeItem: beforeBatchItem, onSuccess: recordBatchItemSuccess, onBlocked: recordBatchItemUsage }).catch(error => {
+  logger.error('❌ Could not resume batches', { error: error.message });
+});
+
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+  logger.info(`Server running on port ${PORT}`);
+  logger.info(`Health check: http://localhost:${PORT}/health`);
 });
@@ -0,0 +1,276 @@
+import { sumUsage, getRequestUsage } from './tokens.js';
+import { logger } from './logger.js';
+
+// Структурированный ответ: модель возвращает JSON, который проверяется по JSON Schema клиента
+//
+// Если модель поддерживает JSON mode (response_format), он включается; в любом случае схема передается
+// в системном сообщении, потому что JSON mode гарантирует только синтаксис, но не структуру.
+// При невалидном ответе модели один раз отправляется запрос на исправление с перечнем ошибок.
+
+const MAX_ATTEMPTS = 2;
+// Ограничение вложенности схемы клиента: она проверяется до запроса к провайдеру
+const MAX_SCHEMA_DEPTH = 16;
+
+// Функция для разбора параметра responseFormat из запроса
+// Допустимые формы: 'json' или { type: 'json', schema?, name? }
+// Возвращает { schema, name } или бросает ошибку со status 400
+export function parseResponseFormat(responseFormat) {
+  const format = responseFormat === 'json' ? { type: 'json' } : responseFormat;
+
+  if (!format || typeof format !== 'object' || Array.isArray(format)) {
+    throw createFormatError('responseFormat must be "json" or an object { type: "json", schema }');
+  }
+  if (format.type !== undefined && !['json', 'json_object', 'json_schema'].includes(format.type)) {
+    throw createFormatError('responseFormat.type must be "json"');
+  }
+  if (format.schema !== undefined && (!format.schema || typeof format.schema !== 'object' || Array.isArray(format.schema))) {
+    throw createFormatError('responseFormat.schema must be a JSON Schema object');
+  }
+  if (format.schema) {
+    checkSchema(format.schema, 'responseFormat.schema', 0);
+  }
+
+  return {
+    schema: format.schema || null,
+    name: typeof format.name === 'string' ? format.name : null,
+  };
+}
+
+function createFormatError(message) {
+  const error = new Error(`Invalid request. ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// Функция для проверки схемы клиента: глубина вложенности и типы ключевых слов
+// Ошибка в схеме возвращается как 400 до платного запроса
+function checkSchema(schema, path, depth) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw createFormatError(`${path} must be a JSON Schema object`);
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    throw createFormatError(`responseFormat.schema is nested deeper than ${MAX_SCHEMA_DEPTH} levels`);
+  }
+
+  // pattern не поддерживается: регулярное выражение клиента, примененное к ответу модели, который клиент
+  // может направлять, способно надолго занять event loop (катастрофический перебор с возвратами)
+  if (schema.pattern !== undefined) {
+    throw createFormatError(`${path}.pattern is not supported`);
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      throw createFormatError(`${path}.properties must be an object`);
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      checkSchema(property, `${path}.properties.${key}`, depth + 1);
+    }
+  }
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${path}.items`, depth + 1);
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkSchema(schema.additionalProperties, `${path}.additionalProperties`, depth + 1);
+  }
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(schema[keyword])) {
+      throw createFormatError(`${path}.${keyword} must be an array`);
+    }
+    schema[keyword].forEach((option, index) => checkSchema(option, `${path}.${keyword}[${index}]`, depth + 1));
+  }
+}
+
+// Функция для построения системного сообщения с требованиями к формату ответа
+export function buildFormatInstruction(format) {
+  let content = 'Ответь только одним JSON объектом, без markdown, пояснений и текста до или после него.';
+  if (format.schema) {
+    content += `\nОбъект должен соответствовать JSON Schema${format.name ? ` "${format.name}"` : ''}:\n${JSON.stringify(format.schema)}`;
+  }
+  return { role: 'system', content };
+}
+
+// Функция для извлечения JSON из ответа модели
+// Модели без JSON mode часто оборачивают ответ в ```json ... ``` или добавляют пояснения вокруг
+// Возвращает { value } или { error }
+export function extractJson(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const candidate = fenced ? fenced[1] : trimmed;
+
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    // Пробуем взять JSON между первой открывающей и последней закрывающей скобкой
+  }
+
+  const start = candidate.search(/[{[]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    try {
+      return { value: JSON.parse(candidate.slice(start, end + 1)) };
+    } catch (error) {
+      return { error: `$: response is not valid JSON (${error.message})` };
+    }
+  }
+  return { error: '$: response does not contain a JSON value' };
+}
+
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return getJsonType(value) === type;
+}
+
+// Функция для проверки значения по JSON Schema
+// Поддерживается подмножество схемы, достаточное для описания ответов модели:
+// type, enum, const, properties, required, additionalProperties, items, minItems, maxItems,
+// minLength, maxLength, minimum, maximum, anyOf, oneOf
+// Возвращает список ошибок вида "$.emotion: must be one of ..." (пустой, если значение подходит)
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      // При неверном типе остальные проверки не имеют смысла
+      return [`${path}: must be ${types.join(' or ')}, got ${getJsonType(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateAgainstSchema(value, option, path).length === 0)) {
+    errors.push(`${path}: must match at least one schema in anyOf`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validateAgainstSchema(value, option, path).length === 0).length !== 1) {
+    errors.push(`${path}: must match exactly one schema in oneOf`);
+  }
+
+  return errors;
+}
+
+// Функция для получения структурированного ответа с проверкой и одной повторной попыткой
+// send(messages) - отправка запроса (sendWithFailover с jsonMode), возвращает upstream
+// Возвращает { upstream, messages, structured }, где
+//   upstream - ответ последней попытки с копией result, в которой usage суммирован по всем попыткам
+//   messages - сообщения последней попытки
+//   structured: { parsed, raw, valid, errors, attempts, mode: 'json_mode' | 'prompt' }
+export async function completeStructured({ messages, format, send }) {
+  let currentMessages = messages;
+  const usages = [];
+  let upstream = null;
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    upstream = await send(currentMessages);
+    raw = upstream.result.choices?.[0]?.message?.content || '';
+    usages.push(getRequestUsage(upstream, currentMessages));
+
+    const extracted = extractJson(raw);
+    errors = extracted.error ? [extracted.error] : validateAgainstSchema(extracted.value, format.schema);
+
+    const structured = {
+      parsed: errors.length === 0 ? extracted.value : null,
+      raw: raw,
+      valid: errors.length === 0,
+      errors: errors,
+      attempts: attempt,
+      mode: upstream.jsonMode ? 'json_mode' : 'prompt',
+    };
+
+    if (structured.valid || attempt === MAX_ATTEMPTS) {
+      // Ответ провайдера не изменяется: он может быть общим с кешем ответов
+      upstream = { ...upstream, result: { ...upstream.result, usage: sumUsage(usages) } };
+      if (structured.valid) {
+        logger.info(`🧩 Structured output is valid (${structured.mode}, attempt ${attempt})`);
+      } else {
+        logger.warn(`⚠️ Structured output is still invalid after ${attempt} attempts: ${errors.join('; ')}`);
+      }
+      return { upstream, messages: currentMessages, structured };
+    }
+
+    logger.warn(`⚠️ Structured output is invalid, asking the model to fix it: ${errors.join('; ')}`);
+    currentMessages = [
+      ...currentMessages,
+      { role: 'assistant', content: raw },
+      {
+        role: 'user',
+        content: `Ответ не прошел проверку: ${errors.join('; ')}. Верни исправленный JSON объект, соответствующий схеме, без пояснений.`,
+      },
+    ];
+  }
+}
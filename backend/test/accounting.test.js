@@ -0,0 +1,115 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const servers = [];
+
+after(async () => {
+  await Promise.all(servers.map(server => server.stop()));
+});
+
+async function start(env) {
+  const server = await startServer(env);
+  servers.push(server);
+  return server;
+}
+
+const chat = (server, content, extra = {}) => server.request('/api/chat', {
+  body: { messages: [{ role: 'user', content }], ...extra },
+});
+
+test('records token usage and cost from catalog pricing', async () => {
+  const server = await start();
+
+  // mock-echo: $1 за 1M входных и $2 за 1M выходных токенов
+  const { body } = await chat(server, 'count these four words');
+  assert.equal(body.tokenUsage.prompt_tokens, 4);
+  assert.equal(body.tokenUsage.completion_tokens, 5);
+  assert.equal(body.tokenUsage.cost_usd, (4 * 1 + 5 * 2) / 1e6);
+
+  await chat(server, 'again');
+  const usage = await server.request('/api/usage');
+  assert.equal(usage.status, 200);
+  const today = usage.body.daily.at(-1);
+  assert.equal(today.requests, 2);
+  assert.equal(today.prompt_tokens, 5);
+  assert.equal(today.completion_tokens, 7);
+  assert.ok(today.models['mock:mock-echo']);
+});
+
+test('estimates tokens locally when the provider sends no usage', async () => {
+  const server = await start({ MOCK_USAGE: 'false' });
+
+  const { body } = await chat(server, 'estimate me');
+  assert.equal(body.tokenUsage.estimated, true);
+  assert.ok(body.tokenUsage.prompt_tokens > 0);
+  assert.ok(body.tokenUsage.completion_tokens > 0);
+});
+
+test('counts prompt tokens before sending', async () => {
+  const server = await start();
+
+  const { status, body } = await server.request('/api/tokens/count', {
+    body: { messages: [{ role: 'user', content: 'How many tokens is this?' }], systemPrompt: 'Be brief' },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.provider, 'mock');
+  assert.equal(body.model, 'mock-echo');
+  assert.equal(body.max_context_tokens, 8192);
+  assert.equal(body.per_message.length, 2);
+  assert.ok(body.prompt_tokens > 0);
+  assert.equal(body.fits, true);
+});
+
+test('rejects invalid token count requests with field errors', async () => {
+  const server = await start();
+  const messages = [{ role: 'user', content: 'hi' }];
+  const count = body => server.request('/api/tokens/count', { body });
+
+  const invalid = await count({ messages, systemPrompt: 42, model: ['mock-echo'] });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.fields.map(item => item.field), ['systemPrompt', 'model']);
+
+  const provider = await count({ messages, provider: 'nope' });
+  assert.equal(provider.status, 400);
+  assert.equal(provider.body.fields[0].field, 'provider');
+
+  const model = await count({ messages, model: 'mock-unknown' });
+  assert.equal(model.status, 400);
+  assert.equal(model.body.fields[0].field, 'model');
+});
+
+test('enforces the daily message limit and counts only successful answers', async () => {
+  const server = await start({ DAILY_MESSAGE_LIMIT: '2' });
+
+  const first = await chat(server, 'one');
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+
+  // Ошибка провайдера не расходует лимит
+  const failed = await chat(server, 'fail', { model: 'mock-error-502', fallback: false });
+  assert.equal(failed.status, 502);
+
+  const second = await chat(server, 'two');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('x-ratelimit-remaining'), '0');
+
+  const rejected = await chat(server, 'three');
+  assert.equal(rejected.status, 429);
+  assert.equal(rejected.body.error, 'Daily limit exceeded');
+
+  const quota = await server.request('/api/quota');
+  assert.equal(quota.body.remaining, 0);
+});
+
+test('rejects requests once the daily budget is spent', async () => {
+  // Один ответ mock-echo стоит больше $0.000001
+  const server = await start({ DAILY_BUDGET_USD: '0.000001' });
+
+  assert.equal((await chat(server, 'spend the budget')).status, 200);
+
+  const rejected = await chat(server, 'over budget');
+  assert.equal(rejected.status, 402);
+  assert.equal(rejected.body.budget.exceeded, 'daily');
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_TOKEN, ALLOW_ANONYMOUS: 'false' });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const createKey = (tier) => server.request('/api/admin/keys', {
+  body: { name: 'test', tier },
+  headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+});
+
+test('issues keys that authenticate chat requests', async () => {
+  const created = await createKey('standard');
+  assert.equal(created.status, 201);
+  assert.equal(created.body.tier, 'standard');
+
+  const chat = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hi' }] },
+    headers: { Authorization: `Bearer ${created.body.key}` },
+  });
+  assert.equal(chat.status, 200);
+
+  const anonymous = await server.request('/api/chat', { body: { messages: [{ role: 'user', content: 'hi' }] } });
+  assert.equal(anonymous.status, 401);
+});
+
+test('rejects unknown tiers, including object prototype names', async () => {
+  for (const tier of ['enterprise', 'toString', 'constructor', '__proto__']) {
+    const { status, body } = await createKey(tier);
+    assert.equal(status, 400, tier);
+    assert.equal(body.message, `Unknown tier "${tier}"`);
+  }
+});
@@ -0,0 +1,150 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer } from './helpers/server.js';
+
+const servers = [];
+const dataDirs = [];
+
+after(async () => {
+  await Promise.all(servers.map(server => server.stop()));
+  await Promise.all(dataDirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+async function start(env) {
+  const server = await startServer(env);
+  servers.push(server);
+  return server;
+}
+
+const toJsonl = requests => requests.map(request => JSON.stringify(request)).join('\n');
+
+const createBatch = (server, body) => server.request('/api/batches', {
+  body: typeof body === 'string' ? body : toJsonl(body),
+  headers: { 'Content-Type': 'application/x-ndjson' },
+});
+
+// Функция для ожидания статуса пакета (опрос GET /api/batches/:id)
+async function waitForBatch(server, id, isDone = batch => batch.status === 'completed', timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body } = await server.request(`/api/batches/${id}`);
+    if (isDone(body)) {
+      return body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Batch ${id} did not reach the expected state in ${timeoutMs}ms`);
+}
+
+async function readResults(server, id) {
+  const { status, headers, body } = await server.request(`/api/batches/${id}/results`);
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /application\/x-ndjson/);
+  return body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('runs a batch in the background and returns results with tokenUsage and errors', async () => {
+  const server = await start();
+  const created = await createBatch(server, [
+    { customId: 'ticket-1', messages: [{ role: 'user', content: 'classify me' }] },
+    { customId: 'ticket-2', messages: [{ role: 'user', content: 'broken' }], model: 'mock-error-502', fallback: false },
+    { messages: [{ role: 'user', content: 'one two three' }], maxTokens: 2 },
+  ]);
+  assert.equal(created.status, 202);
+  assert.equal(created.body.counts.total, 3);
+  assert.equal(created.body.resultsUrl, `/api/batches/${created.body.id}/results`);
+
+  const batch = await waitForBatch(server, created.body.id);
+  assert.deepEqual(batch.counts, { total: 3, succeeded: 2, failed: 1, pending: 0 });
+  assert.equal(batch.tokenUsage.prompt_tokens, 5);
+  assert.equal(batch.tokenUsage.completion_tokens, 5);
+
+  const results = await readResults(server, created.body.id);
+  assert.deepEqual(results.map(result => [result.index, result.customId, result.status]), [
+    [0, 'ticket-1', 'ok'],
+    [1, 'ticket-2', 'error'],
+    [2, null, 'ok'],
+  ]);
+  assert.equal(results[0].content, 'Echo: classify me');
+  assert.equal(results[0].tokenUsage.completion_tokens, 3);
+  assert.equal(results[1].error.status, 502);
+  assert.equal(results[2].content, 'Echo: one');
+  assert.equal(results[2].finish_reason, 'length');
+
+  // Каждый успешный запрос засчитывается в дневном лимите
+  const quota = await server.request('/api/quota');
+  assert.equal(quota.body.used, 2);
+
+  const list = await server.request('/api/batches');
+  assert.deepEqual(list.body.batches.map(item => item.id), [created.body.id]);
+});
+
+test('rejects invalid batch files with line numbers', async () => {
+  const server = await start();
+  const invalid = await createBatch(server, [
+    '{"messages":[{"role":"user","content":"ok"}]}',
+    '',
+    'not json',
+    '{"messages":[{"role":"user","content":"hi"}],"stream":true}',
+    '{"messages":[{"role":"user","content":"hi"}],"model":"mock-unknown"}',
+  ].join('\n'));
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.fields.map(item => item.field), ['line 3', 'line 4: stream', 'line 5: model']);
+
+  const json = await server.request('/api/batches', { body: { messages: [] } });
+  assert.equal(json.status, 415);
+
+  const limited = await start({ DAILY_MESSAGE_LIMIT: '2' });
+  const tooMany = await createBatch(limited, Array.from({ length: 3 }, () => ({ messages: [{ role: 'user', content: 'hi' }] })));
+  assert.equal(tooMany.status, 429);
+});
+
+test('limits concurrent requests per provider', async () => {
+  const server = await start({ MOCK_LATENCY_MS: '100', BATCH_CONCURRENCY: '1' });
+  const created = await createBatch(server, Array.from({ length: 4 }, (_, index) => ({
+    messages: [{ role: 'user', content: `message ${index}` }],
+  })));
+  const batch = await waitForBatch(server, created.body.id);
+  // По одному запросу за раз: не быстрее четырех задержек mock провайдера
+  assert.ok(Date.parse(batch.completedAt) - Date.parse(batch.startedAt) >= 400);
+});
+
+test('resumes unfinished batches after a restart', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-batch-'));
+  dataDirs.push(dataDir);
+  const first = await start({ DATA_DIR: dataDir, MOCK_LATENCY_MS: '300', BATCH_CONCURRENCY: '1' });
+  const created = await createBatch(first, Array.from({ length: 4 }, (_, index) => ({
+    customId: `item-${index}`,
+    messages: [{ role: 'user', content: `message ${index}` }],
+  })));
+  await waitForBatch(first, created.body.id, batch => batch.counts.succeeded >= 1);
+  await first.stop();
+
+  const second = await start({ DATA_DIR: dataDir });
+  const batch = await waitForBatch(second, created.body.id);
+  assert.equal(batch.counts.succeeded, 4);
+
+  const results = await readResults(second, created.body.id);
+  assert.deepEqual(results.map(result => result.customId), ['item-0', 'item-1', 'item-2', 'item-3']);
+});
+
+test('cancels a batch and deletes it with its results', async () => {
+  const server = await start({ MOCK_LATENCY_MS: '300', BATCH_CONCURRENCY: '1' });
+  const created = await createBatch(server, Array.from({ length: 5 }, () => ({ messages: [{ role: 'user', content: 'slow' }] })));
+
+  const cancelled = await server.request(`/api/batches/${created.body.id}/cancel`, { method: 'POST' });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.ok(cancelled.body.counts.succeeded < 5);
+
+  const again = await server.request(`/api/batches/${created.body.id}/cancel`, { method: 'POST' });
+  assert.equal(again.status, 409);
+
+  const deleted = await server.request(`/api/batches/${created.body.id}`, { method: 'DELETE' });
+  assert.equal(deleted.status, 204);
+  const missing = await server.request(`/api/batches/${created.body.id}`);
+  assert.equal(missing.status, 404);
+});
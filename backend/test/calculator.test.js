@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from '../tools/calculator.js';
+
+test('evaluates expressions with constants and functions', () => {
+  assert.equal(evaluate('2 + 2 * 3'), 8);
+  assert.equal(evaluate('sqrt(16) + pi - pi'), 4);
+});
+
+test('does not resolve names from the object prototype', () => {
+  for (const name of ['constructor', '__proto__', 'hasOwnProperty(1)', 'constructor(1)']) {
+    assert.throws(() => evaluate(name), /Unknown function or constant/);
+  }
+});
@@ -0,0 +1,165 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, parseSSE } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ FALLBACK_CHAIN: 'mock:mock-echo' });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('returns the mock answer with tokenUsage, routing and context', async () => {
+  const { status, body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hello proxy' }], systemPrompt: 'You are a test' },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.choices[0].message.content, 'Echo: hello proxy');
+  assert.equal(body.routing.provider, 'mock');
+  assert.equal(body.routing.model, 'mock-echo');
+  assert.equal(body.routing.attempts, 1);
+  assert.equal(body.tokenUsage.prompt_tokens, 6);
+  assert.equal(body.tokenUsage.completion_tokens, 3);
+  assert.equal(body.tokenUsage.estimated, false);
+  assert.equal(body.context.limit, 8192);
+});
+
+test('forwards generation parameters to the model', async () => {
+  const { body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'one two three. four' }], maxTokens: 3, stop: '.' },
+  });
+  assert.equal(body.choices[0].message.content, 'Echo: one two');
+  assert.equal(body.choices[0].finish_reason, 'length');
+});
+
+test('rejects invalid bodies with field-level errors', async () => {
+  const { status, body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'robot', content: 1 }], temperature: 5 },
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(body.fields.map(item => item.field), ['messages[0].role', 'messages[0].content', 'temperature']);
+});
+
+test('rejects invalid compare bodies with field-level errors', async () => {
+  const { status, body } = await server.request('/api/chat/compare', {
+    body: { targets: ['mock:mock-echo'], messages: [{ role: 'user', content: 'hi' }], systemPrompt: ['Be brief'] },
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(body.fields, [{ field: 'systemPrompt', message: 'must be a string' }]);
+});
+
+test('rejects unknown providers, unlisted models and unsupported parameters', async () => {
+  const provider = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hi' }], provider: 'nope' },
+  });
+  assert.equal(provider.status, 400);
+  assert.equal(provider.body.fields[0].field, 'provider');
+
+  const model = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hi' }], model: 'mock-unknown' },
+  });
+  assert.equal(model.status, 400);
+  assert.equal(model.body.fields[0].field, 'model');
+
+  const parameter = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hi' }], model: 'mock-reasoner', seed: 1 },
+  });
+  assert.equal(parameter.status, 400);
+  assert.equal(parameter.body.fields[0].field, 'seed');
+});
+
+test('rejects unsafe response schemas before calling the provider', async () => {
+  const before = (await server.request('/api/quota')).body.used;
+  const withPattern = pattern => server.request('/api/chat', {
+    body: {
+      messages: [{ role: 'user', content: 'hi' }],
+      responseFormat: { type: 'json', schema: { type: 'object', properties: { code: { type: 'string', pattern } } } },
+    },
+  });
+
+  // pattern не поддерживается: регулярное выражение клиента могло бы надолго занять event loop
+  for (const pattern of ['^[a-z]+$', '^(a|a)*$', '([a-z']) {
+    const rejected = await withPattern(pattern);
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /properties\.code\.pattern is not supported/);
+  }
+
+  let schema = { type: 'string' };
+  for (let depth = 0; depth < 20; depth++) {
+    schema = { type: 'array', items: schema };
+  }
+  const deep = await server.request('/v1/chat/completions', {
+    body: {
+      model: 'mock/mock-echo',
+      messages: [{ role: 'user', content: 'hi' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'deep', schema } },
+    },
+  });
+  assert.equal(deep.status, 400);
+  assert.equal(deep.body.error.param, 'response_format');
+
+  assert.equal((await server.request('/api/quota')).body.used, before);
+});
+
+test('streams deltas and finishes with a done event', async () => {
+  const { status, headers, body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'stream please' }], stream: true },
+  });
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/event-stream/);
+
+  const events = parseSSE(body);
+  const content = events.filter(item => item.event === 'delta').map(item => item.data.content).join('');
+  assert.equal(content, 'Echo: stream please');
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.tokenUsage.completion_tokens, 3);
+});
+
+test('separates reasoning from the answer', async () => {
+  const { body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'think' }], model: 'mock-reasoner' },
+  });
+  assert.equal(body.choices[0].message.content, 'Echo: think');
+  assert.equal(body.reasoning, 'Mock reasoning about: think');
+  assert.equal(body.tokenUsage.reasoning_tokens, 4);
+
+  const hidden = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'think' }], model: 'mock-reasoner', reasoning: 'hide' },
+  });
+  assert.equal(hidden.body.reasoning, undefined);
+});
+
+test('falls back to the next model in FALLBACK_CHAIN after upstream errors', async () => {
+  const { status, body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'retry me' }], model: 'mock-error-502' },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.choices[0].message.content, 'Echo: retry me');
+  assert.equal(body.routing.fallbackUsed, true);
+  assert.equal(body.routing.model, 'mock-echo');
+  assert.ok(body.routing.failures.every(failure => failure.status === 502));
+});
+
+test('returns a gateway error when fallback is disabled', async () => {
+  const { status, body } = await server.request('/api/chat', {
+    body: { messages: [{ role: 'user', content: 'hi' }], model: 'mock-error-429', fallback: false },
+  });
+  assert.equal(status, 502);
+  assert.equal(body.routing.attempts, 2);
+  assert.ok(body.routing.failures.every(failure => failure.status === 429));
+});
+
+test('serves the OpenAI-compatible endpoint', async () => {
+  const { status, body } = await server.request('/v1/chat/completions', {
+    body: { model: 'mock/mock-echo', messages: [{ role: 'user', content: 'openai style' }] },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.object, 'chat.completion');
+  assert.equal(body.model, 'mock/mock-echo');
+  assert.equal(body.choices[0].message.content, 'Echo: openai style');
+  assert.equal(body.usage.total_tokens, 5);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer({ ADMIN_TOKEN, ALLOW_ANONYMOUS: 'false' });
+  const createKey = async (name) => {
+    const { status, body } = await server.request('/api/admin/keys', {
+      body: { name, tier: 'free' },
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(status, 201);
+    return { Authorization: `Bearer ${body.key}` };
+  };
+  alice = await createKey('alice');
+  bob = await createKey('bob');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('keeps history of a server-side conversation', async () => {
+  const created = await server.request('/api/conversations', { body: { title: 'Notes' }, headers: alice });
+  assert.equal(created.status, 201);
+
+  const first = await server.request('/api/chat', {
+    body: { conversationId: created.body.id, message: 'remember this' },
+    headers: alice,
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.conversationId, created.body.id);
+
+  const { body } = await server.request(`/api/conversations/${created.body.id}/messages`, { headers: alice });
+  assert.deepEqual(body.messages.map(message => [message.role, message.content]), [
+    ['user', 'remember this'],
+    ['assistant', 'Echo: remember this'],
+  ]);
+});
+
+test('hides conversations from other API keys', async () => {
+  const created = await server.request('/api/conversations', { body: {}, headers: alice });
+  const id = created.body.id;
+
+  const summary = await server.request(`/api/conversations/${id}`, { headers: bob });
+  assert.equal(summary.status, 404);
+  const messages = await server.request(`/api/conversations/${id}/messages`, { headers: bob });
+  assert.equal(messages.status, 404);
+  const chat = await server.request('/api/chat', { body: { conversationId: id, message: 'hi' }, headers: bob });
+  assert.equal(chat.status, 404);
+  const deleted = await server.request(`/api/conversations/${id}`, { method: 'DELETE', headers: bob });
+  assert.equal(deleted.status, 404);
+
+  const list = await server.request('/api/conversations', { headers: bob });
+  assert.deepEqual(list.body.conversations, []);
+
+  // Диалог владельца не изменился
+  const own = await server.request(`/api/conversations/${id}/messages`, { headers: alice });
+  assert.equal(own.status, 200);
+  assert.deepEqual(own.body.messages, []);
+});
+
+test('validates conversation settings on creation', async () => {
+  const before = await server.request('/api/conversations', { headers: alice });
+  const invalid = await server.request('/api/conversations', {
+    body: { title: 5, systemPrompt: { text: 'hi' }, provider: 'mock', model: 'mock-echo', temperature: 3 },
+    headers: alice,
+  });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.fields.map(item => item.field), ['title', 'systemPrompt', 'temperature']);
+
+  const unknownProvider = await server.request('/api/conversations', { body: { provider: 'nope' }, headers: alice });
+  assert.equal(unknownProvider.status, 400);
+  assert.equal(unknownProvider.body.fields[0].field, 'provider');
+
+  const unknownModel = await server.request('/api/conversations', { body: { model: 'mock-unknown' }, headers: alice });
+  assert.equal(unknownModel.status, 400);
+  assert.equal(unknownModel.body.fields[0].field, 'model');
+
+  // Некорректные диалоги не создаются
+  const after = await server.request('/api/conversations', { headers: alice });
+  assert.equal(after.body.conversations.length, before.body.conversations.length);
+
+  const valid = await server.request('/api/conversations', {
+    body: { systemPrompt: 'Be brief', provider: 'mock', model: 'mock-echo', temperature: 0.5 },
+    headers: alice,
+  });
+  assert.equal(valid.status, 201);
+});
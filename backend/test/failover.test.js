@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerProvider } from '../providers/index.js';
+import mockProvider from '../providers/mock.js';
+import { loadModelCatalog } from '../model-catalog.js';
+import { sendWithFailover } from '../failover.js';
+
+// Как при старте сервера: каталог моделей (поддержка tools и параметров) и mock провайдер
+loadModelCatalog();
+registerProvider(mockProvider);
+
+const messagesWithSystem = [{ role: 'user', content: 'hi' }];
+const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }];
+
+test('rejects requests that no candidate model supports with a 400 naming the reason', async () => {
+  const toolsError = await sendWithFailover({ providerId: 'mock', model: 'mock-reasoner', messagesWithSystem, fallback: false, tools })
+    .then(() => null, error => error);
+  assert.equal(toolsError.status, 400);
+  assert.equal(toolsError.circuitOpen, undefined);
+  assert.match(toolsError.message, /mock:mock-reasoner \(tools are not supported\)/);
+  assert.equal(toolsError.routing.attempts, 0);
+
+  const paramsError = await sendWithFailover({
+    providerId: 'mock',
+    model: 'mock-reasoner',
+    messagesWithSystem,
+    fallback: false,
+    generationParams: { seed: 7 },
+  }).then(() => null, error => error);
+  assert.equal(paramsError.status, 400);
+  assert.match(paramsError.message, /mock:mock-reasoner \(seed not supported\)/);
+});
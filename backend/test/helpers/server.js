@@ -0,0 +1,129 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Запуск сервера для тестов: отдельный процесс с mock провайдером, своим DATA_DIR и свободным портом
+
+const BACKEND_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const START_TIMEOUT_MS = 10000;
+
+// Функция для получения свободного порта
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(url, child, output) {
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Сервер еще не слушает порт
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Server did not start in ${START_TIMEOUT_MS}ms:\n${output.join('')}`);
+}
+
+// Функция для запуска сервера; env дополняет и переопределяет настройки по умолчанию
+// Если в env передан DATA_DIR (например, для перезапуска сервера с теми же данными), stop его не удаляет
+// Возвращает { url, dataDir, request, stop }
+export async function startServer(env = {}) {
+  const port = await getFreePort();
+  const ownDataDir = env.DATA_DIR === undefined;
+  const dataDir = ownDataDir ? await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-test-')) : env.DATA_DIR;
+  const output = [];
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      DEFAULT_PROVIDER: 'mock',
+      // Значения задаются явно, чтобы настройки из backend/.env не влияли на тесты
+      ALLOW_ANONYMOUS: 'true',
+      DAILY_MESSAGE_LIMIT: '100',
+      DAILY_BUDGET_USD: '0',
+      MONTHLY_BUDGET_USD: '0',
+      FALLBACK_CHAIN: '',
+      RESPONSE_CACHE: 'off',
+      RETRY_BASE_DELAY_MS: '1',
+      RETRY_MAX_DELAY_MS: '5',
+      LOG_LEVEL: 'warn',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, child, output);
+  } catch (error) {
+    child.kill();
+    if (ownDataDir) {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+    throw error;
+  }
+
+  // Функция для запроса к серверу: body отправляется как JSON, ответ разбирается как JSON (или текст)
+  async function request(pathname, { body, method = body === undefined ? 'GET' : 'POST', headers = {} } = {}) {
+    const response = await fetch(`${url}${pathname}`, {
+      method: method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    });
+    const text = await response.text();
+    let data = text;
+    if ((response.headers.get('content-type') || '').includes('application/json')) {
+      data = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    if (ownDataDir) {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  }
+
+  return { url, dataDir, request, stop, output };
+}
+
+// Функция для разбора ответа SSE /api/chat на события [{ event, data }]
+export function parseSSE(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const event = block.match(/^event: (.+)$/m)?.[1] ?? null;
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      return { event, data: data === '[DONE]' ? data : JSON.parse(data) };
+    });
+}
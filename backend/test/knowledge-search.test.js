@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { addDocuments, searchKnowledgeBase } from '../knowledge-base.js';
+import knowledgeSearchTool from '../tools/knowledge-search.js';
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-tool-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(async () => {
+  delete process.env.DATA_DIR;
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('is unavailable until a knowledge base is loaded', () => {
+  assert.equal(knowledgeSearchTool.isAvailable(), false);
+});
+
+test('returns the same fragments as knowledgeBase search', async () => {
+  await addDocuments('hr', [{ source: 'vacation.md', content: '# Отпуск\n\nЗаявление на отпуск подается за две недели.' }]);
+  await addDocuments('ops', [{ source: 'limits.md', content: '# Лимиты\n\nДневной лимит сообщений задается в тарифе.' }]);
+  assert.equal(knowledgeSearchTool.isAvailable(), true);
+
+  const expected = await searchKnowledgeBase('hr', 'заявление на отпуск', 3);
+  const { results } = await knowledgeSearchTool.execute({ query: 'заявление на отпуск', knowledgeBase: 'hr' });
+  assert.deepEqual(results.map(result => [result.source, result.score]), expected.map(result => [result.source, result.score]));
+
+  // Без имени базы поиск идет по всем базам
+  const all = await knowledgeSearchTool.execute({ query: 'лимит сообщений' });
+  assert.deepEqual(all.results.map(result => result.knowledgeBase), ['ops']);
+
+  await assert.rejects(knowledgeSearchTool.execute({ query: 'отпуск', knowledgeBase: 'missing' }), /not found/);
+});
@@ -0,0 +1,114 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockFetch } from '../providers/mock.js';
+
+const scriptDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-script-'));
+
+after(async () => {
+  delete process.env.MOCK_RESPONSES_FILE;
+  delete process.env.MOCK_USAGE;
+  await fs.rm(scriptDir, { recursive: true, force: true });
+});
+
+function send(body) {
+  return mockFetch('mock://local/chat/completions', { method: 'POST', body: JSON.stringify(body) });
+}
+
+test('echoes the last user message with word-based usage', async () => {
+  const response = await send({
+    model: 'mock-echo',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'hello mock world' },
+    ],
+  });
+  assert.equal(response.status, 200);
+
+  const data = await response.json();
+  assert.equal(data.choices[0].message.content, 'Echo: hello mock world');
+  assert.equal(data.choices[0].finish_reason, 'stop');
+  assert.deepEqual(data.usage, { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 });
+});
+
+test('applies stop sequences and max_tokens', async () => {
+  const stopped = await (await send({
+    model: 'mock-echo',
+    messages: [{ role: 'user', content: 'one two. three four' }],
+    stop: ['.'],
+  })).json();
+  assert.equal(stopped.choices[0].message.content, 'Echo: one two');
+
+  const truncated = await (await send({
+    model: 'mock-echo',
+    messages: [{ role: 'user', content: 'one two three four' }],
+    max_tokens: 3,
+  })).json();
+  assert.equal(truncated.choices[0].message.content, 'Echo: one two');
+  assert.equal(truncated.choices[0].finish_reason, 'length');
+});
+
+test('returns reasoning for mock-reasoner', async () => {
+  const data = await (await send({ model: 'mock-reasoner', messages: [{ role: 'user', content: 'why' }] })).json();
+  assert.equal(data.choices[0].message.reasoning_content, 'Mock reasoning about: why');
+  assert.equal(data.usage.completion_tokens_details.reasoning_tokens, 4);
+});
+
+test('returns the status from mock-error-<status> models', async () => {
+  const response = await send({ model: 'mock-error-429', messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).error.message, 'Mock error 429');
+});
+
+test('streams content word by word and sends usage when requested', async () => {
+  const response = await send({
+    model: 'mock-echo',
+    messages: [{ role: 'user', content: 'stream this' }],
+    stream: true,
+    stream_options: { include_usage: true },
+  });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+  const events = (await response.text()).split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+  assert.equal(events.at(-1), '[DONE]');
+  const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+  const content = chunks.map(chunk => chunk.choices[0]?.delta?.content || '').join('');
+  assert.equal(content, 'Echo: stream this');
+  assert.equal(chunks.at(-2).choices[0].finish_reason, 'stop');
+  assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 2, completion_tokens: 3, total_tokens: 5 });
+});
+
+test('follows scripted rules from MOCK_RESPONSES_FILE', async () => {
+  const file = path.join(scriptDir, 'responses.json');
+  await fs.writeFile(file, JSON.stringify([
+    { match: 'weather', content: 'Sunny', usage: { prompt_tokens: 100, completion_tokens: 1 } },
+    { match: 'overloaded', status: 503, retryAfter: 2 },
+    { match: 'calculate', toolCalls: [{ name: 'calculator', arguments: { expression: '2+2' } }] },
+  ]));
+  process.env.MOCK_RESPONSES_FILE = file;
+
+  const scripted = await (await send({ model: 'mock-echo', messages: [{ role: 'user', content: 'What is the Weather?' }] })).json();
+  assert.equal(scripted.choices[0].message.content, 'Sunny');
+  assert.deepEqual(scripted.usage, { prompt_tokens: 100, completion_tokens: 1, total_tokens: 101 });
+
+  const failed = await send({ model: 'mock-echo', messages: [{ role: 'user', content: 'overloaded' }] });
+  assert.equal(failed.status, 503);
+  assert.equal(failed.headers.get('retry-after'), '2');
+
+  const toolCall = await (await send({ model: 'mock-echo', messages: [{ role: 'user', content: 'calculate' }] })).json();
+  assert.equal(toolCall.choices[0].finish_reason, 'tool_calls');
+  assert.equal(toolCall.choices[0].message.tool_calls[0].function.arguments, '{"expression":"2+2"}');
+
+  // Без подходящего правила - эхо
+  const echo = await (await send({ model: 'mock-echo', messages: [{ role: 'user', content: 'other' }] })).json();
+  assert.equal(echo.choices[0].message.content, 'Echo: other');
+});
+
+test('omits usage when MOCK_USAGE=false', async () => {
+  process.env.MOCK_USAGE = 'false';
+  const data = await (await send({ model: 'mock-echo', messages: [{ role: 'user', content: 'hi' }] })).json();
+  assert.equal(data.usage, undefined);
+  delete process.env.MOCK_USAGE;
+});
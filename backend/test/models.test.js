@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('lists the mock provider with catalog metadata', async () => {
+  const { status, body } = await server.request('/api/models');
+  assert.equal(status, 200);
+
+  const mock = body.providers.mock;
+  assert.equal(mock.name, 'Mock');
+  assert.equal(mock.configured, true);
+  assert.deepEqual(mock.presets, { top: 'mock-reasoner', medium: 'mock-echo', light: 'mock-echo' });
+
+  const echo = mock.models.find(model => model.id === 'mock-echo');
+  assert.equal(echo.contextLength, 8192);
+  assert.deepEqual(echo.pricing, { input: 1, output: 2 });
+  assert.equal(echo.features.tools, true);
+  assert.equal(echo.available, true);
+
+  const reasoner = mock.models.find(model => model.id === 'mock-reasoner');
+  assert.equal(reasoner.features.reasoning, true);
+  assert.deepEqual(reasoner.parameters, ['max_tokens', 'stop']);
+});
+
+test('lists models in OpenAI format', async () => {
+  const { status, body } = await server.request('/v1/models');
+  assert.equal(status, 200);
+  assert.equal(body.object, 'list');
+  assert.ok(body.data.some(model => model.id === 'mock/mock-echo'));
+});
+
+test('is ready with only the mock provider configured', async () => {
+  const { status, body } = await server.request('/api/status');
+  assert.equal(status, 200);
+  assert.equal(body.defaultProvider, 'mock');
+  assert.equal(body.providers.mock.configured, true);
+  assert.equal(body.providers.deepseek.configured, false);
+
+  const ready = await server.request('/health/ready');
+  assert.equal(ready.status, 200);
+});
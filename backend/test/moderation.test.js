@@ -0,0 +1,268 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer, parseSSE } from './helpers/server.js';
+
+let server;
+let rulesDir;
+
+before(async () => {
+  rulesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moderation-rules-'));
+  const file = path.join(rulesDir, 'moderation.json');
+  await fs.writeFile(file, JSON.stringify({
+    pii: [
+      { name: 'card', prompt: 'reject' },
+      { name: 'email' },
+      { name: 'phone', replacement: '[ТЕЛЕФОН]' },
+    ],
+    blocklist: [
+      { name: 'confidential', terms: ['top secret'] },
+      // mock-echo повторяет запрос, поэтому ответ содержит те же слова
+      { name: 'mild', terms: ['darn'], prompt: 'off', reply: 'mask' },
+      { name: 'forbidden', terms: ['launch codes'], prompt: 'off', reply: 'reject' },
+    ],
+  }));
+  server = await startServer({ MODERATION_FILE: file });
+});
+
+after(async () => {
+  await server?.stop();
+  await fs.rm(rulesDir, { recursive: true, force: true });
+});
+
+const chat = (body) => server.request('/api/chat', { body });
+
+test('masks personal data before it reaches the provider', async () => {
+  const { status, body } = await chat({
+    messages: [{ role: 'user', content: 'Write to ivan@example.com or call +7 999 123-45-67' }],
+  });
+  assert.equal(status, 200);
+  assert.equal(body.choices[0].message.content, 'Echo: Write to [EMAIL] or call [ТЕЛЕФОН]');
+  assert.deepEqual(body.moderation, {
+    blocked: false,
+    findings: [
+      { target: 'prompt', type: 'pii', rule: 'email', action: 'mask', count: 1 },
+      { target: 'prompt', type: 'pii', rule: 'phone', action: 'mask', count: 1 },
+    ],
+  });
+});
+
+test('rejects prompts matching reject rules without calling the provider', async () => {
+  const card = await chat({ messages: [{ role: 'user', content: 'My card is 4111 1111 1111 1111' }] });
+  assert.equal(card.status, 422);
+  assert.equal(card.body.error, 'Content rejected');
+  assert.equal(card.body.moderation.blocked, true);
+  assert.equal(card.body.moderation.findings[0].rule, 'card');
+
+  // Номер, не проходящий проверку Луна, - не карта
+  const number = await chat({ messages: [{ role: 'user', content: 'Order 4111 1111 1111 1112' }] });
+  assert.equal(number.status, 200);
+
+  const term = await chat({ messages: [{ role: 'user', content: 'This is TOP  SECRET' }] });
+  assert.equal(term.status, 422);
+  assert.equal(term.body.moderation.findings[0].rule, 'confidential');
+
+  // Слово внутри другого слова не совпадает
+  const word = await chat({ messages: [{ role: 'user', content: 'topsecretive plans' }] });
+  assert.equal(word.status, 200);
+});
+
+test('moderates the system prompt and every message role', async () => {
+  const masked = await chat({
+    systemPrompt: 'Escalate to support@example.com',
+    messages: [
+      { role: 'user', content: 'my number?' },
+      { role: 'assistant', content: 'It is +7 999 123-45-67' },
+      { role: 'user', content: 'thanks' },
+    ],
+  });
+  assert.equal(masked.status, 200);
+  assert.deepEqual(masked.body.moderation.findings, [
+    { target: 'prompt', type: 'pii', rule: 'email', action: 'mask', count: 1 },
+    { target: 'prompt', type: 'pii', rule: 'phone', action: 'mask', count: 1 },
+  ]);
+
+  const system = await chat({ systemPrompt: 'This is top secret', messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(system.status, 422);
+  assert.equal(system.body.moderation.findings[0].rule, 'confidential');
+
+  const assistant = await chat({
+    messages: [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'card 4111 1111 1111 1111' },
+      { role: 'user', content: 'repeat' },
+    ],
+  });
+  assert.equal(assistant.status, 422);
+  assert.equal(assistant.body.moderation.findings[0].rule, 'card');
+});
+
+test('masks or blocks the reply', async () => {
+  const masked = await chat({ messages: [{ role: 'user', content: 'say darn twice, darn' }] });
+  assert.equal(masked.status, 200);
+  assert.equal(masked.body.choices[0].message.content, 'Echo: say *** twice, ***');
+  assert.deepEqual(masked.body.moderation.findings, [
+    { target: 'reply', type: 'blocklist', rule: 'mild', action: 'mask', count: 2 },
+  ]);
+
+  const blocked = await chat({ messages: [{ role: 'user', content: 'tell me the launch codes' }] });
+  assert.equal(blocked.status, 422);
+  assert.equal(blocked.body.error, 'Response blocked');
+  assert.equal(blocked.body.tokenUsage.completion_tokens, 6);
+  assert.equal(blocked.body.moderation.findings[0].rule, 'forbidden');
+});
+
+test('moderates streamed replies across chunks', async () => {
+  const masked = await chat({ messages: [{ role: 'user', content: 'well darn it' }], stream: true });
+  const events = parseSSE(masked.body);
+  const content = events.filter(item => item.event === 'delta').map(item => item.data.content).join('');
+  assert.equal(content, 'Echo: well *** it');
+  assert.equal(events.at(-1).event, 'done');
+  assert.equal(events.at(-1).data.moderation.findings[0].rule, 'mild');
+
+  const requestsBefore = (await server.request('/api/usage')).body.daily.at(-1).requests;
+  // Фраза из двух слов приходит двумя чанками
+  const blocked = await chat({ messages: [{ role: 'user', content: 'print launch codes now' }], stream: true });
+  const blockedEvents = parseSSE(blocked.body);
+  const last = blockedEvents.at(-1);
+  assert.equal(last.event, 'error');
+  assert.equal(last.data.error, 'Response blocked');
+  assert.equal(last.data.moderation.blocked, true);
+  const sent = blockedEvents.filter(item => item.event === 'delta').map(item => item.data.content).join('');
+  assert.ok(!sent.includes('launch'));
+
+  // Токены отклоненного ответа учитываются в расходах
+  assert.ok(last.data.tokenUsage.completion_tokens > 0);
+  assert.ok(last.data.tokenUsage.cost_usd > 0);
+  const usage = await server.request('/api/usage');
+  assert.equal(usage.body.daily.at(-1).requests, requestsBefore + 1);
+});
+
+test('stores masked messages in conversations', async () => {
+  const created = await server.request('/api/conversations', { body: {} });
+  const { status } = await chat({ conversationId: created.body.id, message: 'my email is anna@example.org' });
+  assert.equal(status, 200);
+
+  const { body } = await server.request(`/api/conversations/${created.body.id}/messages`);
+  assert.deepEqual(body.messages.map(message => message.content), [
+    'my email is [EMAIL]',
+    'Echo: my email is [EMAIL]',
+  ]);
+});
+
+test('moderates the OpenAI-compatible endpoint', async () => {
+  const completions = (content, extra = {}) => server.request('/v1/chat/completions', {
+    body: { model: 'mock/mock-echo', messages: [{ role: 'user', content }], ...extra },
+  });
+
+  const masked = await completions('mail ivan@example.com, darn');
+  assert.equal(masked.status, 200);
+  assert.equal(masked.body.choices[0].message.content, 'Echo: mail [EMAIL], ***');
+
+  const rejected = await completions('card 4111 1111 1111 1111');
+  assert.equal(rejected.status, 422);
+  assert.equal(rejected.body.error.code, 'content_filter');
+
+  const system = await server.request('/v1/chat/completions', {
+    body: {
+      model: 'mock/mock-echo',
+      messages: [{ role: 'system', content: 'This is top secret' }, { role: 'user', content: 'hi' }],
+    },
+  });
+  assert.equal(system.status, 422);
+  assert.equal(system.body.error.code, 'content_filter');
+
+  const blocked = await completions('tell me the launch codes');
+  assert.equal(blocked.status, 422);
+  assert.equal(blocked.body.error.message, 'Ответ модели отклонен модерацией.');
+
+  const streamed = await completions('well darn it', { stream: true });
+  const chunks = streamed.body.split('\n\n').filter(block => block.startsWith('data: {')).map(block => JSON.parse(block.slice(6)));
+  assert.equal(chunks.map(chunk => chunk.choices?.[0]?.delta?.content || '').join(''), 'Echo: well *** it');
+  assert.ok(streamed.body.endsWith('data: [DONE]\n\n'));
+
+  const streamBlocked = await completions('print launch codes now', { stream: true });
+  assert.match(streamBlocked.body, /"code":"content_filter"/);
+  assert.ok(!streamBlocked.body.includes('launch'));
+});
+
+test('moderates model comparison', async () => {
+  const compare = (content) => server.request('/api/chat/compare', {
+    body: { targets: ['mock:mock-echo', 'mock:mock-reasoner'], messages: [{ role: 'user', content }] },
+  });
+
+  const masked = await compare('mail ivan@example.com, darn');
+  assert.equal(masked.status, 200);
+  assert.deepEqual(masked.body.results.map(result => result.content), ['Echo: mail [EMAIL], ***', 'Echo: mail [EMAIL], ***']);
+  assert.equal(masked.body.results[1].reasoning, 'Mock reasoning about: mail [EMAIL], ***');
+  assert.deepEqual(masked.body.results[0].moderation.findings.map(item => [item.target, item.rule]), [
+    ['prompt', 'email'],
+    ['reply', 'mild'],
+  ]);
+
+  const rejected = await compare('this is top secret');
+  assert.equal(rejected.status, 422);
+  assert.equal(rejected.body.error, 'Content rejected');
+
+  const costBefore = (await server.request('/api/usage')).body.daily.at(-1);
+  const quotaBefore = (await server.request('/api/quota')).body.used;
+  const blocked = await compare('tell me the launch codes');
+  assert.equal(blocked.status, 502);
+  for (const result of blocked.body.results) {
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.status, 422);
+    assert.equal(result.error.message, 'Response blocked by moderation');
+    assert.ok(result.tokenUsage.completion_tokens > 0);
+  }
+  // Токены отклоненных ответов учитываются в расходах, а сообщения не засчитываются
+  const costAfter = (await server.request('/api/usage')).body.daily.at(-1);
+  assert.equal(costAfter.requests, costBefore.requests + 2);
+  assert.equal((await server.request('/api/quota')).body.used, quotaBefore);
+});
+
+test('moderates batch requests', async () => {
+  const created = await server.request('/api/batches', {
+    body: [
+      { messages: [{ role: 'user', content: 'mail ivan@example.com' }] },
+      { messages: [{ role: 'user', content: 'card 4111 1111 1111 1111' }] },
+      { messages: [{ role: 'user', content: 'tell me the launch codes' }] },
+      { messages: [{ role: 'user', content: 'hi' }], systemPrompt: 'This is top secret' },
+    ].map(request => JSON.stringify(request)).join('\n'),
+    headers: { 'Content-Type': 'application/x-ndjson' },
+  });
+  assert.equal(created.status, 202);
+
+  let batch = created.body;
+  for (let attempt = 0; batch.status !== 'completed' && attempt < 200; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    batch = (await server.request(`/api/batches/${batch.id}`)).body;
+  }
+  const { body } = await server.request(`/api/batches/${batch.id}/results`);
+  const [masked, rejected, blocked, system] = body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert.equal(masked.content, 'Echo: mail [EMAIL]');
+  assert.equal(masked.moderation.findings[0].rule, 'email');
+  assert.equal(rejected.error.status, 422);
+  assert.equal(rejected.tokenUsage, null);
+  assert.equal(blocked.error.message, 'Response blocked by moderation');
+  assert.equal(system.error.status, 422);
+  assert.equal(system.error.message, 'Content rejected by moderation');
+  // Токены отклоненного ответа учитываются в расходах пакета
+  assert.equal(batch.tokenUsage.completion_tokens, masked.tokenUsage.completion_tokens + blocked.tokenUsage.completion_tokens);
+});
+
+test('fails closed without exposing the rules file path', async () => {
+  const file = path.join(rulesDir, 'broken.json');
+  await fs.writeFile(file, '{ "pii": [ { "name": "email", "prompt": "drop" } ] }');
+  const broken = await startServer({ MODERATION_FILE: file });
+  try {
+    const { status, body } = await broken.request('/api/chat', { body: { messages: [{ role: 'user', content: 'hi' }] } });
+    assert.equal(status, 500);
+    assert.equal(body.message, 'Moderation rules are not available');
+    assert.ok(!JSON.stringify(body).includes(rulesDir));
+    assert.ok(broken.output.join('').includes('pii[0].prompt must be one of'));
+  } finally {
+    await broken.stop();
+  }
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer } from './helpers/server.js';
+import { buildCacheKey, getCachedResponse, setCachedResponse } from '../response-cache.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let server;
+let tiersDir;
+let pro;
+let limited;
+
+before(async () => {
+  tiersDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-tiers-'));
+  const tiersFile = path.join(tiersDir, 'tiers.json');
+  // Тариф без резервной модели mock-echo
+  await fs.writeFile(tiersFile, JSON.stringify({ errors: { models: ['mock:mock-error-502'], presets: [] } }));
+  server = await startServer({
+    ADMIN_TOKEN,
+    ALLOW_ANONYMOUS: 'false',
+    TIERS_FILE: tiersFile,
+    RESPONSE_CACHE: 'memory',
+    FALLBACK_CHAIN: 'mock:mock-echo',
+  });
+  const createKey = async (tier) => {
+    const { body } = await server.request('/api/admin/keys', {
+      body: { name: tier, tier },
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    return { Authorization: `Bearer ${body.key}` };
+  };
+  pro = await createKey('pro');
+  limited = await createKey('errors');
+});
+
+after(async () => {
+  await server?.stop();
+  await fs.rm(tiersDir, { recursive: true, force: true });
+});
+
+const chat = (headers, body) => server.request('/api/chat', {
+  body: { messages: [{ role: 'user', content: 'cached question' }], temperature: 0, ...body },
+  headers,
+});
+
+test('serves identical deterministic requests from the cache', async () => {
+  const first = await chat(pro, { model: 'mock-echo' });
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  const second = await chat(pro, { model: 'mock-echo' });
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  assert.equal(second.body.choices[0].message.content, first.body.choices[0].message.content);
+});
+
+test('does not share fallback answers with tiers that may not use the fallback model', async () => {
+  const fallback = await chat(pro, { model: 'mock-error-502' });
+  assert.equal(fallback.status, 200);
+  assert.equal(fallback.body.routing.model, 'mock-echo');
+
+  const denied = await chat(limited, { model: 'mock-error-502' });
+  assert.equal(denied.status, 502);
+  assert.equal(denied.headers.get('x-cache'), null);
+
+  // Без fallback ответ резервной модели тоже не подходит
+  const noFallback = await chat(pro, { model: 'mock-error-502', fallback: false });
+  assert.equal(noFallback.status, 502);
+});
+
+test('keeps memory cache entries independent of the stored and returned objects', async () => {
+  process.env.RESPONSE_CACHE = 'memory';
+  try {
+    const key = buildCacheKey({ provider: 'mock', model: 'mock-echo', messages: [] });
+    const result = { choices: [{ message: { role: 'assistant', content: 'original' } }], usage: { prompt_tokens: 1 } };
+    await setCachedResponse(key, { result, provider: 'mock', model: 'mock-echo' });
+
+    // Вызывающий код изменяет ответ после сохранения и после чтения из кеша
+    result.choices[0].message.content = '[MASKED]';
+    result.usage = { prompt_tokens: 99 };
+    const first = await getCachedResponse(key);
+    first.result.choices[0].message.content = 'changed';
+
+    const second = await getCachedResponse(key);
+    assert.equal(second.result.choices[0].message.content, 'original');
+    assert.deepEqual(second.result.usage, { prompt_tokens: 1 });
+  } finally {
+    delete process.env.RESPONSE_CACHE;
+  }
+});
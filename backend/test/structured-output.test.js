@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completeStructured, parseResponseFormat } from '../structured-output.js';
+import { getRequestUsage } from '../tokens.js';
+
+// Функция для имитации sendWithFailover: ответы по порядку, usage может отсутствовать
+function createSend(replies) {
+  const sent = [];
+  const results = [];
+  const send = async (messages) => {
+    const { content, usage } = replies[sent.length];
+    sent.push(messages);
+    const result = { choices: [{ message: { role: 'assistant', content } }], ...(usage && { usage }) };
+    results.push(result);
+    return {
+      result: result,
+      provider: { id: 'mock' },
+      model: 'mock-echo',
+      jsonMode: false,
+    };
+  };
+  return { send, sent, results };
+}
+
+const format = parseResponseFormat({ type: 'json', schema: { type: 'object', required: ['topic'] } });
+const messages = [{ role: 'user', content: 'Придумай тему' }];
+
+test('sums usage of all attempts and estimates attempts without usage', async () => {
+  const { send, sent, results } = createSend([
+    { content: 'not json', usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 } },
+    { content: '{"topic":"Кофе"}' },
+  ]);
+  const { upstream, structured } = await completeStructured({ messages, format, send });
+  assert.equal(structured.valid, true);
+  assert.equal(structured.attempts, 2);
+
+  const estimated = getRequestUsage({ ...upstream, result: results[1] }, sent[1]);
+  assert.ok(estimated.prompt_tokens > 0);
+  assert.deepEqual(upstream.result.usage, {
+    prompt_tokens: 10 + estimated.prompt_tokens,
+    completion_tokens: 2 + estimated.completion_tokens,
+    total_tokens: 12 + estimated.total_tokens,
+  });
+});
+
+test('keeps provider usage when every attempt reports it', async () => {
+  const { send, results } = createSend([
+    { content: '{}', usage: { prompt_tokens: 10, completion_tokens: 1, total_tokens: 11 } },
+    { content: '{}', usage: { prompt_tokens: 20, completion_tokens: 1, total_tokens: 21 } },
+  ]);
+  const { upstream, structured } = await completeStructured({ messages, format, send });
+  assert.equal(structured.valid, false);
+  assert.deepEqual(upstream.result.usage, { prompt_tokens: 30, completion_tokens: 2, total_tokens: 32 });
+  // Ответ провайдера (общий с кешем) не изменяется
+  assert.deepEqual(results[1].usage, { prompt_tokens: 20, completion_tokens: 1, total_tokens: 21 });
+  assert.notEqual(upstream.result, results[1]);
+});
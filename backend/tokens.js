@@ -0,0 +1,184 @@
+import { get_encoding, get_encoding_name_for_model } from '@dqbd/tiktoken';
+import { getModelContextLimit } from './providers/index.js';
+import { logger } from './logger.js';
+
+// Подсчет токенов с выбором токенизатора по семейству модели
+//
+// Для DeepSeek, Qwen, Llama, Gemma и Mistral нет точных tiktoken-кодировок, поэтому для каждого
+// семейства используется ближайшая BPE-кодировка и поправочный коэффициент. Результат - оценка,
+// точные значения приходят от провайдера в поле usage.
+
+// Семейства моделей: проверяются по порядку, первое совпадение выигрывает
+const TOKENIZER_FAMILIES = [
+  // Словарь ~128k (BPE), близок к cl100k
+  { family: 'deepseek', pattern: /deepseek/i, encoding: 'cl100k_base', multiplier: 1.0 },
+  // Словарь ~151k, основан на tiktoken cl100k
+  { family: 'qwen', pattern: /qwen/i, encoding: 'cl100k_base', multiplier: 1.0 },
+  // Llama 3.x: tiktoken-based словарь 128k (cl100k + 28k токенов)
+  { family: 'llama-3', pattern: /llama-3/i, encoding: 'cl100k_base', multiplier: 1.0 },
+  // Llama 2 и Mistral: SentencePiece 32k, текст дробится на большее число токенов
+  { family: 'llama-2', pattern: /llama-2/i, encoding: 'cl100k_base', multiplier: 1.2 },
+  { family: 'mistral', pattern: /mistral|mixtral/i, encoding: 'cl100k_base', multiplier: 1.2 },
+  // Gemma: SentencePiece 256k, ближе всего o200k
+  { family: 'gemma', pattern: /gemma/i, encoding: 'o200k_base', multiplier: 1.0 },
+  { family: 'glm', pattern: /glm/i, encoding: 'cl100k_base', multiplier: 1.0 },
+];
+
+const DEFAULT_FAMILY = { family: 'default', encoding: 'cl100k_base', multiplier: 1.0 };
+
+// Служебные токены на каждое сообщение и на начало ответа (формат ChatML)
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Кеш кодировщиков: создание кодировщика дорогое, поэтому каждый создается один раз на процесс
+const encoders = new Map();
+
+// Модели, о переходе на кодировку по умолчанию для которых уже предупредили
+const warnedModels = new Set();
+
+function getEncoder(encodingName) {
+  if (encoders.has(encodingName)) {
+    return encoders.get(encodingName);
+  }
+
+  let encoder;
+  try {
+    encoder = get_encoding(encodingName);
+  } catch (error) {
+    // Старые версии tiktoken не знают o200k_base
+    logger.warn(`⚠️ Encoding ${encodingName} is not available, using cl100k_base`, { error: error.message });
+    encoder = encodingName === 'cl100k_base' ? null : getEncoder('cl100k_base');
+  }
+  encoders.set(encodingName, encoder);
+  return encoder;
+}
+
+// Функция для определения токенизатора модели
+// Возвращает { family, encoding, multiplier, approximate }
+export function getTokenizerInfo(model) {
+  const modelName = model || '';
+
+  // Модели OpenAI tiktoken знает напрямую
+  try {
+    const encoding = get_encoding_name_for_model(modelName);
+    return { family: 'openai', encoding: encoding, multiplier: 1.0, approximate: false };
+  } catch (error) {
+    // Не модель OpenAI - подбираем по семейству
+  }
+
+  const family = TOKENIZER_FAMILIES.find(candidate => candidate.pattern.test(modelName));
+  if (!family && modelName && !warnedModels.has(modelName)) {
+    warnedModels.add(modelName);
+    logger.warn(`⚠️ Unknown tokenizer family for model ${modelName}, using ${DEFAULT_FAMILY.encoding}`);
+  }
+
+  const { pattern, ...info } = family || DEFAULT_FAMILY;
+  return { ...info, approximate: true };
+}
+
+// Функция для примерной оценки по числу символов, если tiktoken недоступен
+// Английский: ~0.3 токена на символ, русский/другие: ~0.4-0.6 токена на символ
+function estimateByCharacters(text) {
+  const hasCyrillic = /[а-яА-ЯёЁ]/.test(text);
+  const hasChinese = /[\u4e00-\u9fff]/.test(text);
+  const coefficient = hasChinese ? 0.6 : (hasCyrillic ? 0.4 : 0.3);
+  return Math.ceil(text.length * coefficient);
+}
+
+// Функция для подсчета токенов в тексте
+export function estimateTokens(text, model) {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+
+  const tokenizer = getTokenizerInfo(model);
+  try {
+    const encoder = getEncoder(tokenizer.encoding);
+    if (!encoder) {
+      return estimateByCharacters(text);
+    }
+    return Math.ceil(encoder.encode(text).length * tokenizer.multiplier);
+  } catch (error) {
+    logger.warn('⚠️ Error using tiktoken, falling back to character-based estimation', { error: error.message });
+    return estimateByCharacters(text);
+  }
+}
+
+// Функция для подсчета токенов одного сообщения чата (содержимое, вызовы инструментов и служебные токены)
+export function countMessageTokens(message, model) {
+  const toolCallTokens = message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls), model) : 0;
+  return TOKENS_PER_MESSAGE + estimateTokens(message.role, model) + estimateTokens(message.content, model) + toolCallTokens;
+}
+
+// Функция для подсчета токенов промпта из списка сообщений
+// Возвращает { total, perMessage }
+export function countPromptTokens(messages, model) {
+  const perMessage = messages.map(message => countMessageTokens(message, model));
+  const total = perMessage.reduce((sum, count) => sum + count, 0) + (messages.length > 0 ? TOKENS_PER_REPLY : 0);
+  return { total, perMessage };
+}
+
+// Функция для сложения usage нескольких запросов к провайдеру (запросы без usage пропускаются,
+// поэтому их лучше заранее оценить через getRequestUsage)
+export function sumUsage(usages) {
+  return usages.filter(Boolean).reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+// Функция для получения usage одного запроса к провайдеру (upstream из sendWithFailover)
+// Если провайдер не прислал usage, токены считаются локально, как в extractTokenUsage
+export function getRequestUsage(upstream, messages) {
+  const { result } = upstream;
+  if (result.usage) {
+    return result.usage;
+  }
+  const message = result.choices?.[0]?.message;
+  const { prompt_tokens, completion_tokens, total_tokens } = extractTokenUsage(
+    result, messages, message?.content || '', upstream.model, upstream.provider.id, message?.reasoning || null
+  );
+  return { prompt_tokens, completion_tokens, total_tokens };
+}
+
+// Функция для извлечения информации о токенах из ответа API
+// Если провайдер не прислал usage, токены считаются локально тем же токенизатором, что и /api/tokens/count
+// reasoning - текст рассуждений модели: их токены входят в completion_tokens и дополнительно указываются
+// в reasoning_tokens (по usage.completion_tokens_details провайдера или по локальной оценке)
+export function extractTokenUsage(apiResponse, messages, aiResponse, model = 'gpt-3.5-turbo', providerId, reasoning = null) {
+  // Получаем лимит контекстного окна для модели
+  const maxContextTokens = getModelContextLimit(model, providerId);
+
+  // Проверяем, есть ли поле usage в ответе API
+  let promptTokens, completionTokens, totalTokens, estimated;
+
+  if (apiResponse.usage && typeof apiResponse.usage === 'object') {
+    promptTokens = apiResponse.usage.prompt_tokens || 0;
+    completionTokens = apiResponse.usage.completion_tokens || 0;
+    totalTokens = apiResponse.usage.total_tokens || 0;
+    estimated = false; // Точные данные от API
+  } else {
+    // Если usage нет, рассчитываем локально
+    promptTokens = countPromptTokens(messages, model).total;
+    completionTokens = estimateTokens(aiResponse, model) + (reasoning ? estimateTokens(reasoning, model) : 0);
+    totalTokens = promptTokens + completionTokens;
+    estimated = true; // Примерный расчет
+  }
+
+  const reasoningTokens = apiResponse.usage?.completion_tokens_details?.reasoning_tokens
+    ?? (reasoning ? estimateTokens(reasoning, model) : null);
+
+  // Рассчитываем процент использования контекстного окна
+  const contextUsagePercent = Math.min((totalTokens / maxContextTokens) * 100, 100);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: totalTokens,
+    estimated: estimated,
+    max_context_tokens: maxContextTokens,
+    context_usage_percent: Math.round(contextUsagePercent * 10) / 10, // Округляем до 1 знака после запятой
+    ...(reasoningTokens && { reasoning_tokens: reasoningTokens }),
+  };
+}
@@ -0,0 +1,153 @@
+import { getTool, toToolDefinition } from './tools/index.js';
+import { sumUsage, getRequestUsage } from './tokens.js';
+import { logger } from './logger.js';
+
+// Вызов инструментов (function calling)
+//
+// Инструменты клиента (tools) передаются провайдеру как есть: вызовы возвращаются клиенту в tool_calls,
+// результаты он присылает сообщениями с role: 'tool'.
+// Инструменты сервера (serverTools) выполняет сам сервер: после каждого ответа с tool_calls результаты
+// добавляются в историю и запрос повторяется, пока модель не ответит текстом или не кончатся шаги.
+
+function getToolConfig() {
+  return {
+    // Максимум шагов цикла вызова инструментов (запрос может только уменьшить это значение)
+    maxSteps: parseInt(process.env.TOOL_MAX_STEPS || '5', 10),
+    toolTimeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS || '10000', 10),
+  };
+}
+
+function createRequestError(message) {
+  const error = new Error(`Invalid request. ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// Функция для проверки определений инструментов клиента в формате OpenAI
+export function validateClientTools(tools) {
+  if (!Array.isArray(tools)) {
+    throw createRequestError('tools must be an array');
+  }
+  tools.forEach((tool, index) => {
+    if (tool?.type !== 'function' || typeof tool.function?.name !== 'string' || tool.function.name.length === 0) {
+      throw createRequestError(`tools[${index}] must be { type: "function", function: { name, description?, parameters? } }`);
+    }
+  });
+  return tools;
+}
+
+// Функция для выбора инструментов сервера: true - все доступные, массив - инструменты по именам
+export function resolveServerTools(serverTools, availableTools) {
+  if (serverTools === true) {
+    return availableTools;
+  }
+  if (!Array.isArray(serverTools) || serverTools.some(name => typeof name !== 'string')) {
+    throw createRequestError('serverTools must be true or an array of tool names');
+  }
+  return serverTools.map(name => {
+    const tool = getTool(name);
+    if (!tool) {
+      throw createRequestError(`Unknown server tool "${name}". Available: ${availableTools.map(item => item.name).join(', ')}`);
+    }
+    return tool;
+  });
+}
+
+// Функция для получения числа шагов цикла (не больше TOOL_MAX_STEPS)
+export function resolveMaxSteps(maxToolSteps) {
+  const { maxSteps } = getToolConfig();
+  if (maxToolSteps === undefined) {
+    return maxSteps;
+  }
+  if (!Number.isInteger(maxToolSteps) || maxToolSteps < 1) {
+    throw createRequestError('maxToolSteps must be a positive integer');
+  }
+  return Math.min(maxToolSteps, maxSteps);
+}
+
+// Функция для выполнения одного вызова инструмента с таймаутом
+// Ошибки не пробрасываются: они возвращаются модели как результат, чтобы она могла исправить аргументы
+async function executeToolCall(tool, call) {
+  const { toolTimeoutMs } = getToolConfig();
+  const startedAt = Date.now();
+  const entry = { id: call.id, name: tool.name, arguments: null };
+
+  let timer;
+  try {
+    entry.arguments = JSON.parse(call.function.arguments || '{}');
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool timeout after ${toolTimeoutMs}ms`)), toolTimeoutMs);
+    });
+    entry.result = await Promise.race([Promise.resolve(tool.execute(entry.arguments)), timeout]);
+  } catch (error) {
+    entry.arguments = entry.arguments ?? call.function.arguments;
+    entry.error = error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  entry.durationMs = Date.now() - startedAt;
+  logger.info(`🛠️ Tool ${tool.name} ${entry.error ? `failed: ${entry.error}` : 'completed'} (${entry.durationMs}ms)`);
+  return entry;
+}
+
+// Функция для выполнения цикла вызова инструментов сервера
+// send(messages, { tools, toolChoice }) - отправка запроса (sendWithFailover), возвращает upstream
+// Возвращает { upstream, messages, trace }, где
+//   upstream - ответ последнего шага с копией result, в которой usage суммирован по всем шагам
+//   trace: { steps, stopReason: 'answer' | 'client_tool' | 'max_steps', calls: [{ step, id, name, arguments, result?, error?, durationMs }] }
+export async function runToolLoop({ messages, serverTools, clientTools = [], toolChoice, maxSteps, send }) {
+  const tools = [...clientTools, ...serverTools.map(toToolDefinition)];
+  const serverToolsByName = new Map(serverTools.map(tool => [tool.name, tool]));
+  const usages = [];
+  const calls = [];
+  let currentMessages = messages;
+
+  for (let step = 1; ; step++) {
+    // Шаги кончились - последний запрос без права вызывать инструменты, чтобы получить ответ
+    const finalStep = step > maxSteps;
+    const upstream = await send(currentMessages, {
+      tools,
+      // Выбор клиента действует только на первом шаге, иначе принудительный вызов повторялся бы бесконечно
+      toolChoice: finalStep ? 'none' : (step === 1 ? toolChoice : undefined),
+    });
+    usages.push(getRequestUsage(upstream, currentMessages));
+
+    const message = upstream.result.choices?.[0]?.message;
+    const toolCalls = message?.tool_calls || [];
+
+    let stopReason = null;
+    if (toolCalls.length === 0) {
+      stopReason = 'answer';
+    } else if (finalStep) {
+      stopReason = 'max_steps';
+    } else if (toolCalls.some(call => !serverToolsByName.has(call.function?.name))) {
+      // Модель вызвала инструмент клиента - его выполняет клиент
+      stopReason = 'client_tool';
+    }
+
+    if (stopReason) {
+      logger.info(`🛠️ Tool loop finished: ${stopReason} after ${step} steps, ${calls.length} calls`);
+      // Ответ провайдера не изменяется: он может быть общим с кешем ответов
+      return {
+        upstream: { ...upstream, result: { ...upstream.result, usage: sumUsage(usages) } },
+        messages: currentMessages,
+        trace: { steps: step, stopReason, calls },
+      };
+    }
+
+    currentMessages = [
+      ...currentMessages,
+      { role: 'assistant', content: message.content ?? null, tool_calls: toolCalls },
+    ];
+    for (const call of toolCalls) {
+      const entry = await executeToolCall(serverToolsByName.get(call.function.name), call);
+      calls.push({ step, ...entry });
+      currentMessages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(entry.error ? { error: entry.error } : entry.result),
+      });
+    }
+  }
+}
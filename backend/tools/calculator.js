@@ -0,0 +1,185 @@
+// Инструмент: вычисление арифметических выражений
+// Выражение разбирается собственным парсером (без eval), поддерживаются + - * / % ^, скобки,
+// константы pi и e и функции из FUNCTIONS
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+// Функция для разбиения выражения на токены
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z_][a-z0-9_]*)|([\s\S]))/giy;
+  let match;
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else if (match[3] !== undefined) {
+      if (!'+-*/%^(),'.includes(match[3])) {
+        throw new Error(`Unexpected character "${match[3]}"`);
+      }
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+}
+
+// Функция для вычисления выражения методом рекурсивного спуска
+// expression := term (('+' | '-') term)*
+// term       := unary (('*' | '/' | '%') unary)*
+// unary      := ('+' | '-') unary | power
+// power      := primary ('^' unary)?
+// primary    := number | constant | function '(' args ')' | '(' expression ')'
+export function evaluate(expression) {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new Error('Expression is required');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression.trim());
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[position++].value;
+      const right = parseUnary();
+      if (op === '*') {
+        value *= right;
+      } else if (op === '/') {
+        if (right === 0) {
+          throw new Error('Division by zero');
+        }
+        value /= right;
+      } else {
+        value %= right;
+      }
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      position++;
+      return -parseUnary();
+    }
+    if (isOp('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      position++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (token.type === 'number') {
+      return token.value;
+    }
+    if (token.type === 'name') {
+      // Object.hasOwn: имена вроде constructor и toString не должны находить свойства прототипа
+      if (Object.hasOwn(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      const fn = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+      if (!fn) {
+        throw new Error(`Unknown function or constant "${token.value}"`);
+      }
+      expect('(');
+      const args = [parseExpression()];
+      while (isOp(',')) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(')');
+      return fn(...args);
+    }
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+}
+
+export default {
+  name: 'calculator',
+  description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and functions sqrt, abs, round, floor, ceil, sin, cos, tan, ln, log, exp, min, max, pow.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'Expression to evaluate, for example (2 + 3) * sqrt(16)',
+      },
+    },
+    required: ['expression'],
+  },
+  execute({ expression } = {}) {
+    return { expression, result: evaluate(expression) };
+  },
+};
@@ -0,0 +1,29 @@
+// Инструмент: текущие дата и время в заданном часовом поясе
+export default {
+  name: 'current_time',
+  description: 'Returns the current date and time. Use it for questions about today, now, weekdays or time zones.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone, for example Europe/Moscow. Defaults to UTC.',
+      },
+    },
+  },
+  execute({ timezone = 'UTC' } = {}) {
+    const now = new Date();
+    // Неизвестный часовой пояс - RangeError, он вернется модели как ошибка инструмента
+    const formatter = new Intl.DateTimeFormat('ru-RU', {
+      timeZone: timezone,
+      dateStyle: 'full',
+      timeStyle: 'long',
+    });
+    return {
+      iso: now.toISOString(),
+      timezone: timezone,
+      local: formatter.format(now),
+      unix: Math.floor(now.getTime() / 1000),
+    };
+  },
+};
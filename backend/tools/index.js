@@ -0,0 +1,44 @@
+import calculatorTool from './calculator.js';
+import currentTimeTool from './current-time.js';
+import knowledgeSearchTool from './knowledge-search.js';
+
+// Реестр инструментов, которые сервер выполняет сам
+// Инструмент: { name, description, parameters (JSON Schema), isAvailable?(), execute(args, { signal }) }
+const tools = new Map();
+
+// Функция для регистрации инструмента в реестре
+export function registerTool(tool) {
+  tools.set(tool.name, tool);
+}
+
+// Функция для загрузки встроенных инструментов
+export function loadTools() {
+  tools.clear();
+  registerTool(calculatorTool);
+  registerTool(currentTimeTool);
+  registerTool(knowledgeSearchTool);
+  return listTools();
+}
+
+// Функция для получения инструмента по имени (null, если инструмент не зарегистрирован или недоступен)
+export function getTool(name) {
+  const tool = tools.get(name);
+  return tool && (!tool.isAvailable || tool.isAvailable()) ? tool : null;
+}
+
+// Функция для получения списка доступных инструментов
+export function listTools() {
+  return [...tools.values()].filter(tool => !tool.isAvailable || tool.isAvailable());
+}
+
+// Функция для получения определения инструмента в формате OpenAI tools
+export function toToolDefinition(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  };
+}
@@ -0,0 +1,63 @@
+import { listKnowledgeBaseNames, searchKnowledgeBase } from '../knowledge-base.js';
+
+// Инструмент: поиск по локальным базам знаний (DATA_DIR/knowledge, npm run knowledge)
+// Использует тот же поиск BM25, что и поле knowledgeBase в /api/chat; без имени базы ищет во всех базах.
+
+const MAX_FRAGMENT_LENGTH = 1000;
+
+export default {
+  name: 'knowledge_search',
+  description: 'Searches the local knowledge bases and returns the most relevant fragments. Use it for questions about the project, product or internal documentation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Search query',
+      },
+      knowledgeBase: {
+        type: 'string',
+        description: 'Knowledge base name (all knowledge bases are searched when omitted)',
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum number of fragments, 1-10 (default 3)',
+      },
+    },
+    required: ['query'],
+  },
+  // Инструмент доступен, если загружена хотя бы одна база знаний
+  isAvailable() {
+    return listKnowledgeBaseNames().length > 0;
+  },
+  async execute({ query, knowledgeBase, limit = 3 } = {}) {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      throw new Error('Query must be a non-empty string');
+    }
+
+    const count = Math.min(Math.max(parseInt(limit, 10) || 3, 1), 10);
+    const names = knowledgeBase !== undefined ? [knowledgeBase] : listKnowledgeBaseNames();
+    const results = [];
+    for (const name of names) {
+      const found = await searchKnowledgeBase(name, query, count);
+      if (!found) {
+        throw new Error(`Knowledge base "${name}" not found`);
+      }
+      results.push(...found.map(result => ({ knowledgeBase: name, ...result })));
+    }
+
+    return {
+      query,
+      results: results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .map(result => ({
+          knowledgeBase: result.knowledgeBase,
+          source: result.source,
+          heading: result.heading,
+          text: result.text.substring(0, MAX_FRAGMENT_LENGTH),
+          score: result.score,
+        })),
+    };
+  },
+};
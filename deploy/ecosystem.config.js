@@ -12,7 +12,6 @@ module.exports = {
       PORT: 3000
     },
     error_file: '/var/log/pm2/deepseek-proxy-error.log',
-    out_file: '/var/log/pm2/deepseek-proxy-out.log',
-    log_date_format: 'YYYY-MM-DD HH:mm:ss Z'
+    out_file: '/var/log/pm2/deepseek-proxy-out.log'
   }]
 };
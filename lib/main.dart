@@ -643,7 +643,11 @@ class ChatScreen extends StatelessWidget {
             shrinkWrap: true,
             itemCount: models.length,
             itemBuilder: (context, index) {
-              final modelName = models[index].toString();
+              // Бэкенд возвращает записи каталога { id, contextLength, features, ... }
+              final entry = models[index];
+              final modelName = entry is Map<String, dynamic>
+                  ? entry['id'].toString()
+                  : entry.toString();
               final isSelected = state.model == modelName;
               return RadioListTile<String>(
                 title: Text(